@@ -9,6 +9,11 @@ const app = require("../aws-auto-env");
 const settingsManager = require("../lib/settings-manager");
 const awsProfiles = require("../lib/aws-profiles");
 const awsCredentials = require("../lib/aws-credentials");
+const backups = require("../lib/backups");
+const fileUtils = require("../lib/file-utils");
+const postmanApi = require("../lib/postman-api");
+const gitSafety = require("../lib/git-safety");
+const glob = require("../lib/glob");
 
 // Mock console.log to capture output
 let consoleOutput = [];
@@ -21,6 +26,21 @@ beforeEach(() => {
   };
   // Clear logger mocks
   jest.clearAllMocks();
+  // Treat mapped files as outside any git repository unless a test says otherwise
+  jest.spyOn(gitSafety, "checkFile").mockReturnValue(null);
+  // Run outside any project unless a test says otherwise
+  jest.spyOn(settingsManager, "getProject").mockReturnValue(null);
+  // Never reach the Postman API when resolving environment or workspace names
+  jest.spyOn(postmanApi, "listEnvironments").mockResolvedValue([]);
+  jest.spyOn(postmanApi, "listWorkspaces").mockResolvedValue([]);
+  jest.spyOn(settingsManager, "getPostmanDefaultWorkspace").mockReturnValue(null);
+  jest.spyOn(settingsManager, "getPostmanClientConfig").mockReturnValue({
+    maxRetries: 3,
+    maxRetryDelaySeconds: 60,
+    baseUrl: "https://api.getpostman.com",
+    timeoutSeconds: 30,
+    proxy: null,
+  });
 });
 
 afterEach(() => {
@@ -50,9 +70,80 @@ describe("AWS Auto Env REPL", () => {
       expect(output).toContain("./app.env → production");
       expect(output).toContain("./test.env → development");
     });
+
+    test("should mark mappings that come from the project file", () => {
+      const project = {
+        root: "/repo",
+        filePath: "/repo/.aws-auto-env.json",
+        mappings: { "/repo/.env": "dev" },
+      };
+      settingsManager.getProject.mockReturnValue(project);
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "/repo/.env": "dev",
+        "/repo/api/.env": "personal",
+      });
+      jest.spyOn(settingsManager, "readSettings").mockReturnValue({
+        mappings: { "/repo/api/.env": "personal", "/elsewhere/.env": "prod" },
+      });
+
+      app.handleList();
+
+      const output = consoleOutput.join("\n");
+      expect(output).toContain("Project: /repo/.aws-auto-env.json");
+      expect(output).toContain("/repo/.env → dev (project)");
+      expect(output).toContain("/repo/api/.env → personal\n");
+    });
+
+    test("should report an invalid project file", () => {
+      jest.spyOn(settingsManager, "getMappings").mockImplementation(() => {
+        throw new Error("Failed to read project file /repo/.aws-auto-env.json: bad");
+      });
+
+      app.handleList();
+
+      expect(consoleOutput.join("\n")).toContain(
+        "Error listing mappings: Failed to read project file"
+      );
+    });
+
+    test("should show how many files a glob mapping matches", () => {
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "/code/*/.env": { awsProfile: "dev", exclude: ["legacy/**"] },
+      });
+      jest.spyOn(glob, "expandGlob").mockReturnValue({
+        matches: ["/code/a/.env", "/code/b/.env"],
+        missing: ["/code/c/.env"],
+      });
+
+      app.handleList();
+
+      expect(consoleOutput.join("\n")).toContain(
+        "/code/*/.env → dev [exclude legacy/**] (2 files)"
+      );
+    });
+
+    test("should display custom variable names", () => {
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "./app.env": {
+          awsProfile: "production",
+          variableNames: { AWS_SESSION_TOKEN: "DATA_TOKEN" },
+        },
+      });
+
+      app.handleList();
+
+      expect(consoleOutput.join("\n")).toContain(
+        "./app.env → production [AWS_SESSION_TOKEN=DATA_TOKEN]"
+      );
+    });
   });
 
   describe("handleAdd", () => {
+    beforeEach(() => {
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({ gitSafety: "refuse" });
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({});
+    });
+
     test("should add a new mapping", () => {
       const addMappingSpy = jest
         .spyOn(settingsManager, "addMapping")
@@ -60,10 +151,154 @@ describe("AWS Auto Env REPL", () => {
 
       app.handleAdd("./new.env", "new-profile");
 
-      expect(addMappingSpy).toHaveBeenCalledWith("./new.env", "new-profile");
+      expect(addMappingSpy).toHaveBeenCalledWith("./new.env", "new-profile", {});
       expect(consoleOutput.join("\n")).toContain("Added mapping");
     });
 
+    test("should pass custom variable names to the mapping", () => {
+      const addMappingSpy = jest
+        .spyOn(settingsManager, "addMapping")
+        .mockImplementation(() => {});
+
+      app.handleAdd("./new.env", "new-profile", {
+        template: "DATA_{name}",
+        var: ["AWS_SESSION_TOKEN=DATA_TOKEN"],
+      });
+
+      expect(addMappingSpy).toHaveBeenCalledWith("./new.env", "new-profile", {
+        variableTemplate: "DATA_{name}",
+        variableNames: { AWS_SESSION_TOKEN: "DATA_TOKEN" },
+      });
+      expect(consoleOutput.join("\n")).toContain("template DATA_{name}");
+    });
+
+    test("should warn when replacing a mapping for the same file", () => {
+      settingsManager.getMappings.mockReturnValue({ "/repo/app.env": "old-profile" });
+      jest.spyOn(settingsManager, "addMapping").mockImplementation(() => {});
+
+      app.handleAdd("/repo/./app.env", "new-profile");
+
+      const output = consoleOutput.join("\n");
+      expect(output).toContain("Replacing existing mapping: /repo/app.env → old-profile");
+      expect(output).toContain("Added mapping: /repo/app.env → new-profile");
+    });
+
+    test("should store glob rules for a pattern", () => {
+      const addMappingSpy = jest
+        .spyOn(settingsManager, "addMapping")
+        .mockImplementation(() => {});
+      jest.spyOn(glob, "expandGlob").mockReturnValue({ matches: ["/code/a/.env"], missing: [] });
+
+      app.handleAdd("/code/*/.env", "dev", {
+        exclude: "legacy/**",
+        "create-missing": true,
+      });
+
+      expect(addMappingSpy).toHaveBeenCalledWith("/code/*/.env", "dev", {
+        exclude: ["legacy/**"],
+        createMissing: true,
+      });
+      expect(gitSafety.checkFile).toHaveBeenCalledWith("/code/a/.env");
+      expect(consoleOutput.join("\n")).toContain("Pattern currently matches 1 file(s)");
+    });
+
+    test("should reject glob rules for a plain path", () => {
+      const addMappingSpy = jest.spyOn(settingsManager, "addMapping");
+
+      app.handleAdd("/code/app/.env", "dev", { exclude: "legacy/**" });
+
+      expect(addMappingSpy).not.toHaveBeenCalled();
+      expect(consoleOutput.join("\n")).toContain("only apply to glob patterns");
+    });
+
+    test("should store the managed block option", () => {
+      const addMappingSpy = jest
+        .spyOn(settingsManager, "addMapping")
+        .mockImplementation(() => {});
+
+      app.handleAdd("./new.env", "new-profile", { "managed-block": true });
+
+      expect(addMappingSpy).toHaveBeenCalledWith("./new.env", "new-profile", {
+        managedBlock: true,
+      });
+      expect(consoleOutput.join("\n")).toContain("[managed block]");
+    });
+
+    test("should refuse a file that git does not ignore", () => {
+      const addMappingSpy = jest.spyOn(settingsManager, "addMapping");
+      jest.spyOn(gitSafety, "checkFile").mockReturnValue({
+        repoRoot: "/repo",
+        relativePath: "new.env",
+        tracked: false,
+        ignored: false,
+        safe: false,
+      });
+
+      app.handleAdd("/repo/new.env", "new-profile");
+
+      const output = consoleOutput.join("\n");
+      expect(addMappingSpy).not.toHaveBeenCalled();
+      expect(output).toContain("Refusing to map /repo/new.env: it is not ignored by git in /repo");
+      expect(output).toContain('gitignore /repo/new.env');
+    });
+
+    test("should map an unsafe file with --allow-unsafe", () => {
+      const addMappingSpy = jest
+        .spyOn(settingsManager, "addMapping")
+        .mockImplementation(() => {});
+      jest.spyOn(gitSafety, "checkFile").mockReturnValue({
+        repoRoot: "/repo",
+        relativePath: "new.env",
+        tracked: true,
+        ignored: false,
+        safe: false,
+      });
+
+      app.handleAdd("/repo/new.env", "new-profile", { "allow-unsafe": true });
+
+      expect(addMappingSpy).toHaveBeenCalledWith("/repo/new.env", "new-profile", {
+        allowUnsafe: true,
+      });
+      expect(consoleOutput.join("\n")).toContain("Warning: /repo/new.env is tracked by git in /repo");
+    });
+
+    test("should only warn when gitSafety is 'warn'", () => {
+      settingsManager.getSyncConfig.mockReturnValue({ gitSafety: "warn" });
+      const addMappingSpy = jest
+        .spyOn(settingsManager, "addMapping")
+        .mockImplementation(() => {});
+      jest.spyOn(gitSafety, "checkFile").mockReturnValue({
+        repoRoot: "/repo",
+        relativePath: "new.env",
+        tracked: false,
+        ignored: false,
+        safe: false,
+      });
+
+      app.handleAdd("/repo/new.env", "new-profile");
+
+      expect(addMappingSpy).toHaveBeenCalled();
+      expect(consoleOutput.join("\n")).toContain("Warning: /repo/new.env is not ignored by git");
+    });
+
+    test("should reject a template without {name}", () => {
+      const addMappingSpy = jest.spyOn(settingsManager, "addMapping");
+
+      app.handleAdd("./new.env", "new-profile", { template: "DATA_" });
+
+      expect(addMappingSpy).not.toHaveBeenCalled();
+      expect(consoleOutput.join("\n")).toContain("--template must contain {name}");
+    });
+
+    test("should reject a malformed --var rename", () => {
+      const addMappingSpy = jest.spyOn(settingsManager, "addMapping");
+
+      app.handleAdd("./new.env", "new-profile", { var: "AWS_SESSION_TOKEN=1TOKEN" });
+
+      expect(addMappingSpy).not.toHaveBeenCalled();
+      expect(consoleOutput.join("\n")).toContain("--var expects DEFAULT_NAME=CUSTOM_NAME");
+    });
+
     test("should show error when env path is missing", () => {
       app.handleAdd(undefined, "profile");
 
@@ -89,7 +324,102 @@ describe("AWS Auto Env REPL", () => {
     });
   });
 
+  describe("handleBackup", () => {
+    test("should list backups newest first", () => {
+      jest.spyOn(backups, "listBackups").mockReturnValue([
+        { timestamp: "2024-01-02T00-00-00-000Z", size: 42 },
+        { timestamp: "2024-01-01T00-00-00-000Z", size: 40 },
+      ]);
+
+      app.handleBackup(["list", "./app.env"]);
+
+      const output = consoleOutput.join("\n");
+      expect(output).toContain("2024-01-02T00-00-00-000Z  (42 bytes)");
+      expect(output.indexOf("2024-01-02")).toBeLessThan(output.indexOf("2024-01-01"));
+    });
+
+    test("should show message when there are no backups", () => {
+      jest.spyOn(backups, "listBackups").mockReturnValue([]);
+
+      app.handleBackup(["list", "./app.env"]);
+
+      expect(consoleOutput.join("\n")).toContain("No backups found");
+    });
+
+    test("should show error when env path is missing", () => {
+      app.handleBackup(["list"]);
+
+      expect(consoleOutput.join("\n")).toContain("required");
+    });
+  });
+
+  describe("handleRestore", () => {
+    test("should restore the requested backup", () => {
+      const restoreSpy = jest
+        .spyOn(backups, "restoreBackup")
+        .mockReturnValue("2024-01-01T00-00-00-000Z");
+
+      app.handleRestore("/repo/app.env", "2024-01-01T00-00-00-000Z");
+
+      expect(restoreSpy).toHaveBeenCalledWith("/repo/app.env", "2024-01-01T00-00-00-000Z");
+      expect(consoleOutput.join("\n")).toContain("Restored /repo/app.env from backup");
+    });
+
+    test("should report restore errors", () => {
+      jest.spyOn(backups, "restoreBackup").mockImplementation(() => {
+        throw new Error("No backups found for ./app.env");
+      });
+
+      app.handleRestore("./app.env");
+
+      expect(consoleOutput.join("\n")).toContain("Error restoring backup: No backups found");
+    });
+  });
+
   describe("handleRemove", () => {
+    beforeEach(() => {
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "./test.env": "test-profile",
+        "./managed.env": { awsProfile: "test-profile", managedBlock: true },
+      });
+    });
+
+    test("should remove the managed block along with the mapping", () => {
+      jest.spyOn(settingsManager, "removeMapping").mockReturnValue(true);
+      const removeCredsSpy = jest
+        .spyOn(awsCredentials, "removeCredentialsFromFile")
+        .mockReturnValue({ changed: true });
+
+      app.handleRemove("./managed.env");
+
+      expect(removeCredsSpy).toHaveBeenCalledWith("./managed.env");
+      expect(consoleOutput.join("\n")).toContain("Removed managed credentials block");
+    });
+
+    test("should leave files of plain mappings untouched", () => {
+      jest.spyOn(settingsManager, "removeMapping").mockReturnValue(true);
+      const removeCredsSpy = jest.spyOn(awsCredentials, "removeCredentialsFromFile");
+
+      app.handleRemove("./test.env");
+
+      expect(removeCredsSpy).not.toHaveBeenCalled();
+    });
+
+    test("should point at the project file for project mappings", () => {
+      jest.spyOn(settingsManager, "removeMapping").mockReturnValue(false);
+      settingsManager.getProject.mockReturnValue({
+        root: "/repo",
+        filePath: "/repo/.aws-auto-env.json",
+        mappings: { "./test.env": "test-profile" },
+      });
+
+      app.handleRemove("./test.env");
+
+      expect(consoleOutput.join("\n")).toContain(
+        "./test.env is mapped by /repo/.aws-auto-env.json; edit that file to remove it"
+      );
+    });
+
     test("should remove existing mapping", () => {
       jest.spyOn(settingsManager, "removeMapping").mockReturnValue(true);
 
@@ -124,6 +454,43 @@ describe("AWS Auto Env REPL", () => {
     });
   });
 
+  describe("handleAlias", () => {
+    test("should set an alias", () => {
+      const setSpy = jest.spyOn(settingsManager, "setProfileAlias").mockImplementation(() => {});
+
+      app.handleAlias("dev", "acme-dev");
+
+      expect(setSpy).toHaveBeenCalledWith("dev", "acme-dev");
+      expect(consoleOutput.join("\n")).toContain("✓ Aliased dev → acme-dev");
+    });
+
+    test("should list aliases", () => {
+      jest.spyOn(settingsManager, "getProfileAliases").mockReturnValue({ dev: "acme-dev" });
+
+      app.handleAlias();
+
+      expect(consoleOutput.join("\n")).toContain("dev → acme-dev");
+    });
+
+    test("should remove an alias", () => {
+      jest.spyOn(settingsManager, "removeProfileAlias").mockReturnValue(false);
+
+      app.handleAlias("dev", undefined, { remove: true });
+
+      expect(settingsManager.removeProfileAlias).toHaveBeenCalledWith("dev");
+      expect(consoleOutput.join("\n")).toContain("No alias found for: dev");
+    });
+
+    test("should require a profile", () => {
+      const setSpy = jest.spyOn(settingsManager, "setProfileAlias");
+
+      app.handleAlias("dev");
+
+      expect(setSpy).not.toHaveBeenCalled();
+      expect(consoleOutput.join("\n")).toContain("Usage: alias <alias> <profile>");
+    });
+  });
+
   describe("handleProfiles", () => {
     test("should display available profiles", () => {
       jest
@@ -242,7 +609,16 @@ describe("AWS Auto Env REPL", () => {
   });
 
   describe("handleSync", () => {
-    test("should sync all mapped files with credentials and show updated", () => {
+    beforeEach(() => {
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({
+        refreshThresholdMinutes: 15,
+        writeExpiration: false,
+      });
+      jest.spyOn(settingsManager, "getSyncState").mockReturnValue(null);
+      jest.spyOn(settingsManager, "recordSyncState").mockImplementation(() => {});
+    });
+
+    test("should sync all mapped files with credentials and show updated", async () => {
       jest.spyOn(awsCredentials, "isAwsCliAvailable").mockReturnValue(true);
       jest.spyOn(settingsManager, "getMappings").mockReturnValue({
         "./app.env": "production",
@@ -250,11 +626,11 @@ describe("AWS Auto Env REPL", () => {
       });
       jest
         .spyOn(awsCredentials, "getCredentialsAsEnvVars")
-        .mockReturnValueOnce({
+        .mockResolvedValueOnce({
           AWS_ACCESS_KEY_ID: "PROD_KEY",
           AWS_SECRET_ACCESS_KEY: "PROD_SECRET",
         })
-        .mockReturnValueOnce({
+        .mockResolvedValueOnce({
           AWS_ACCESS_KEY_ID: "DEV_KEY",
           AWS_SECRET_ACCESS_KEY: "DEV_SECRET",
         });
@@ -262,19 +638,19 @@ describe("AWS Auto Env REPL", () => {
         .spyOn(awsCredentials, "writeCredentialsToFile")
         .mockImplementation(() => ({ changed: true }));
 
-      app.handleSync();
+      await app.handleSync();
 
       expect(writeCredsSpy).toHaveBeenCalledTimes(2);
       expect(consoleOutput.join("\n")).toContain("Syncing credentials");
       expect(consoleOutput.join("\n")).toContain("2 updated");
     });
 
-    test("should show unchanged when credentials did not change", () => {
+    test("should show unchanged when credentials did not change", async () => {
       jest.spyOn(awsCredentials, "isAwsCliAvailable").mockReturnValue(true);
       jest.spyOn(settingsManager, "getMappings").mockReturnValue({
         "./app.env": "production",
       });
-      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockReturnValue({
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({
         AWS_ACCESS_KEY_ID: "KEY",
         AWS_SECRET_ACCESS_KEY: "SECRET",
       });
@@ -282,52 +658,61 @@ describe("AWS Auto Env REPL", () => {
         .spyOn(awsCredentials, "writeCredentialsToFile")
         .mockImplementation(() => ({ changed: false }));
 
-      app.handleSync();
+      await app.handleSync();
 
       expect(consoleOutput.join("\n")).toContain("○ Unchanged");
       expect(consoleOutput.join("\n")).toContain("0 updated, 1 unchanged");
     });
 
-    test("should show error when AWS CLI is not available", () => {
-      jest.spyOn(awsCredentials, "isAwsCliAvailable").mockReturnValue(false);
+    test("should sync without requiring the AWS CLI", async () => {
+      const cliSpy = jest.spyOn(awsCredentials, "isAwsCliAvailable").mockReturnValue(false);
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "./app.env": "static",
+      });
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({
+        AWS_ACCESS_KEY_ID: "KEY",
+        AWS_SECRET_ACCESS_KEY: "SECRET",
+      });
+      jest
+        .spyOn(awsCredentials, "writeCredentialsToFile")
+        .mockImplementation(() => ({ changed: true }));
 
-      app.handleSync();
+      await app.handleSync();
 
-      expect(consoleOutput.join("\n")).toContain("AWS CLI is not available");
+      expect(cliSpy).not.toHaveBeenCalled();
+      expect(consoleOutput.join("\n")).toContain("1 updated");
     });
 
-    test("should show message when no mappings configured", () => {
+    test("should show message when no mappings configured", async () => {
       jest.spyOn(awsCredentials, "isAwsCliAvailable").mockReturnValue(true);
       jest.spyOn(settingsManager, "getMappings").mockReturnValue({});
 
-      app.handleSync();
+      await app.handleSync();
 
       expect(consoleOutput.join("\n")).toContain("No mappings configured");
     });
 
-    test("should handle errors when getting credentials", () => {
+    test("should handle errors when getting credentials", async () => {
       jest.spyOn(awsCredentials, "isAwsCliAvailable").mockReturnValue(true);
       jest.spyOn(settingsManager, "getMappings").mockReturnValue({
         "./app.env": "invalid-profile",
       });
       jest
         .spyOn(awsCredentials, "getCredentialsAsEnvVars")
-        .mockImplementation(() => {
-          throw new Error("Profile not found");
-        });
+        .mockRejectedValue(new Error("Profile not found"));
 
-      app.handleSync();
+      await app.handleSync();
 
       expect(consoleOutput.join("\n")).toContain("Could not get credentials");
       expect(consoleOutput.join("\n")).toContain("failed");
     });
 
-    test("should handle errors when writing credentials", () => {
+    test("should handle errors when writing credentials", async () => {
       jest.spyOn(awsCredentials, "isAwsCliAvailable").mockReturnValue(true);
       jest.spyOn(settingsManager, "getMappings").mockReturnValue({
         "./app.env": "production",
       });
-      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockReturnValue({
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({
         AWS_ACCESS_KEY_ID: "KEY",
         AWS_SECRET_ACCESS_KEY: "SECRET",
       });
@@ -337,13 +722,13 @@ describe("AWS Auto Env REPL", () => {
           throw new Error("Write failed");
         });
 
-      app.handleSync();
+      await app.handleSync();
 
       expect(consoleOutput.join("\n")).toContain("Failed to update");
       expect(consoleOutput.join("\n")).toContain("failed");
     });
 
-    test("should group multiple files by profile", () => {
+    test("should group multiple files by profile", async () => {
       jest.spyOn(awsCredentials, "isAwsCliAvailable").mockReturnValue(true);
       jest.spyOn(settingsManager, "getMappings").mockReturnValue({
         "./app1.env": "production",
@@ -352,11 +737,11 @@ describe("AWS Auto Env REPL", () => {
       });
       jest
         .spyOn(awsCredentials, "getCredentialsAsEnvVars")
-        .mockReturnValueOnce({
+        .mockResolvedValueOnce({
           AWS_ACCESS_KEY_ID: "PROD_KEY",
           AWS_SECRET_ACCESS_KEY: "PROD_SECRET",
         })
-        .mockReturnValueOnce({
+        .mockResolvedValueOnce({
           AWS_ACCESS_KEY_ID: "DEV_KEY",
           AWS_SECRET_ACCESS_KEY: "DEV_SECRET",
         });
@@ -364,7 +749,7 @@ describe("AWS Auto Env REPL", () => {
         .spyOn(awsCredentials, "writeCredentialsToFile")
         .mockImplementation(() => ({ changed: true }));
 
-      app.handleSync();
+      await app.handleSync();
 
       // Should call getCredentialsAsEnvVars only twice (once per profile)
       expect(awsCredentials.getCredentialsAsEnvVars).toHaveBeenCalledTimes(2);
@@ -374,6 +759,1246 @@ describe("AWS Auto Env REPL", () => {
     });
   });
 
+  describe("handleSync (glob mappings)", () => {
+    beforeEach(() => {
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({ refreshThresholdMinutes: 15 });
+      jest.spyOn(settingsManager, "getSyncState").mockReturnValue(null);
+      jest.spyOn(settingsManager, "recordSyncState").mockImplementation(() => {});
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({
+        AWS_ACCESS_KEY_ID: "KEY",
+      });
+      jest.spyOn(glob, "expandGlob").mockReturnValue({
+        matches: ["/code/a/.env", "/code/b/.env"],
+        missing: ["/code/c/.env"],
+      });
+    });
+
+    test("should write every match and skip missing files", async () => {
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "/code/*/.env": "dev",
+        "/code/b/.env": "prod",
+      });
+      const writeCredsSpy = jest
+        .spyOn(awsCredentials, "writeCredentialsToFile")
+        .mockImplementation(() => ({ changed: true }));
+
+      await app.handleSync();
+
+      const output = consoleOutput.join("\n");
+      expect(writeCredsSpy.mock.calls.map((call) => [call[1], call[2].awsProfile])).toEqual([
+        ["/code/b/.env", "prod"],
+        ["/code/a/.env", "dev"],
+      ]);
+      expect(output).toContain("Skipped /code/c/.env (dev): missing file matched by /code/*/.env");
+      expect(output).toContain("2 updated, 0 unchanged, 1 skipped");
+    });
+
+    test("should create missing files when the pattern allows it", async () => {
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "/code/*/.env": { awsProfile: "dev", createMissing: true },
+      });
+      const writeCredsSpy = jest
+        .spyOn(awsCredentials, "writeCredentialsToFile")
+        .mockImplementation(() => ({ changed: true }));
+
+      await app.handleSync();
+
+      expect(writeCredsSpy.mock.calls.map((call) => call[1])).toEqual([
+        "/code/a/.env",
+        "/code/b/.env",
+        "/code/c/.env",
+      ]);
+    });
+  });
+
+  describe("handleSync (file permissions)", () => {
+    beforeEach(() => {
+      jest.spyOn(settingsManager, "getSyncState").mockReturnValue(null);
+      jest.spyOn(settingsManager, "recordSyncState").mockImplementation(() => {});
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "./open.env": "production",
+        "./private.env": "production",
+      });
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({
+        AWS_ACCESS_KEY_ID: "KEY",
+      });
+      jest
+        .spyOn(awsCredentials, "writeCredentialsToFile")
+        .mockImplementation(() => ({ changed: false }));
+      jest
+        .spyOn(fileUtils, "isGroupOrWorldReadable")
+        .mockImplementation((filePath) => filePath === "./open.env");
+    });
+
+    test("should report files readable by other users", async () => {
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({
+        refreshThresholdMinutes: 15,
+        fixPermissions: false,
+      });
+      const restrictSpy = jest.spyOn(fileUtils, "restrictPermissions");
+
+      await app.handleSync();
+
+      const output = consoleOutput.join("\n");
+      expect(restrictSpy).not.toHaveBeenCalled();
+      expect(output).toContain("./open.env is readable by other users");
+      expect(output).not.toContain("./private.env is readable");
+      expect(output).toContain("Permissions: 1 file(s) readable by other users, 0 fixed");
+    });
+
+    test("should restrict permissions when fixPermissions is enabled", async () => {
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({
+        refreshThresholdMinutes: 15,
+        fixPermissions: true,
+      });
+      const restrictSpy = jest
+        .spyOn(fileUtils, "restrictPermissions")
+        .mockReturnValue(0o600);
+
+      await app.handleSync();
+
+      expect(restrictSpy).toHaveBeenCalledWith("./open.env");
+      expect(consoleOutput.join("\n")).toContain("Restricted permissions of ./open.env to 600");
+      expect(consoleOutput.join("\n")).toContain("1 fixed");
+    });
+  });
+
+  describe("dry run", () => {
+    beforeEach(() => {
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({
+        refreshThresholdMinutes: 15,
+        fixPermissions: true,
+      });
+      jest.spyOn(settingsManager, "getSyncState").mockReturnValue(null);
+      jest.spyOn(settingsManager, "recordSyncState").mockImplementation(() => {});
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({
+        AWS_ACCESS_KEY_ID: "ASIAEXAMPLEKEY123456",
+        AWS_SECRET_ACCESS_KEY: "SECRETSECRETSECRET9876",
+      });
+    });
+
+    test("should print a masked diff for .env files without writing", async () => {
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "./app.env": "production",
+      });
+      jest.spyOn(awsCredentials, "previewCredentialsFile").mockReturnValue({
+        exists: true,
+        changed: true,
+        changes: [
+          { key: "AWS_ACCESS_KEY_ID", before: "ASIAOLDKEY0000001111", after: "ASIAEXAMPLEKEY123456" },
+          { key: "AWS_SECRET_ACCESS_KEY", before: undefined, after: "SECRETSECRETSECRET9876" },
+          { key: "AWS_REGION", before: "eu-west-1", after: "eu-west-1" },
+        ],
+      });
+      const writeCredsSpy = jest.spyOn(awsCredentials, "writeCredentialsToFile");
+      const restrictSpy = jest.spyOn(fileUtils, "restrictPermissions");
+
+      await app.handleSync({ dryRun: true });
+
+      const output = consoleOutput.join("\n");
+      expect(writeCredsSpy).not.toHaveBeenCalled();
+      expect(restrictSpy).not.toHaveBeenCalled();
+      expect(settingsManager.recordSyncState).not.toHaveBeenCalled();
+      expect(output).toContain("Would update ./app.env (production)");
+      expect(output).toContain("~ AWS_ACCESS_KEY_ID ASIA…1111 → ASIA…3456");
+      expect(output).toContain("+ AWS_SECRET_ACCESS_KEY SECR…9876");
+      expect(output).toContain("= AWS_REGION (unchanged)");
+      expect(output).not.toContain("SECRETSECRETSECRET9876");
+      expect(output).toContain("Dry run complete: 1 to update");
+    });
+
+    test("should preview Postman environments and list dropped duplicates", async () => {
+      jest.spyOn(settingsManager, "getPostmanApiKey").mockReturnValue("test-key");
+      jest.spyOn(settingsManager, "getPostmanMappings").mockReturnValue({
+        "env-1": { awsProfile: "production", environmentName: "Production" },
+      });
+      const updateSpy = jest.spyOn(postmanApi, "updateAwsCredentials");
+      jest.spyOn(postmanApi, "previewAwsCredentials").mockResolvedValue({
+        environmentName: "Production",
+        changed: false,
+        changes: [
+          { key: "aws_access_key_id", before: "ASIAEXAMPLEKEY123456", after: "ASIAEXAMPLEKEY123456" },
+          { key: "aws_session_token", before: undefined, after: undefined },
+        ],
+        droppedValues: [{ key: "api_url", value: "https://old.example.com" }],
+      });
+
+      await app.handlePostmanSync(undefined, { dryRun: true });
+
+      const output = consoleOutput.join("\n");
+      expect(updateSpy).not.toHaveBeenCalled();
+      expect(settingsManager.recordSyncState).not.toHaveBeenCalled();
+      expect(output).toContain("○ Unchanged Production (production)");
+      expect(output).toContain("= aws_access_key_id (unchanged)");
+      expect(output).not.toContain("aws_session_token");
+      expect(output).toContain("- api_url http….com (duplicate, would be removed)");
+      expect(output).toContain("Dry run complete: 0 to update, 1 unchanged");
+    });
+  });
+
+  describe("handleSync (git safety)", () => {
+    beforeEach(() => {
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({
+        refreshThresholdMinutes: 15,
+        gitSafety: "refuse",
+      });
+      jest.spyOn(settingsManager, "getSyncState").mockReturnValue(null);
+      jest.spyOn(settingsManager, "recordSyncState").mockImplementation(() => {});
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "./tracked.env": "production",
+        "./overridden.env": { awsProfile: "production", allowUnsafe: true },
+        "./ignored.env": "production",
+      });
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({
+        AWS_ACCESS_KEY_ID: "KEY",
+      });
+      jest.spyOn(gitSafety, "checkFile").mockImplementation((filePath) => ({
+        repoRoot: "/repo",
+        relativePath: filePath.slice(2),
+        tracked: filePath !== "./ignored.env",
+        ignored: filePath === "./ignored.env",
+        safe: filePath === "./ignored.env",
+      }));
+    });
+
+    test("should refuse to write unsafe files unless the mapping overrides it", async () => {
+      const writeCredsSpy = jest
+        .spyOn(awsCredentials, "writeCredentialsToFile")
+        .mockImplementation(() => ({ changed: true }));
+
+      await app.handleSync();
+
+      const output = consoleOutput.join("\n");
+      const writtenPaths = writeCredsSpy.mock.calls.map((call) => call[1]);
+      expect(writtenPaths).toEqual(["./overridden.env", "./ignored.env"]);
+      expect(output).toContain("✗ Refused ./tracked.env: it is tracked by git in /repo");
+      expect(output).toContain("Warning: ./overridden.env is tracked by git");
+      expect(output).toContain("2 updated, 0 unchanged, 0 skipped, 1 failed");
+    });
+  });
+
+  describe("handleGitignore", () => {
+    test("should add an ignore entry for a file that is not ignored", () => {
+      gitSafety.checkFile.mockReturnValue({
+        repoRoot: "/repo",
+        relativePath: "app/.env",
+        tracked: false,
+        ignored: false,
+        safe: false,
+      });
+      const addIgnoreSpy = jest
+        .spyOn(gitSafety, "addIgnoreEntry")
+        .mockReturnValue("/repo/.gitignore");
+
+      app.handleGitignore("/repo/app/.env");
+
+      expect(addIgnoreSpy).toHaveBeenCalledWith("/repo/app/.env");
+      expect(consoleOutput.join("\n")).toContain("Added /app/.env to /repo/.gitignore");
+    });
+
+    test("should explain how to untrack a tracked file", () => {
+      gitSafety.checkFile.mockReturnValue({
+        repoRoot: "/repo",
+        relativePath: "app/.env",
+        tracked: true,
+        ignored: true,
+        safe: false,
+      });
+      const addIgnoreSpy = jest.spyOn(gitSafety, "addIgnoreEntry");
+
+      app.handleGitignore("/repo/app/.env");
+
+      const output = consoleOutput.join("\n");
+      expect(addIgnoreSpy).not.toHaveBeenCalled();
+      expect(output).toContain("already ignored");
+      expect(output).toContain("git -C /repo rm --cached app/.env");
+    });
+
+    test("should report files outside a repository", () => {
+      app.handleGitignore("/tmp/.env");
+
+      expect(consoleOutput.join("\n")).toContain("not inside a git repository");
+    });
+  });
+
+  describe("handleSync (managed block)", () => {
+    test("should write managed block mappings into their block", async () => {
+      jest.spyOn(settingsManager, "getSyncState").mockReturnValue(null);
+      jest.spyOn(settingsManager, "recordSyncState").mockImplementation(() => {});
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "./app.env": { awsProfile: "production", managedBlock: true },
+      });
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({
+        AWS_ACCESS_KEY_ID: "KEY",
+      });
+      const writeCredsSpy = jest
+        .spyOn(awsCredentials, "writeCredentialsToFile")
+        .mockImplementation(() => ({ changed: true }));
+
+      await app.handleSync();
+
+      expect(writeCredsSpy).toHaveBeenCalledWith(
+        { AWS_ACCESS_KEY_ID: "KEY" },
+        "./app.env",
+        { managedBlock: true, awsProfile: "production" }
+      );
+    });
+  });
+
+  describe("handleSync (custom variable names)", () => {
+    test("should write credentials under the mapping's variable names", async () => {
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({
+        refreshThresholdMinutes: 15,
+        writeExpiration: false,
+      });
+      jest.spyOn(settingsManager, "getSyncState").mockReturnValue(null);
+      jest.spyOn(settingsManager, "recordSyncState").mockImplementation(() => {});
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "./data.env": { awsProfile: "production", variableTemplate: "DATA_{name}" },
+        "./app.env": "production",
+      });
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({
+        AWS_ACCESS_KEY_ID: "KEY",
+        AWS_SECRET_ACCESS_KEY: "SECRET",
+      });
+      const writeCredsSpy = jest
+        .spyOn(awsCredentials, "writeCredentialsToFile")
+        .mockImplementation(() => ({ changed: true }));
+
+      await app.handleSync();
+
+      expect(writeCredsSpy).toHaveBeenCalledWith(
+        { DATA_AWS_ACCESS_KEY_ID: "KEY", DATA_AWS_SECRET_ACCESS_KEY: "SECRET" },
+        "./data.env",
+        { managedBlock: false, awsProfile: "production" }
+      );
+      expect(writeCredsSpy).toHaveBeenCalledWith(
+        { AWS_ACCESS_KEY_ID: "KEY", AWS_SECRET_ACCESS_KEY: "SECRET" },
+        "./app.env",
+        { managedBlock: false, awsProfile: "production" }
+      );
+    });
+  });
+
+  describe("extra variables", () => {
+    beforeEach(() => {
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({ refreshThresholdMinutes: 15 });
+      jest.spyOn(settingsManager, "getSyncState").mockReturnValue(null);
+      jest.spyOn(settingsManager, "recordSyncState").mockImplementation(() => {});
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({
+        AWS_ACCESS_KEY_ID: "KEY",
+        AWS_SECRET_ACCESS_KEY: "SECRET",
+      });
+      jest.spyOn(awsProfiles, "getProfileConfig").mockReturnValue({ region: "eu-west-1" });
+    });
+
+    test("should store extra variables given to add", () => {
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({ gitSafety: "refuse" });
+      const addMappingSpy = jest
+        .spyOn(settingsManager, "addMapping")
+        .mockImplementation(() => {});
+
+      app.handleAdd("/repo/app.env", "production", {
+        extra: ["AWS_REGION={config:region}", "API_URL=https://api.example.com/v1?x=1"],
+      });
+
+      expect(addMappingSpy).toHaveBeenCalledWith("/repo/app.env", "production", {
+        extraVariables: {
+          AWS_REGION: "{config:region}",
+          API_URL: "https://api.example.com/v1?x=1",
+        },
+      });
+    });
+
+    test("should reject malformed extra variables", () => {
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({ gitSafety: "refuse" });
+      const addMappingSpy = jest.spyOn(settingsManager, "addMapping");
+
+      app.handleAdd("/repo/app.env", "production", { extra: "=eu-west-1" });
+
+      expect(addMappingSpy).not.toHaveBeenCalled();
+      expect(consoleOutput.join("\n")).toContain('--extra expects NAME=VALUE, got "=eu-west-1"');
+    });
+
+    test("should write expanded extra variables to .env files", async () => {
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "./app.env": {
+          awsProfile: "production",
+          extraVariables: { AWS_REGION: "{config:region}", AWS_PROFILE: "{profile}" },
+        },
+      });
+      const writeCredsSpy = jest
+        .spyOn(awsCredentials, "writeCredentialsToFile")
+        .mockImplementation(() => ({ changed: true }));
+
+      await app.handleSync();
+
+      expect(writeCredsSpy).toHaveBeenCalledWith(
+        {
+          AWS_ACCESS_KEY_ID: "KEY",
+          AWS_SECRET_ACCESS_KEY: "SECRET",
+          AWS_REGION: "eu-west-1",
+          AWS_PROFILE: "production",
+        },
+        "./app.env",
+        { managedBlock: false, awsProfile: "production" }
+      );
+    });
+
+    test("should fail a target whose profile lacks a referenced setting", async () => {
+      awsProfiles.getProfileConfig.mockReturnValue({});
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "./app.env": { awsProfile: "production", extraVariables: { AWS_REGION: "{config:region}" } },
+      });
+      const writeCredsSpy = jest.spyOn(awsCredentials, "writeCredentialsToFile");
+
+      await app.handleSync();
+
+      expect(writeCredsSpy).not.toHaveBeenCalled();
+      expect(consoleOutput.join("\n")).toContain(
+        'Failed to expand AWS_REGION: profile "production" has no region setting'
+      );
+    });
+
+    test("should store and write extra variables for Postman environments", async () => {
+      jest.spyOn(settingsManager, "getPostmanApiKey").mockReturnValue("test-key");
+      jest.spyOn(postmanApi, "getEnvironmentName").mockResolvedValue("Production");
+      const addSpy = jest
+        .spyOn(settingsManager, "addPostmanMapping")
+        .mockImplementation(() => {});
+
+      await app.handlePostman(["add", "env-1", "production", "--extra", "aws_region={config:region}"]);
+
+      expect(addSpy).toHaveBeenCalledWith("env-1", {
+        awsProfile: "production",
+        environmentName: "Production",
+        extraVariables: { aws_region: "{config:region}" },
+      });
+
+      jest.spyOn(settingsManager, "getPostmanMappings").mockReturnValue({
+        "env-1": {
+          awsProfile: "production",
+          environmentName: "Production",
+          extraVariables: { aws_region: "{config:region}" },
+        },
+      });
+      const updateSpy = jest
+        .spyOn(postmanApi, "updateAwsCredentials")
+        .mockResolvedValue({ environmentName: "Production", changed: true });
+
+      await app.handlePostmanSync();
+
+      expect(updateSpy).toHaveBeenCalledWith("env-1", {
+        aws_access_key_id: "KEY",
+        aws_access_secret: "SECRET",
+        aws_session_token: undefined,
+        aws_region: "eu-west-1",
+      }, undefined);
+    });
+  });
+
+  describe("prefixed profiles", () => {
+    beforeEach(() => {
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({ refreshThresholdMinutes: 15 });
+      jest.spyOn(settingsManager, "getSyncState").mockReturnValue(null);
+      jest.spyOn(settingsManager, "recordSyncState").mockImplementation(() => {});
+    });
+
+    test("should store prefixed profiles given to add", () => {
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({ gitSafety: "refuse" });
+      const addMappingSpy = jest
+        .spyOn(settingsManager, "addMapping")
+        .mockImplementation(() => {});
+
+      app.handleAdd("/repo/app.env", "app-prod", { with: "data-prod=DATA_" });
+
+      expect(addMappingSpy).toHaveBeenCalledWith("/repo/app.env", "app-prod", {
+        profiles: [{ profile: "data-prod", prefix: "DATA_" }],
+      });
+      expect(consoleOutput.join("\n")).toContain(
+        "✓ Added mapping: /repo/app.env → app-prod, data-prod as DATA_"
+      );
+    });
+
+    test("should reject a prefixed profile without a prefix", () => {
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({ gitSafety: "refuse" });
+      const addMappingSpy = jest.spyOn(settingsManager, "addMapping");
+
+      app.handleAdd("/repo/app.env", "app-prod", { with: "data-prod" });
+
+      expect(addMappingSpy).not.toHaveBeenCalled();
+      expect(consoleOutput.join("\n")).toContain('--with expects PROFILE=PREFIX, got "data-prod"');
+    });
+
+    test("should write every profile in one update and resolve each profile once", async () => {
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "./app.env": {
+          awsProfile: "app-prod",
+          profiles: [{ awsProfile: "data-prod", prefix: "DATA_" }],
+        },
+        "./data.env": "data-prod",
+      });
+      const getCredsSpy = jest
+        .spyOn(awsCredentials, "getCredentialsAsEnvVars")
+        .mockImplementation(async (profile) => ({
+          AWS_ACCESS_KEY_ID: `${profile}-key`,
+          AWS_CREDENTIAL_EXPIRATION:
+            profile === "app-prod" ? "2030-01-01T02:00:00Z" : "2030-01-01T01:00:00Z",
+        }));
+      const writeCredsSpy = jest
+        .spyOn(awsCredentials, "writeCredentialsToFile")
+        .mockImplementation(() => ({ changed: true }));
+
+      await app.handleSync();
+
+      expect(getCredsSpy.mock.calls).toEqual([["app-prod"], ["data-prod"]]);
+      expect(writeCredsSpy).toHaveBeenCalledTimes(2);
+      expect(writeCredsSpy).toHaveBeenCalledWith(
+        { AWS_ACCESS_KEY_ID: "app-prod-key", DATA_AWS_ACCESS_KEY_ID: "data-prod-key" },
+        "./app.env",
+        { managedBlock: false, awsProfile: "app-prod, data-prod as DATA_" }
+      );
+      expect(settingsManager.recordSyncState).toHaveBeenCalledWith("env", "./app.env", {
+        awsProfile: "app-prod",
+        expiration: "2030-01-01T01:00:00Z",
+      });
+      expect(consoleOutput.join("\n")).toContain("✓ Updated ./app.env (app-prod, data-prod as DATA_)");
+    });
+
+    test("should write an escaped bracket path to the literal file", async () => {
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "/repo/apps/\\[id]/.env": "app-prod",
+      });
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({ AWS_ACCESS_KEY_ID: "KEY" });
+      const writeCredsSpy = jest
+        .spyOn(awsCredentials, "writeCredentialsToFile")
+        .mockImplementation(() => ({ changed: true }));
+
+      await app.handleSync();
+
+      expect(writeCredsSpy.mock.calls[0][1]).toBe("/repo/apps/[id]/.env");
+    });
+
+    test("should fail the file when a prefixed profile cannot be resolved", async () => {
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "./app.env": {
+          awsProfile: "app-prod",
+          profiles: [{ awsProfile: "data-prod", prefix: "DATA_" }],
+        },
+      });
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockImplementation(async (profile) => {
+        if (profile === "data-prod") {
+          throw new Error("SSO login failed");
+        }
+        return { AWS_ACCESS_KEY_ID: "key" };
+      });
+      const writeCredsSpy = jest.spyOn(awsCredentials, "writeCredentialsToFile");
+
+      await app.handleSync();
+
+      expect(writeCredsSpy).not.toHaveBeenCalled();
+      expect(consoleOutput.join("\n")).toContain(
+        '✗ Failed to update ./app.env: Could not get credentials for profile "data-prod"'
+      );
+    });
+
+    test("should scrub the prefixed variables too", async () => {
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "/repo/app.env": {
+          awsProfile: "app-prod",
+          profiles: [{ awsProfile: "data-prod", prefix: "DATA_" }],
+        },
+      });
+      jest.spyOn(settingsManager, "clearSyncState").mockImplementation(() => {});
+      const removeSpy = jest
+        .spyOn(awsCredentials, "removeCredentialsFromFile")
+        .mockReturnValue({ changed: true });
+
+      await app.handleScrub("/repo/app.env");
+
+      expect(removeSpy.mock.calls[0][1]).toEqual(
+        expect.arrayContaining(["AWS_ACCESS_KEY_ID", "DATA_AWS_ACCESS_KEY_ID", "DATA_AWS_SESSION_TOKEN"])
+      );
+    });
+  });
+
+  describe("Postman variable names", () => {
+    beforeEach(() => {
+      jest.spyOn(settingsManager, "getPostmanApiKey").mockReturnValue("test-key");
+    });
+
+    test("should store variable names, types and disabled variables given to postman add", async () => {
+      jest.spyOn(postmanApi, "getEnvironmentName").mockResolvedValue("Production");
+      const addSpy = jest
+        .spyOn(settingsManager, "addPostmanMapping")
+        .mockImplementation(() => {});
+
+      await app.processCommand(
+        "postman add env-1 production --var aws_access_key_id=accessKey --var aws_access_secret=secretKey --type aws_access_key_id=default --disabled aws_session_token"
+      );
+
+      expect(addSpy).toHaveBeenCalledWith("env-1", {
+        awsProfile: "production",
+        environmentName: "Production",
+        variables: {
+          aws_access_key_id: { name: "accessKey", type: "default" },
+          aws_access_secret: { name: "secretKey" },
+          aws_session_token: { enabled: false },
+        },
+      });
+      expect(consoleOutput.join("\n")).toContain(
+        "aws_access_key_id=accessKey (default), aws_access_secret=secretKey, aws_session_token=aws_session_token (disabled)"
+      );
+    });
+
+    test("should reject unknown variables and types", async () => {
+      const addSpy = jest.spyOn(settingsManager, "addPostmanMapping");
+
+      await app.handlePostmanAdd("env-1", "production", { var: "accessKey=key" });
+      await app.handlePostmanAdd("env-1", "production", { type: "aws_access_key_id=text" });
+
+      const output = consoleOutput.join("\n");
+      expect(addSpy).not.toHaveBeenCalled();
+      expect(output).toContain('--var expects one of aws_access_key_id, aws_access_secret');
+      expect(output).toContain('--type expects NAME=default or NAME=secret, got "aws_access_key_id=text"');
+    });
+
+    test("should pass the mapping's variables to the Postman update", async () => {
+      const variables = { aws_access_key_id: { name: "accessKey" } };
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({ refreshThresholdMinutes: 15 });
+      jest.spyOn(settingsManager, "getSyncState").mockReturnValue(null);
+      jest.spyOn(settingsManager, "recordSyncState").mockImplementation(() => {});
+      jest.spyOn(settingsManager, "getPostmanMappings").mockReturnValue({
+        "env-1": { awsProfile: "production", environmentName: "Production", variables },
+      });
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({
+        AWS_ACCESS_KEY_ID: "KEY",
+        AWS_SECRET_ACCESS_KEY: "SECRET",
+      });
+      const updateSpy = jest
+        .spyOn(postmanApi, "updateAwsCredentials")
+        .mockResolvedValue({ environmentName: "Production", changed: true });
+
+      await app.handlePostmanSync();
+
+      expect(updateSpy.mock.calls[0][2]).toBe(variables);
+    });
+  });
+
+  describe("Postman collections", () => {
+    beforeEach(() => {
+      jest.spyOn(settingsManager, "getPostmanApiKey").mockReturnValue("test-key");
+    });
+
+    test("should map a collection with postman add-collection", async () => {
+      jest.spyOn(postmanApi, "getCollectionName").mockResolvedValue("Shared API");
+      const addSpy = jest
+        .spyOn(settingsManager, "addPostmanMapping")
+        .mockImplementation(() => {});
+
+      await app.processCommand("postman add-collection col-1 production --var aws_access_key_id=accessKey");
+
+      expect(addSpy).toHaveBeenCalledWith("col-1", {
+        kind: "collection",
+        awsProfile: "production",
+        collectionName: "Shared API",
+        variables: { aws_access_key_id: { name: "accessKey" } },
+      });
+      expect(consoleOutput.join("\n")).toContain('✓ Mapped Postman collection "Shared API" → AWS profile "production"');
+    });
+
+    test("should reject --type for collections", async () => {
+      const addSpy = jest.spyOn(settingsManager, "addPostmanMapping");
+
+      await app.processCommand("postman add-collection col-1 production --type aws_access_key_id=secret");
+
+      expect(addSpy).not.toHaveBeenCalled();
+      expect(consoleOutput.join("\n")).toContain("--type only applies to environments");
+    });
+
+    test("should sync, list and scrub collections through the collection API", async () => {
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({ refreshThresholdMinutes: 15 });
+      jest.spyOn(settingsManager, "getSyncState").mockReturnValue(null);
+      jest.spyOn(settingsManager, "recordSyncState").mockImplementation(() => {});
+      jest.spyOn(settingsManager, "clearSyncState").mockImplementation(() => {});
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({});
+      const renameSpy = jest
+        .spyOn(settingsManager, "updatePostmanMappingName")
+        .mockImplementation(() => {});
+      jest.spyOn(settingsManager, "getPostmanMappings").mockReturnValue({
+        "col-1": { kind: "collection", awsProfile: "production", collectionName: "Old Name" },
+      });
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({
+        AWS_ACCESS_KEY_ID: "KEY",
+        AWS_SECRET_ACCESS_KEY: "SECRET",
+      });
+      const environmentSpy = jest.spyOn(postmanApi, "updateAwsCredentials");
+      const updateSpy = jest
+        .spyOn(postmanApi, "updateCollectionAwsCredentials")
+        .mockResolvedValue({ collectionName: "Shared API", collectionId: "col-1", changed: true });
+      const clearSpy = jest
+        .spyOn(postmanApi, "clearCollectionAwsCredentials")
+        .mockResolvedValue({ collectionName: "Shared API", collectionId: "col-1", changed: true });
+
+      await app.handlePostmanSync();
+      app.handlePostmanList();
+      await app.handleScrub(undefined, { postman: true });
+
+      const output = consoleOutput.join("\n");
+      expect(environmentSpy).not.toHaveBeenCalled();
+      expect(updateSpy.mock.calls[0][0]).toBe("col-1");
+      expect(renameSpy).toHaveBeenCalledWith("col-1", "Shared API");
+      expect(output).toContain("✓ Updated Shared API (production)");
+      expect(output).toContain("Old Name (collection col-1) → production");
+      expect(clearSpy).toHaveBeenCalledWith("col-1", undefined);
+      expect(output).toContain("✓ Blanked Old Name");
+    });
+  });
+
+  describe("Postman environment names", () => {
+    beforeEach(() => {
+      jest.spyOn(settingsManager, "getPostmanApiKey").mockReturnValue("test-key");
+      postmanApi.listEnvironments.mockResolvedValue([
+        { id: "env-prod", uid: "1-env-prod", name: "Production" },
+        { id: "env-eu", name: "Staging EU" },
+        { id: "env-us", name: "Staging US" },
+      ]);
+      jest.spyOn(postmanApi, "getEnvironmentName").mockResolvedValue("Production");
+    });
+
+    test("should map an environment given by name, storing its ID", async () => {
+      const addSpy = jest.spyOn(settingsManager, "addPostmanMapping").mockImplementation(() => {});
+
+      await app.processCommand("postman add production prod");
+      await app.processCommand("postman add 1-env-prod prod");
+
+      expect(addSpy.mock.calls.map((call) => call[0])).toEqual(["env-prod", "env-prod"]);
+      expect(consoleOutput.join("\n")).toContain('» Using environment "Production" (env-prod) for "production"');
+    });
+
+    test("should let the user pick among ambiguous names", async () => {
+      const addSpy = jest.spyOn(settingsManager, "addPostmanMapping").mockImplementation(() => {});
+      const rl = { question: jest.fn((prompt, callback) => callback("2")) };
+
+      await app.processCommand("postman add staging staging", rl);
+
+      const output = consoleOutput.join("\n");
+      expect(output).toContain('Several environments match "staging":');
+      expect(output).toContain("  1) Staging EU (env-eu)");
+      expect(rl.question.mock.calls[0][0]).toBe("Which environment? [1-2, Enter to cancel] ");
+      expect(addSpy.mock.calls[0][0]).toBe("env-us");
+    });
+
+    test("should not guess among ambiguous names without a prompt", async () => {
+      const addSpy = jest.spyOn(settingsManager, "addPostmanMapping");
+
+      await app.processCommand("postman add staging staging", { close: jest.fn() });
+
+      expect(addSpy).not.toHaveBeenCalled();
+      expect(consoleOutput.join("\n")).toContain("Use the environment ID or a more specific name.");
+    });
+
+    test("should remove and sync mappings given by their stored name", async () => {
+      jest.spyOn(settingsManager, "getPostmanMappings").mockReturnValue({
+        "env-prod": { awsProfile: "prod", environmentName: "Production" },
+        "col-1": { kind: "collection", awsProfile: "prod", collectionName: "Shared API" },
+      });
+      const removeSpy = jest.spyOn(settingsManager, "removePostmanMapping").mockReturnValue(true);
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({ refreshThresholdMinutes: 15 });
+      jest.spyOn(settingsManager, "getSyncState").mockReturnValue(null);
+      jest.spyOn(settingsManager, "recordSyncState").mockImplementation(() => {});
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({ AWS_ACCESS_KEY_ID: "KEY" });
+      const updateSpy = jest
+        .spyOn(postmanApi, "updateCollectionAwsCredentials")
+        .mockResolvedValue({ collectionName: "Shared API", changed: false });
+
+      const rl = { question: jest.fn((prompt, callback) => callback("1")) };
+
+      await app.processCommand('postman remove "Production"');
+      await app.processCommand("postman sync shared", rl);
+
+      expect(removeSpy).toHaveBeenCalledWith("env-prod");
+      expect(postmanApi.listEnvironments).not.toHaveBeenCalled();
+      expect(updateSpy.mock.calls[0][0]).toBe("col-1");
+      expect(consoleOutput.join("\n")).toContain('No mapping is named "shared". Did you mean:');
+    });
+
+    test("should confirm a single fuzzy match instead of using it", async () => {
+      const addSpy = jest.spyOn(settingsManager, "addPostmanMapping").mockImplementation(() => {});
+
+      await app.processCommand("postman add prod prod", { close: jest.fn() });
+
+      expect(addSpy).not.toHaveBeenCalled();
+      const output = consoleOutput.join("\n");
+      expect(output).toContain('No environment is named "prod". Did you mean:');
+      expect(output).toContain("  1) Production (env-prod)");
+
+      const rl = { question: jest.fn((prompt, callback) => callback("1")) };
+      await app.processCommand("postman add prod prod", rl);
+      expect(rl.question.mock.calls[0][0]).toBe("Which environment? [1-1, Enter to cancel] ");
+      expect(addSpy.mock.calls[0][0]).toBe("env-prod");
+    });
+  });
+
+  describe("Postman workspaces", () => {
+    beforeEach(() => {
+      jest.spyOn(settingsManager, "getPostmanApiKey").mockReturnValue("test-key");
+      postmanApi.listWorkspaces.mockResolvedValue([
+        { id: "ws-team", name: "Team API", type: "team" },
+        { id: "ws-me", name: "My Workspace", type: "personal" },
+      ]);
+      postmanApi.listEnvironments.mockImplementation(async (workspaceId) =>
+        workspaceId === "ws-team"
+          ? [{ id: "env-prod", name: "Production", updatedAt: "2026-10-01T12:34:56.000Z" }]
+          : [{ id: "env-dev", name: "Dev" }]
+      );
+    });
+
+    test("should list environments grouped by workspace with their last update", async () => {
+      await app.processCommand("postman envs");
+
+      const output = consoleOutput.join("\n");
+      expect(postmanApi.listEnvironments.mock.calls).toEqual([["ws-team"], ["ws-me"]]);
+      expect(output).toContain("Team API (ws-team)");
+      expect(output).toContain(`  ${"Production".padEnd(30)} env-prod  updated 2026-10-01 12:34 UTC`);
+      expect(output).toContain("My Workspace (ws-me)");
+    });
+
+    test("should filter by a workspace given by name", async () => {
+      const rl = { question: jest.fn((prompt, callback) => callback("1")) };
+
+      await app.processCommand("postman envs --workspace team", rl);
+
+      const output = consoleOutput.join("\n");
+      expect(postmanApi.listEnvironments).toHaveBeenCalledTimes(1);
+      expect(output).toContain('No workspace is named "team". Did you mean:');
+      expect(output).not.toContain("My Workspace");
+    });
+
+    test("should list only the default workspace unless --all is given", async () => {
+      settingsManager.getPostmanDefaultWorkspace.mockReturnValue("ws-me");
+
+      await app.processCommand("postman envs");
+      expect(consoleOutput.join("\n")).not.toContain("Team API");
+      expect(consoleOutput.join("\n")).toContain("Showing the default workspace only");
+
+      consoleOutput = [];
+      await app.processCommand("postman envs --all");
+      expect(consoleOutput.join("\n")).toContain("Team API");
+    });
+
+    test("should list workspaces and set the default one by name", async () => {
+      const setSpy = jest.spyOn(settingsManager, "setPostmanDefaultWorkspace").mockImplementation(() => {});
+      settingsManager.getPostmanDefaultWorkspace.mockReturnValue("ws-team");
+
+      await app.processCommand("postman workspaces");
+      await app.processCommand('postman workspaces default "My Workspace"');
+      await app.processCommand("postman workspaces default --clear");
+
+      const output = consoleOutput.join("\n");
+      expect(output).toContain(`* ${"Team API".padEnd(30)} ws-team  team`);
+      expect(output).toContain("✓ Default Postman workspace: My Workspace (ws-me)");
+      expect(setSpy.mock.calls).toEqual([["ws-me"], [null]]);
+    });
+
+    test("should look names up in the default workspace before all workspaces", async () => {
+      settingsManager.getPostmanDefaultWorkspace.mockReturnValue("ws-me");
+      const addSpy = jest.spyOn(settingsManager, "addPostmanMapping").mockImplementation(() => {});
+      jest.spyOn(postmanApi, "getEnvironmentName").mockResolvedValue("Dev");
+
+      await app.processCommand("postman add Dev dev");
+      expect(postmanApi.listEnvironments.mock.calls).toEqual([["ws-me"]]);
+      expect(addSpy.mock.calls[0][0]).toBe("env-dev");
+
+      postmanApi.listEnvironments.mockClear();
+      postmanApi.listEnvironments.mockImplementation(async (workspaceId) =>
+        workspaceId === "ws-me" ? [{ id: "env-dev", name: "Dev" }] : [{ id: "env-prod", name: "Production" }]
+      );
+      await app.processCommand("postman add Production prod");
+      expect(postmanApi.listEnvironments.mock.calls).toEqual([["ws-me"], []]);
+      expect(addSpy.mock.calls[1][0]).toBe("env-prod");
+    });
+
+    test("should prefer an exact name elsewhere over a fuzzy one in the default workspace", async () => {
+      settingsManager.getPostmanDefaultWorkspace.mockReturnValue("ws-me");
+      const addSpy = jest.spyOn(settingsManager, "addPostmanMapping").mockImplementation(() => {});
+      jest.spyOn(postmanApi, "getEnvironmentName").mockResolvedValue("Staging");
+      postmanApi.listEnvironments.mockImplementation(async (workspaceId) =>
+        workspaceId === "ws-me"
+          ? [{ id: "env-old", name: "Staging-old" }]
+          : [
+              { id: "env-old", name: "Staging-old" },
+              { id: "env-staging", name: "Staging" },
+            ]
+      );
+
+      await app.processCommand("postman add Staging staging");
+
+      expect(postmanApi.listEnvironments.mock.calls).toEqual([["ws-me"], []]);
+      expect(addSpy.mock.calls[0][0]).toBe("env-staging");
+      expect(consoleOutput.join("\n")).not.toContain("Did you mean");
+    });
+
+    test("should report failures to set the default workspace as such", async () => {
+      postmanApi.listWorkspaces.mockRejectedValue(new Error("Postman API error: 500"));
+
+      await app.processCommand("postman workspaces default ws-team");
+
+      const output = consoleOutput.join("\n");
+      expect(output).toContain("Error setting default workspace: Postman API error: 500");
+      expect(output).not.toContain("Error listing workspaces");
+    });
+
+    test("should create environments in the default workspace", async () => {
+      settingsManager.getPostmanDefaultWorkspace.mockReturnValue("ws-me");
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({ refreshThresholdMinutes: 15 });
+      jest.spyOn(settingsManager, "addPostmanMapping").mockImplementation(() => {});
+      jest.spyOn(settingsManager, "recordSyncState").mockImplementation(() => {});
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({ AWS_ACCESS_KEY_ID: "KEY" });
+      const createSpy = jest
+        .spyOn(postmanApi, "createAwsEnvironment")
+        .mockResolvedValue({ environmentName: "Dev", environmentId: "new-env", copiedValues: 0 });
+
+      await app.processCommand("postman create Dev dev");
+
+      expect(createSpy.mock.calls[0][3]).toEqual({ workspaceId: "ws-me", templateId: undefined });
+    });
+  });
+
+  describe("handlePostmanCreate", () => {
+    beforeEach(() => {
+      jest.spyOn(settingsManager, "getPostmanApiKey").mockReturnValue("test-key");
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({ refreshThresholdMinutes: 15 });
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({
+        AWS_ACCESS_KEY_ID: "KEY",
+        AWS_SECRET_ACCESS_KEY: "SECRET",
+        AWS_CREDENTIAL_EXPIRATION: "2026-10-19T12:00:00Z",
+      });
+    });
+
+    test("should create, map and record the new environment", async () => {
+      const createSpy = jest
+        .spyOn(postmanApi, "createAwsEnvironment")
+        .mockResolvedValue({ environmentName: "Team Dev", environmentId: "new-env", copiedValues: 2 });
+      const addSpy = jest.spyOn(settingsManager, "addPostmanMapping").mockImplementation(() => {});
+      const stateSpy = jest.spyOn(settingsManager, "recordSyncState").mockImplementation(() => {});
+
+      await app.processCommand(
+        'postman create "Team Dev" production --workspace ws-1 --template tpl --extra aws_region=eu-west-1'
+      );
+
+      expect(createSpy).toHaveBeenCalledWith(
+        "Team Dev",
+        { aws_access_key_id: "KEY", aws_access_secret: "SECRET", aws_session_token: undefined, aws_region: "eu-west-1" },
+        {},
+        { workspaceId: "ws-1", templateId: "tpl" }
+      );
+      expect(addSpy).toHaveBeenCalledWith("new-env", {
+        awsProfile: "production",
+        extraVariables: { aws_region: "eu-west-1" },
+        environmentName: "Team Dev",
+      });
+      expect(stateSpy).toHaveBeenCalledWith("postman", "new-env", {
+        awsProfile: "production",
+        expiration: "2026-10-19T12:00:00Z",
+      });
+      expect(consoleOutput.join("\n")).toContain(
+        '✓ Created Postman env "Team Dev" (new-env) → AWS profile "production" (2 variable(s) copied from template)'
+      );
+    });
+
+    test("should keep an environment name given on the command line together", async () => {
+      const createSpy = jest
+        .spyOn(postmanApi, "createAwsEnvironment")
+        .mockResolvedValue({ environmentName: "Team Dev", environmentId: "new-env", copiedValues: 0 });
+      jest.spyOn(settingsManager, "addPostmanMapping").mockImplementation(() => {});
+      jest.spyOn(settingsManager, "recordSyncState").mockImplementation(() => {});
+
+      // As the shell passes: aws-auto-env postman create "Team Dev" production
+      const line = app.buildCommandLine(["postman", "create", "Team Dev", "production"]);
+      expect(line).toBe('postman create "Team Dev" production');
+      await app.processCommand(line, { close: jest.fn() });
+
+      expect(createSpy.mock.calls[0][0]).toBe("Team Dev");
+      expect(app.buildCommandLine(["postman", "create", 'Say "hi"', ""])).toBe(
+        `postman create 'Say "hi"' ""`
+      );
+    });
+
+    test("should not map anything when the template does not exist", async () => {
+      jest
+        .spyOn(postmanApi, "createAwsEnvironment")
+        .mockRejectedValue(new postmanApi.PostmanNotFoundError("Environment tpl not found"));
+      const addSpy = jest.spyOn(settingsManager, "addPostmanMapping");
+
+      await app.handlePostmanCreate("Dev", "production", { template: "tpl" });
+
+      expect(addSpy).not.toHaveBeenCalled();
+      expect(consoleOutput.join("\n")).toContain("Error creating environment: Environment tpl not found");
+    });
+  });
+
+  describe("Postman globals", () => {
+    beforeEach(() => {
+      jest.spyOn(settingsManager, "getPostmanApiKey").mockReturnValue("test-key");
+    });
+
+    test("should map a workspace's globals with postman globals add", async () => {
+      jest.spyOn(postmanApi, "getWorkspaceName").mockResolvedValue("Team");
+      const addSpy = jest
+        .spyOn(settingsManager, "addPostmanMapping")
+        .mockImplementation(() => {});
+
+      await app.processCommand("postman globals add ws-1 production --type aws_access_key_id=default");
+
+      expect(addSpy).toHaveBeenCalledWith("ws-1", {
+        kind: "globals",
+        awsProfile: "production",
+        workspaceName: "Team",
+        variables: { aws_access_key_id: { type: "default" } },
+      });
+      expect(consoleOutput.join("\n")).toContain('✓ Mapped Postman globals of workspace "Team" → AWS profile "production"');
+    });
+
+    test("should only sync globals mappings with postman globals sync", async () => {
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({ refreshThresholdMinutes: 15 });
+      jest.spyOn(settingsManager, "getSyncState").mockReturnValue(null);
+      jest.spyOn(settingsManager, "recordSyncState").mockImplementation(() => {});
+      jest.spyOn(settingsManager, "getPostmanMappings").mockReturnValue({
+        "env-1": { awsProfile: "production", environmentName: "Production" },
+        "ws-1": { kind: "globals", awsProfile: "production", workspaceName: "Team" },
+      });
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({
+        AWS_ACCESS_KEY_ID: "KEY",
+        AWS_SECRET_ACCESS_KEY: "SECRET",
+      });
+      const environmentSpy = jest.spyOn(postmanApi, "updateAwsCredentials");
+      const globalsSpy = jest
+        .spyOn(postmanApi, "updateGlobalsAwsCredentials")
+        .mockResolvedValue({ workspaceId: "ws-1", changed: true });
+
+      await app.processCommand("postman globals sync --force");
+
+      expect(environmentSpy).not.toHaveBeenCalled();
+      expect(globalsSpy.mock.calls[0][0]).toBe("ws-1");
+      expect(consoleOutput.join("\n")).toContain("✓ Updated globals of Team (production)");
+    });
+
+    test("should refuse to remove another kind of mapping with postman globals remove", async () => {
+      jest.spyOn(settingsManager, "getPostmanMappings").mockReturnValue({
+        "env-1": { awsProfile: "production", environmentName: "Production" },
+      });
+      const removeSpy = jest.spyOn(settingsManager, "removePostmanMapping");
+
+      await app.processCommand("postman globals remove env-1");
+
+      expect(removeSpy).not.toHaveBeenCalled();
+      expect(consoleOutput.join("\n")).toContain('✗ env-1 is not a globals mapping; use "postman remove env-1"');
+    });
+  });
+
+  describe("Postman errors", () => {
+    test("should apply the connection and retry settings and explain failures users can fix", async () => {
+      jest.spyOn(settingsManager, "getPostmanApiKey").mockReturnValue("test-key");
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({ refreshThresholdMinutes: 15 });
+      jest.spyOn(settingsManager, "getSyncState").mockReturnValue(null);
+      jest.spyOn(settingsManager, "getPostmanMappings").mockReturnValue({
+        "env-1": { awsProfile: "production", environmentName: "Production" },
+        "env-2": { awsProfile: "production", environmentName: "Gone" },
+      });
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({
+        AWS_ACCESS_KEY_ID: "KEY",
+        AWS_SECRET_ACCESS_KEY: "SECRET",
+      });
+      const retrySpy = jest.spyOn(postmanApi, "setRetryOptions");
+      const connectionSpy = jest.spyOn(postmanApi, "setConnectionOptions");
+      jest
+        .spyOn(postmanApi, "updateAwsCredentials")
+        .mockRejectedValueOnce(new postmanApi.PostmanAuthError("Invalid API key", 401))
+        .mockRejectedValueOnce(new postmanApi.PostmanNotFoundError("Environment env-2 not found"));
+
+      await app.handlePostmanSync();
+
+      const output = consoleOutput.join("\n");
+      expect(retrySpy).toHaveBeenCalledWith({ maxRetries: 3, maxDelayMs: 60000 });
+      expect(connectionSpy).toHaveBeenCalledWith({
+        baseUrl: "https://api.getpostman.com",
+        timeoutMs: 30000,
+        proxyUrl: null,
+      });
+      expect(output).toContain(
+        '✗ Failed to update Production (production): Invalid API key (check the API key with "postman key")'
+      );
+      expect(output).toContain('(remove the mapping with "postman remove env-2")');
+    });
+  });
+
+  describe("handleScrub", () => {
+    beforeEach(() => {
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        "./app.env": "production",
+        "/repo/data.env": { awsProfile: "data", variableTemplate: "DATA_{name}" },
+      });
+      jest.spyOn(settingsManager, "clearSyncState").mockImplementation(() => {});
+    });
+
+    test("should show error when no target is given", async () => {
+      await app.handleScrub();
+
+      expect(consoleOutput.join("\n")).toContain("required");
+    });
+
+    test("should scrub a single file using its mapped variable names", async () => {
+      const removeCredsSpy = jest
+        .spyOn(awsCredentials, "removeCredentialsFromFile")
+        .mockReturnValue({ changed: true });
+
+      await app.handleScrub("/repo/data.env");
+
+      expect(removeCredsSpy).toHaveBeenCalledTimes(1);
+      expect(removeCredsSpy).toHaveBeenCalledWith("/repo/data.env", [
+        "DATA_AWS_ACCESS_KEY_ID",
+        "DATA_AWS_SECRET_ACCESS_KEY",
+        "DATA_AWS_SESSION_TOKEN",
+        "DATA_AWS_CREDENTIAL_EXPIRATION",
+      ]);
+      expect(settingsManager.clearSyncState).toHaveBeenCalledWith("env", "/repo/data.env");
+      expect(consoleOutput.join("\n")).toContain("✓ Scrubbed /repo/data.env");
+    });
+
+    test("should scrub every mapped file with --all and report each target", async () => {
+      jest
+        .spyOn(awsCredentials, "removeCredentialsFromFile")
+        .mockImplementation((filePath) => {
+          if (filePath === "/repo/data.env") {
+            throw new Error("Permission denied");
+          }
+          return { changed: false };
+        });
+
+      await app.handleScrub(undefined, { all: true });
+
+      const output = consoleOutput.join("\n");
+      expect(output).toContain("○ No credentials in ./app.env");
+      expect(output).toContain("✗ Failed to scrub /repo/data.env: Permission denied");
+      expect(output).toContain("Scrub complete: 0 scrubbed, 1 already clean, 1 failed");
+    });
+
+    test("should blank mapped Postman environments with --postman", async () => {
+      jest.spyOn(settingsManager, "getPostmanApiKey").mockReturnValue("test-key");
+      jest.spyOn(settingsManager, "getPostmanMappings").mockReturnValue({
+        "env-1": { awsProfile: "production", environmentName: "Production" },
+      });
+      const clearSpy = jest
+        .spyOn(postmanApi, "clearAwsCredentials")
+        .mockResolvedValue({ changed: true });
+
+      await app.handleScrub(undefined, { postman: true });
+
+      expect(clearSpy).toHaveBeenCalledWith("env-1", undefined);
+      expect(settingsManager.clearSyncState).toHaveBeenCalledWith("postman", "env-1");
+      expect(consoleOutput.join("\n")).toContain("✓ Blanked Production");
+      expect(consoleOutput.join("\n")).toContain("1 scrubbed");
+    });
+  });
+
+  describe("handleSync (expiry-aware)", () => {
+    const farFuture = new Date(Date.now() + 6 * 3600 * 1000).toISOString();
+
+    beforeEach(() => {
+      jest.spyOn(settingsManager, "getSyncConfig").mockReturnValue({
+        refreshThresholdMinutes: 15,
+        writeExpiration: false,
+      });
+      jest.spyOn(settingsManager, "getMappings").mockReturnValue({
+        [__filename]: "production",
+      });
+      jest.spyOn(settingsManager, "recordSyncState").mockImplementation(() => {});
+    });
+
+    test("should skip targets whose credentials are still fresh", async () => {
+      jest.spyOn(settingsManager, "getSyncState").mockReturnValue({
+        awsProfile: "production",
+        expiration: farFuture,
+      });
+      const getCredsSpy = jest.spyOn(awsCredentials, "getCredentialsAsEnvVars");
+      const writeCredsSpy = jest.spyOn(awsCredentials, "writeCredentialsToFile");
+
+      await app.handleSync();
+
+      expect(getCredsSpy).not.toHaveBeenCalled();
+      expect(writeCredsSpy).not.toHaveBeenCalled();
+      expect(consoleOutput.join("\n")).toContain(`valid until ${farFuture}`);
+      expect(consoleOutput.join("\n")).toContain("1 skipped");
+    });
+
+    test("should sync fresh targets when forced", async () => {
+      jest.spyOn(settingsManager, "getSyncState").mockReturnValue({
+        awsProfile: "production",
+        expiration: farFuture,
+      });
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({
+        AWS_ACCESS_KEY_ID: "KEY",
+        AWS_SECRET_ACCESS_KEY: "SECRET",
+      });
+      const writeCredsSpy = jest
+        .spyOn(awsCredentials, "writeCredentialsToFile")
+        .mockImplementation(() => ({ changed: true }));
+
+      await app.handleSync({ force: true });
+
+      expect(writeCredsSpy).toHaveBeenCalledTimes(1);
+      expect(consoleOutput.join("\n")).toContain("1 updated");
+    });
+
+    test("should resync when the mapped profile changed", async () => {
+      jest.spyOn(settingsManager, "getSyncState").mockReturnValue({
+        awsProfile: "staging",
+        expiration: farFuture,
+      });
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({
+        AWS_ACCESS_KEY_ID: "KEY",
+        AWS_SECRET_ACCESS_KEY: "SECRET",
+      });
+      jest
+        .spyOn(awsCredentials, "writeCredentialsToFile")
+        .mockImplementation(() => ({ changed: true }));
+
+      await app.handleSync();
+
+      expect(consoleOutput.join("\n")).toContain("1 updated");
+    });
+
+    test("should record the expiry and only write it when enabled", async () => {
+      jest.spyOn(settingsManager, "getSyncState").mockReturnValue(null);
+      jest.spyOn(awsCredentials, "getCredentialsAsEnvVars").mockResolvedValue({
+        AWS_ACCESS_KEY_ID: "KEY",
+        AWS_SECRET_ACCESS_KEY: "SECRET",
+        AWS_CREDENTIAL_EXPIRATION: farFuture,
+      });
+      const writeCredsSpy = jest
+        .spyOn(awsCredentials, "writeCredentialsToFile")
+        .mockImplementation(() => ({ changed: true }));
+
+      await app.handleSync();
+
+      expect(writeCredsSpy.mock.calls[0][0]).not.toHaveProperty("AWS_CREDENTIAL_EXPIRATION");
+      expect(settingsManager.recordSyncState).toHaveBeenCalledWith("env", __filename, {
+        awsProfile: "production",
+        expiration: farFuture,
+      });
+
+      settingsManager.getSyncConfig.mockReturnValue({
+        refreshThresholdMinutes: 15,
+        writeExpiration: true,
+      });
+
+      await app.handleSync({ force: true });
+
+      expect(writeCredsSpy.mock.calls[1][0].AWS_CREDENTIAL_EXPIRATION).toBe(farFuture);
+    });
+  });
+
   describe("processCommand", () => {
     test("should handle list command", () => {
       jest.spyOn(settingsManager, "getMappings").mockReturnValue({});
@@ -432,12 +2057,12 @@ describe("AWS Auto Env REPL", () => {
       expect(consoleOutput.join("\n")).toContain("Logging enabled");
     });
 
-    test("should handle sync command", () => {
+    test("should handle sync command", async () => {
       jest.spyOn(awsCredentials, "isAwsCliAvailable").mockReturnValue(true);
       jest.spyOn(settingsManager, "getMappings").mockReturnValue({});
 
       const mockRl = { close: jest.fn() };
-      app.processCommand("sync", mockRl);
+      await app.processCommand("sync", mockRl);
 
       expect(consoleOutput.join("\n")).toContain("No mappings configured");
     });
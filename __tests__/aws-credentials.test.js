@@ -2,6 +2,10 @@ const { execSync } = require("child_process");
 const fs = require("fs");
 const path = require("path");
 const awsCredentials = require("../lib/aws-credentials");
+const awsProfiles = require("../lib/aws-profiles");
+const awsSso = require("../lib/aws-sso");
+const awsSts = require("../lib/aws-sts");
+const backups = require("../lib/backups");
 
 // Mock child_process
 jest.mock("child_process");
@@ -9,21 +13,28 @@ jest.mock("child_process");
 describe("AWS Credentials", () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    // Default to profiles that can only be resolved through the AWS CLI
+    jest.spyOn(awsProfiles, "getProfileConfig").mockReturnValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
   });
 
   describe("getCredentials", () => {
-    test("should return credentials for valid profile", () => {
+    test("should return credentials for valid profile", async () => {
       const mockOutput = JSON.stringify({
-        AWS_ACCESS_KEY_ID: "DUMMY_ACCESS_KEY_ID_1234567890",
-        AWS_SECRET_ACCESS_KEY: "DUMMY_SECRET_ACCESS_KEY_1234567890ABCDEFGHIJ",
+        Version: 1,
+        AccessKeyId: "DUMMY_ACCESS_KEY_ID_1234567890",
+        SecretAccessKey: "DUMMY_SECRET_ACCESS_KEY_1234567890ABCDEFGHIJ",
       });
 
       execSync.mockReturnValue(mockOutput);
 
-      const credentials = awsCredentials.getCredentials("production");
+      const credentials = await awsCredentials.getCredentials("production");
 
       expect(execSync).toHaveBeenCalledWith(
-        "aws configure export-credentials --profile production --format env-no-export --output json",
+        "aws configure export-credentials --profile production --format process",
         expect.any(Object)
       );
       expect(credentials.AWS_ACCESS_KEY_ID).toBe(
@@ -34,72 +45,73 @@ describe("AWS Credentials", () => {
       );
     });
 
-    test("should return credentials with session token", () => {
+    test("should return credentials with session token", async () => {
       const mockOutput = JSON.stringify({
-        AWS_ACCESS_KEY_ID: "DUMMY_ACCESS_KEY_ID_1234567890",
-        AWS_SECRET_ACCESS_KEY: "DUMMY_SECRET_ACCESS_KEY_1234567890ABCDEFGHIJ",
-        AWS_SESSION_TOKEN: "DUMMY_SESSION_TOKEN_1234567890",
+        Version: 1,
+        AccessKeyId: "DUMMY_ACCESS_KEY_ID_1234567890",
+        SecretAccessKey: "DUMMY_SECRET_ACCESS_KEY_1234567890ABCDEFGHIJ",
+        SessionToken: "DUMMY_SESSION_TOKEN_1234567890",
       });
 
       execSync.mockReturnValue(mockOutput);
 
-      const credentials = awsCredentials.getCredentials("staging");
+      const credentials = await awsCredentials.getCredentials("staging");
 
       expect(credentials.AWS_SESSION_TOKEN).toBe(
         "DUMMY_SESSION_TOKEN_1234567890"
       );
     });
 
-    test("should throw error when profile name is not provided", () => {
-      expect(() => {
-        awsCredentials.getCredentials();
-      }).toThrow("Profile name is required");
+    test("should throw error when profile name is not provided", async () => {
+      await expect(awsCredentials.getCredentials()).rejects.toThrow(
+        "Profile name is required"
+      );
     });
 
-    test("should throw error when profile does not exist", () => {
+    test("should throw error when profile does not exist", async () => {
       const error = new Error("Command failed");
       error.status = 1;
       execSync.mockImplementation(() => {
         throw error;
       });
 
-      expect(() => {
-        awsCredentials.getCredentials("nonexistent");
-      }).toThrow('Failed to get credentials for profile "nonexistent"');
+      await expect(awsCredentials.getCredentials("nonexistent")).rejects.toThrow(
+        'Failed to get credentials for profile "nonexistent"'
+      );
     });
 
-    test("should throw error when AWS CLI returns invalid JSON", () => {
+    test("should throw error when AWS CLI returns invalid JSON", async () => {
       execSync.mockReturnValue("invalid json");
 
-      expect(() => {
-        awsCredentials.getCredentials("production");
-      }).toThrow();
+      await expect(awsCredentials.getCredentials("production")).rejects.toThrow();
     });
 
-    test("should throw error when credentials are missing required fields", () => {
+    test("should throw error when credentials are missing required fields", async () => {
       const mockOutput = JSON.stringify({
-        AWS_ACCESS_KEY_ID: "DUMMY_ACCESS_KEY_ID_1234567890",
-        // Missing AWS_SECRET_ACCESS_KEY
+        Version: 1,
+        AccessKeyId: "DUMMY_ACCESS_KEY_ID_1234567890",
+        // Missing SecretAccessKey
       });
 
       execSync.mockReturnValue(mockOutput);
 
-      expect(() => {
-        awsCredentials.getCredentials("production");
-      }).toThrow("Invalid credentials format returned from AWS CLI");
+      await expect(awsCredentials.getCredentials("production")).rejects.toThrow(
+        "Invalid credentials format returned from AWS CLI"
+      );
     });
 
-    test("should handle output with extra whitespace", () => {
+    test("should handle output with extra whitespace", async () => {
       const mockOutput = `
         ${JSON.stringify({
-          AWS_ACCESS_KEY_ID: "DUMMY_ACCESS_KEY_ID_1234567890",
-          AWS_SECRET_ACCESS_KEY: "DUMMY_SECRET_ACCESS_KEY_1234567890ABCDEFGHIJ",
+          Version: 1,
+          AccessKeyId: "DUMMY_ACCESS_KEY_ID_1234567890",
+          SecretAccessKey: "DUMMY_SECRET_ACCESS_KEY_1234567890ABCDEFGHIJ",
         })}
       `;
 
       execSync.mockReturnValue(mockOutput);
 
-      const credentials = awsCredentials.getCredentials("production");
+      const credentials = await awsCredentials.getCredentials("production");
 
       expect(credentials.AWS_ACCESS_KEY_ID).toBe(
         "DUMMY_ACCESS_KEY_ID_1234567890"
@@ -107,6 +119,215 @@ describe("AWS Credentials", () => {
     });
   });
 
+  describe("getCredentials (native resolution)", () => {
+    test("should resolve static-key profiles without calling the AWS CLI", async () => {
+      awsProfiles.getProfileConfig.mockReturnValue({
+        aws_access_key_id: "STATIC_KEY",
+        aws_secret_access_key: "STATIC_SECRET",
+        region: "eu-west-1",
+      });
+
+      const credentials = await awsCredentials.getCredentials("static");
+
+      expect(execSync).not.toHaveBeenCalled();
+      expect(credentials.AWS_ACCESS_KEY_ID).toBe("STATIC_KEY");
+      expect(credentials.AWS_SECRET_ACCESS_KEY).toBe("STATIC_SECRET");
+      expect(credentials.AWS_SESSION_TOKEN).toBeUndefined();
+    });
+
+    test("should include a static session token", async () => {
+      awsProfiles.getProfileConfig.mockReturnValue({
+        aws_access_key_id: "STATIC_KEY",
+        aws_secret_access_key: "STATIC_SECRET",
+        aws_session_token: "STATIC_TOKEN",
+      });
+
+      const credentials = await awsCredentials.getCredentials("static");
+
+      expect(credentials.AWS_SESSION_TOKEN).toBe("STATIC_TOKEN");
+    });
+
+    test("should fall back to the AWS CLI for credential_process profiles", async () => {
+      awsProfiles.getProfileConfig.mockReturnValue({
+        credential_process: "/usr/local/bin/get-creds",
+      });
+      execSync.mockReturnValue(
+        JSON.stringify({ Version: 1, AccessKeyId: "CLI_KEY", SecretAccessKey: "CLI_SECRET" })
+      );
+
+      const credentials = await awsCredentials.getCredentials("process");
+
+      expect(execSync).toHaveBeenCalledTimes(1);
+      expect(credentials.AWS_ACCESS_KEY_ID).toBe("CLI_KEY");
+    });
+
+    test("should resolve SSO profiles through the token cache", async () => {
+      awsProfiles.getProfileConfig.mockReturnValue({ sso_session: "corp" });
+      jest.spyOn(awsSso, "getSsoCredentials").mockResolvedValue({
+        AWS_ACCESS_KEY_ID: "SSO_KEY",
+        AWS_SECRET_ACCESS_KEY: "SSO_SECRET",
+        AWS_SESSION_TOKEN: "SSO_TOKEN",
+        EXPIRATION: "2030-01-01T00:00:00.000Z",
+      });
+
+      const credentials = await awsCredentials.getCredentials("sso");
+
+      expect(execSync).not.toHaveBeenCalled();
+      expect(credentials.EXPIRATION).toBe("2030-01-01T00:00:00.000Z");
+    });
+
+    test("should log in once and retry when the SSO token has expired", async () => {
+      awsProfiles.getProfileConfig.mockReturnValue({ sso_session: "corp" });
+      jest.spyOn(awsSso, "getSsoCredentials")
+        .mockRejectedValueOnce(new awsSso.SsoTokenError("expired"))
+        .mockResolvedValueOnce({
+          AWS_ACCESS_KEY_ID: "SSO_KEY",
+          AWS_SECRET_ACCESS_KEY: "SSO_SECRET",
+        });
+      jest.spyOn(console, "log").mockImplementation(() => {});
+
+      const credentials = await awsCredentials.getCredentials("sso");
+
+      expect(execSync).toHaveBeenCalledWith("aws sso login --profile sso", expect.any(Object));
+      expect(credentials.AWS_ACCESS_KEY_ID).toBe("SSO_KEY");
+    });
+
+    test("should not loop when the token is still rejected after login", async () => {
+      awsProfiles.getProfileConfig.mockReturnValue({ sso_session: "corp" });
+      jest.spyOn(awsSso, "getSsoCredentials").mockRejectedValue(
+        new awsSso.SsoTokenError("expired")
+      );
+      jest.spyOn(console, "log").mockImplementation(() => {});
+
+      await expect(awsCredentials.getCredentials("sso")).rejects.toThrow(
+        'Failed to get credentials for profile "sso": expired'
+      );
+      expect(execSync).toHaveBeenCalledTimes(1);
+    });
+
+    test("should report a missing AWS CLI when a profile needs it", async () => {
+      const error = new Error("Command failed");
+      error.status = 127;
+      error.stderr = "/bin/sh: 1: aws: not found";
+      execSync.mockImplementation(() => {
+        throw error;
+      });
+
+      await expect(awsCredentials.getCredentials("sso-profile")).rejects.toThrow(
+        "the AWS CLI is not available"
+      );
+    });
+  });
+
+  describe("getCredentials (assume-role chains)", () => {
+    const profiles = {};
+    const roleCredentials = {
+      AWS_ACCESS_KEY_ID: "ROLE_KEY",
+      AWS_SECRET_ACCESS_KEY: "ROLE_SECRET",
+      AWS_SESSION_TOKEN: "ROLE_TOKEN",
+      EXPIRATION: "2030-01-01T00:00:00.000Z",
+    };
+
+    beforeEach(() => {
+      Object.keys(profiles).forEach((name) => delete profiles[name]);
+      awsProfiles.getProfileConfig.mockImplementation((name) => profiles[name] || null);
+    });
+
+    test("should assume the role with the source profile's credentials", async () => {
+      profiles.base = { aws_access_key_id: "BASE_KEY", aws_secret_access_key: "BASE_SECRET" };
+      profiles.deploy = {
+        role_arn: "arn:aws:iam::123456789012:role/Deploy",
+        source_profile: "base",
+        external_id: "ext-123",
+        role_session_name: "me",
+        duration_seconds: "1800",
+        region: "eu-west-1",
+      };
+      const assumeRoleSpy = jest.spyOn(awsSts, "assumeRole").mockResolvedValue(roleCredentials);
+
+      const credentials = await awsCredentials.getCredentials("deploy");
+
+      expect(execSync).not.toHaveBeenCalled();
+      expect(assumeRoleSpy).toHaveBeenCalledWith(
+        expect.objectContaining({ AWS_ACCESS_KEY_ID: "BASE_KEY" }),
+        {
+          roleArn: "arn:aws:iam::123456789012:role/Deploy",
+          roleSessionName: "me",
+          externalId: "ext-123",
+          durationSeconds: 1800,
+          region: "eu-west-1",
+        }
+      );
+      expect(credentials).toEqual(roleCredentials);
+    });
+
+    test("should walk multi-hop chains", async () => {
+      profiles.base = { aws_access_key_id: "BASE_KEY", aws_secret_access_key: "BASE_SECRET" };
+      profiles.hop = { role_arn: "arn:aws:iam::111111111111:role/Hop", source_profile: "base" };
+      profiles.target = { role_arn: "arn:aws:iam::222222222222:role/Target", source_profile: "hop" };
+      const hopCredentials = { AWS_ACCESS_KEY_ID: "HOP_KEY", AWS_SECRET_ACCESS_KEY: "HOP_SECRET" };
+      const assumeRoleSpy = jest.spyOn(awsSts, "assumeRole")
+        .mockResolvedValueOnce(hopCredentials)
+        .mockResolvedValueOnce(roleCredentials);
+
+      const credentials = await awsCredentials.getCredentials("target");
+
+      expect(assumeRoleSpy).toHaveBeenNthCalledWith(
+        2,
+        hopCredentials,
+        expect.objectContaining({ roleArn: "arn:aws:iam::222222222222:role/Target" })
+      );
+      expect(credentials).toEqual(roleCredentials);
+    });
+
+    test("should use the profile's own keys when it is its own source_profile", async () => {
+      profiles.self = {
+        role_arn: "arn:aws:iam::123456789012:role/Self",
+        source_profile: "self",
+        aws_access_key_id: "SELF_KEY",
+        aws_secret_access_key: "SELF_SECRET",
+      };
+      const assumeRoleSpy = jest.spyOn(awsSts, "assumeRole").mockResolvedValue(roleCredentials);
+
+      await awsCredentials.getCredentials("self");
+
+      expect(assumeRoleSpy).toHaveBeenCalledWith(
+        expect.objectContaining({ AWS_ACCESS_KEY_ID: "SELF_KEY" }),
+        expect.any(Object)
+      );
+    });
+
+    test("should detect circular source_profile chains", async () => {
+      profiles.a = { role_arn: "arn:aws:iam::1:role/A", source_profile: "b" };
+      profiles.b = { role_arn: "arn:aws:iam::1:role/B", source_profile: "a" };
+      jest.spyOn(awsSts, "assumeRole");
+
+      await expect(awsCredentials.getCredentials("a")).rejects.toThrow(
+        "Circular source_profile chain: a -> b -> a"
+      );
+      expect(awsSts.assumeRole).not.toHaveBeenCalled();
+    });
+
+    test("should report a missing source_profile", async () => {
+      profiles.orphan = { role_arn: "arn:aws:iam::1:role/Orphan", source_profile: "gone" };
+
+      await expect(awsCredentials.getCredentials("orphan")).rejects.toThrow(
+        'source_profile "gone" referenced by profile "orphan" not found'
+      );
+    });
+
+    test("should fall back to the AWS CLI for credential_source roles", async () => {
+      profiles.ec2 = { role_arn: "arn:aws:iam::1:role/Ec2", credential_source: "Ec2InstanceMetadata" };
+      execSync.mockReturnValue(
+        JSON.stringify({ Version: 1, AccessKeyId: "CLI_KEY", SecretAccessKey: "CLI_SECRET" })
+      );
+
+      const credentials = await awsCredentials.getCredentials("ec2");
+
+      expect(credentials.AWS_ACCESS_KEY_ID).toBe("CLI_KEY");
+    });
+  });
+
   describe("isAwsCliAvailable", () => {
     test("should return true when AWS CLI is available", () => {
       execSync.mockReturnValue("aws-cli/2.0.0");
@@ -132,15 +353,16 @@ describe("AWS Credentials", () => {
   });
 
   describe("getCredentialsAsEnvVars", () => {
-    test("should return credentials formatted as environment variables", () => {
+    test("should return credentials formatted as environment variables", async () => {
       const mockOutput = JSON.stringify({
-        AWS_ACCESS_KEY_ID: "DUMMY_ACCESS_KEY_ID_1234567890",
-        AWS_SECRET_ACCESS_KEY: "DUMMY_SECRET_ACCESS_KEY_1234567890ABCDEFGHIJ",
+        Version: 1,
+        AccessKeyId: "DUMMY_ACCESS_KEY_ID_1234567890",
+        SecretAccessKey: "DUMMY_SECRET_ACCESS_KEY_1234567890ABCDEFGHIJ",
       });
 
       execSync.mockReturnValue(mockOutput);
 
-      const envVars = awsCredentials.getCredentialsAsEnvVars("production");
+      const envVars = await awsCredentials.getCredentialsAsEnvVars("production");
 
       expect(envVars).toEqual({
         AWS_ACCESS_KEY_ID: "DUMMY_ACCESS_KEY_ID_1234567890",
@@ -148,16 +370,17 @@ describe("AWS Credentials", () => {
       });
     });
 
-    test("should include session token when present", () => {
+    test("should include session token when present", async () => {
       const mockOutput = JSON.stringify({
-        AWS_ACCESS_KEY_ID: "DUMMY_ACCESS_KEY_ID_1234567890",
-        AWS_SECRET_ACCESS_KEY: "DUMMY_SECRET_ACCESS_KEY_1234567890ABCDEFGHIJ",
-        AWS_SESSION_TOKEN: "DUMMY_SESSION_TOKEN_1234567890",
+        Version: 1,
+        AccessKeyId: "DUMMY_ACCESS_KEY_ID_1234567890",
+        SecretAccessKey: "DUMMY_SECRET_ACCESS_KEY_1234567890ABCDEFGHIJ",
+        SessionToken: "DUMMY_SESSION_TOKEN_1234567890",
       });
 
       execSync.mockReturnValue(mockOutput);
 
-      const envVars = awsCredentials.getCredentialsAsEnvVars("staging");
+      const envVars = await awsCredentials.getCredentialsAsEnvVars("staging");
 
       expect(envVars).toEqual({
         AWS_ACCESS_KEY_ID: "DUMMY_ACCESS_KEY_ID_1234567890",
@@ -166,29 +389,217 @@ describe("AWS Credentials", () => {
       });
     });
 
-    test("should not include session token when not present", () => {
+    test("should not include session token when not present", async () => {
       const mockOutput = JSON.stringify({
-        AWS_ACCESS_KEY_ID: "DUMMY_ACCESS_KEY_ID_1234567890",
-        AWS_SECRET_ACCESS_KEY: "DUMMY_SECRET_ACCESS_KEY_1234567890ABCDEFGHIJ",
+        Version: 1,
+        AccessKeyId: "DUMMY_ACCESS_KEY_ID_1234567890",
+        SecretAccessKey: "DUMMY_SECRET_ACCESS_KEY_1234567890ABCDEFGHIJ",
       });
 
       execSync.mockReturnValue(mockOutput);
 
-      const envVars = awsCredentials.getCredentialsAsEnvVars("production");
+      const envVars = await awsCredentials.getCredentialsAsEnvVars("production");
 
       expect(envVars.AWS_SESSION_TOKEN).toBeUndefined();
     });
+
+    test("should include the expiration of temporary credentials", async () => {
+      execSync.mockReturnValue(JSON.stringify({
+        Version: 1,
+        AccessKeyId: "DUMMY_ACCESS_KEY_ID_1234567890",
+        SecretAccessKey: "DUMMY_SECRET_ACCESS_KEY_1234567890ABCDEFGHIJ",
+        SessionToken: "DUMMY_SESSION_TOKEN_1234567890",
+        Expiration: "2030-01-01T00:00:00Z",
+      }));
+
+      const envVars = await awsCredentials.getCredentialsAsEnvVars("staging");
+
+      expect(envVars.AWS_CREDENTIAL_EXPIRATION).toBe("2030-01-01T00:00:00Z");
+    });
+  });
+
+  describe("isCredentialFresh", () => {
+    test("should be fresh when expiry is beyond the threshold", () => {
+      const expiration = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      expect(awsCredentials.isCredentialFresh(expiration, 15)).toBe(true);
+    });
+
+    test("should not be fresh when expiry is within the threshold", () => {
+      const expiration = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+      expect(awsCredentials.isCredentialFresh(expiration, 15)).toBe(false);
+    });
+
+    test("should never be fresh without a known expiry", () => {
+      expect(awsCredentials.isCredentialFresh(null, 15)).toBe(false);
+      expect(awsCredentials.isCredentialFresh("not-a-date", 15)).toBe(false);
+    });
+  });
+
+  describe("applyVariableNames", () => {
+    const values = {
+      AWS_ACCESS_KEY_ID: "KEY",
+      AWS_SECRET_ACCESS_KEY: "SECRET",
+      AWS_SESSION_TOKEN: "TOKEN",
+    };
+
+    test("should keep default names without naming options", () => {
+      expect(awsCredentials.applyVariableNames(values, {})).toEqual(values);
+      expect(awsCredentials.applyVariableNames(values)).toEqual(values);
+    });
+
+    test("should apply the template to every variable", () => {
+      expect(
+        awsCredentials.applyVariableNames(values, { variableTemplate: "DATA_{name}" })
+      ).toEqual({
+        DATA_AWS_ACCESS_KEY_ID: "KEY",
+        DATA_AWS_SECRET_ACCESS_KEY: "SECRET",
+        DATA_AWS_SESSION_TOKEN: "TOKEN",
+      });
+    });
+
+    test("should let explicit renames win over the template", () => {
+      expect(
+        awsCredentials.applyVariableNames(values, {
+          variableTemplate: "DATA_{name}",
+          variableNames: { AWS_SESSION_TOKEN: "DATA_TOKEN" },
+        })
+      ).toEqual({
+        DATA_AWS_ACCESS_KEY_ID: "KEY",
+        DATA_AWS_SECRET_ACCESS_KEY: "SECRET",
+        DATA_TOKEN: "TOKEN",
+      });
+    });
+  });
+
+  describe("previewCredentialsFile", () => {
+    const TEST_DIR = path.join(__dirname, "test-preview-files");
+    const TEST_FILE = path.join(TEST_DIR, ".env");
+
+    afterEach(() => {
+      fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    });
+
+    test("should list added, changed and unchanged keys without writing", () => {
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+      fs.writeFileSync(TEST_FILE, "AWS_ACCESS_KEY_ID=SAME\nAWS_SECRET_ACCESS_KEY=OLD\n");
+
+      const preview = awsCredentials.previewCredentialsFile(
+        { AWS_ACCESS_KEY_ID: "SAME", AWS_SECRET_ACCESS_KEY: "NEW", AWS_SESSION_TOKEN: "TOKEN" },
+        TEST_FILE
+      );
+
+      expect(preview).toEqual({
+        exists: true,
+        changed: true,
+        changes: [
+          { key: "AWS_ACCESS_KEY_ID", before: "SAME", after: "SAME" },
+          { key: "AWS_SECRET_ACCESS_KEY", before: "OLD", after: "NEW" },
+          { key: "AWS_SESSION_TOKEN", before: undefined, after: "TOKEN" },
+        ],
+      });
+      expect(fs.readFileSync(TEST_FILE, "utf8")).toBe(
+        "AWS_ACCESS_KEY_ID=SAME\nAWS_SECRET_ACCESS_KEY=OLD\n"
+      );
+    });
+
+    test("should report keys outside a managed block as changed", () => {
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+      const content = "APP=1\nAWS_ACCESS_KEY_ID=SAME\n";
+      fs.writeFileSync(TEST_FILE, content);
+
+      const preview = awsCredentials.previewCredentialsFile({ AWS_ACCESS_KEY_ID: "SAME" }, TEST_FILE, {
+        managedBlock: true,
+        awsProfile: "dev",
+      });
+
+      expect(preview.changed).toBe(true);
+      expect(preview.changes).toEqual([{ key: "AWS_ACCESS_KEY_ID", before: "SAME", after: "SAME" }]);
+      expect(fs.readFileSync(TEST_FILE, "utf8")).toBe(content);
+
+      fs.writeFileSync(
+        TEST_FILE,
+        "APP=1\n# >>> aws-auto-env (profile: dev) >>>\nAWS_ACCESS_KEY_ID=SAME\n# <<< aws-auto-env <<<\n"
+      );
+      expect(
+        awsCredentials.previewCredentialsFile({ AWS_ACCESS_KEY_ID: "SAME" }, TEST_FILE, {
+          managedBlock: true,
+          awsProfile: "dev",
+        }).changed
+      ).toBe(false);
+    });
+
+    test("should report a missing file as changed", () => {
+      const preview = awsCredentials.previewCredentialsFile({ A: "1" }, TEST_FILE);
+
+      expect(preview.exists).toBe(false);
+      expect(preview.changed).toBe(true);
+      expect(fs.existsSync(TEST_FILE)).toBe(false);
+    });
+  });
+
+  describe("removeCredentialsFromFile", () => {
+    const TEST_DIR = path.join(__dirname, "test-remove-files");
+    const TEST_FILE = path.join(TEST_DIR, ".env");
+    const originalBackupDir = backups.getBackupDir();
+
+    beforeEach(() => {
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+      backups.setBackupDir(path.join(TEST_DIR, "backups"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(TEST_DIR, { recursive: true, force: true });
+      backups.setBackupDir(originalBackupDir);
+    });
+
+    test("should remove the managed block", () => {
+      fs.writeFileSync(
+        TEST_FILE,
+        "APP=1\n\n# >>> aws-auto-env (profile: dev) >>>\nAWS_ACCESS_KEY_ID=KEY\n# <<< aws-auto-env <<<\n"
+      );
+
+      expect(awsCredentials.removeCredentialsFromFile(TEST_FILE)).toEqual({ changed: true });
+      expect(fs.readFileSync(TEST_FILE, "utf8")).toBe("APP=1\n");
+    });
+
+    test("should remove the given keys outside the block", () => {
+      fs.writeFileSync(TEST_FILE, "APP=1\nAWS_ACCESS_KEY_ID=KEY\nexport AWS_SESSION_TOKEN=TOKEN\n");
+
+      const result = awsCredentials.removeCredentialsFromFile(TEST_FILE, [
+        "AWS_ACCESS_KEY_ID",
+        "AWS_SESSION_TOKEN",
+      ]);
+
+      expect(result).toEqual({ changed: true });
+      expect(fs.readFileSync(TEST_FILE, "utf8")).toBe("APP=1\n");
+      expect(backups.listBackups(TEST_FILE)).toHaveLength(1);
+    });
+
+    test("should leave files without a block untouched", () => {
+      fs.writeFileSync(TEST_FILE, "APP=1\n");
+
+      expect(awsCredentials.removeCredentialsFromFile(TEST_FILE)).toEqual({ changed: false });
+      expect(backups.listBackups(TEST_FILE)).toEqual([]);
+    });
+
+    test("should do nothing for a missing file", () => {
+      expect(
+        awsCredentials.removeCredentialsFromFile(path.join(TEST_DIR, "missing.env"))
+      ).toEqual({ changed: false });
+    });
   });
 
   describe("writeCredentialsToFile", () => {
     const TEST_DIR = path.join(__dirname, "test-env-files");
     const TEST_FILE = path.join(TEST_DIR, ".env");
+    const originalBackupDir = backups.getBackupDir();
 
     beforeEach(() => {
       // Clean up test directory
       if (fs.existsSync(TEST_DIR)) {
         fs.rmSync(TEST_DIR, { recursive: true, force: true });
       }
+      backups.setBackupDir(path.join(TEST_DIR, "backups"));
     });
 
     afterEach(() => {
@@ -196,6 +607,49 @@ describe("AWS Credentials", () => {
       if (fs.existsSync(TEST_DIR)) {
         fs.rmSync(TEST_DIR, { recursive: true, force: true });
       }
+      backups.setBackupDir(originalBackupDir);
+    });
+
+    test("should back up the previous content before changing a file", () => {
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+      fs.writeFileSync(TEST_FILE, "AWS_ACCESS_KEY_ID=OLD\n");
+
+      awsCredentials.writeCredentialsToFile({ AWS_ACCESS_KEY_ID: "NEW" }, TEST_FILE);
+
+      const [backup] = backups.listBackups(TEST_FILE);
+      expect(fs.readFileSync(backup.path, "utf8")).toBe("AWS_ACCESS_KEY_ID=OLD\n");
+      expect(fs.readFileSync(TEST_FILE, "utf8")).toBe("AWS_ACCESS_KEY_ID=NEW\n");
+    });
+
+    test("should create new files readable by the owner only", () => {
+      awsCredentials.writeCredentialsToFile({ AWS_ACCESS_KEY_ID: "KEY" }, TEST_FILE);
+
+      expect(fs.statSync(TEST_FILE).mode & 0o777).toBe(0o600);
+    });
+
+    test("should write into a managed block when requested", () => {
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+      fs.writeFileSync(TEST_FILE, "APP=1\nAWS_ACCESS_KEY_ID=OLD\n");
+
+      const result = awsCredentials.writeCredentialsToFile(
+        { AWS_ACCESS_KEY_ID: "NEW" },
+        TEST_FILE,
+        { managedBlock: true, awsProfile: "dev" }
+      );
+
+      expect(result.changed).toBe(true);
+      expect(fs.readFileSync(TEST_FILE, "utf8")).toBe(
+        "APP=1\n# >>> aws-auto-env (profile: dev) >>>\nAWS_ACCESS_KEY_ID=NEW\n# <<< aws-auto-env <<<\n"
+      );
+    });
+
+    test("should not back up a file that did not change", () => {
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+      fs.writeFileSync(TEST_FILE, "AWS_ACCESS_KEY_ID=SAME\n");
+
+      awsCredentials.writeCredentialsToFile({ AWS_ACCESS_KEY_ID: "SAME" }, TEST_FILE);
+
+      expect(backups.listBackups(TEST_FILE)).toEqual([]);
     });
 
     test("should create new file with credentials", () => {
@@ -317,6 +771,37 @@ OTHER_VAR=VALUE`;
       );
     });
 
+    test("should treat export-prefixed keys as the same key", () => {
+      const initialContent = `export AWS_ACCESS_KEY_ID=OLD_KEY
+export OTHER_VAR="keep = me"
+`;
+
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+      fs.writeFileSync(TEST_FILE, initialContent, "utf8");
+
+      awsCredentials.writeCredentialsToFile({ AWS_ACCESS_KEY_ID: "NEW_KEY" }, TEST_FILE);
+
+      const content = fs.readFileSync(TEST_FILE, "utf8");
+      expect(content).toBe(`export AWS_ACCESS_KEY_ID=NEW_KEY
+export OTHER_VAR="keep = me"
+`);
+    });
+
+    test("should preserve CRLF line endings", () => {
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+      fs.writeFileSync(TEST_FILE, "AWS_ACCESS_KEY_ID=OLD_KEY\r\nOTHER=1\r\n", "utf8");
+
+      awsCredentials.writeCredentialsToFile(
+        { AWS_ACCESS_KEY_ID: "NEW_KEY", AWS_SECRET_ACCESS_KEY: "NEW_SECRET" },
+        TEST_FILE
+      );
+
+      const content = fs.readFileSync(TEST_FILE, "utf8");
+      expect(content).toBe(
+        "AWS_ACCESS_KEY_ID=NEW_KEY\r\nOTHER=1\r\nAWS_SECRET_ACCESS_KEY=NEW_SECRET\r\n"
+      );
+    });
+
     test("should throw error when file path is not provided", () => {
       const credentials = {
         AWS_ACCESS_KEY_ID: "DUMMY_ACCESS_KEY_ID_1234567890",
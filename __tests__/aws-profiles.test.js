@@ -83,6 +83,112 @@ region = us-west-2
     });
   });
 
+  describe('parseIniFile', () => {
+    const TEST_FILE = path.join(__dirname, 'test-aws-ini');
+
+    afterEach(() => {
+      if (fs.existsSync(TEST_FILE)) {
+        fs.unlinkSync(TEST_FILE);
+      }
+    });
+
+    test('should return empty object for non-existent file', () => {
+      expect(awsProfiles.parseIniFile('/nonexistent/path')).toEqual({});
+    });
+
+    test('should parse sections and properties', () => {
+      const content = `; leading comment
+[default]
+region = us-east-1
+aws_access_key_id=DEFAULT_KEY
+
+[profile dev]
+role_arn = arn:aws:iam::123456789012:role/Dev
+s3 =
+  max_concurrent_requests = 20
+
+[sso-session corp]
+sso_region = eu-west-1`;
+
+      fs.writeFileSync(TEST_FILE, content);
+
+      expect(awsProfiles.parseIniFile(TEST_FILE)).toEqual({
+        'default': { region: 'us-east-1', aws_access_key_id: 'DEFAULT_KEY' },
+        'profile dev': { role_arn: 'arn:aws:iam::123456789012:role/Dev', s3: '' },
+        'sso-session corp': { sso_region: 'eu-west-1' }
+      });
+    });
+  });
+
+  describe('getProfileConfig', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should merge config and credentials with credentials taking precedence', () => {
+      jest.spyOn(awsProfiles, 'parseIniFile')
+        .mockReturnValueOnce({ dev: { aws_access_key_id: 'CRED_KEY' } })
+        .mockReturnValueOnce({ 'profile dev': { aws_access_key_id: 'CONFIG_KEY', region: 'eu-west-1' } });
+
+      expect(awsProfiles.getProfileConfig('dev')).toEqual({
+        aws_access_key_id: 'CRED_KEY',
+        region: 'eu-west-1'
+      });
+    });
+
+    test('should read the bare [default] section from config', () => {
+      jest.spyOn(awsProfiles, 'parseIniFile')
+        .mockReturnValueOnce({})
+        .mockReturnValueOnce({ default: { region: 'us-east-1' } });
+
+      expect(awsProfiles.getProfileConfig('default')).toEqual({ region: 'us-east-1' });
+    });
+
+    test('should return null for unknown profiles', () => {
+      jest.spyOn(awsProfiles, 'parseIniFile').mockReturnValue({});
+
+      expect(awsProfiles.getProfileConfig('missing')).toBeNull();
+    });
+  });
+
+  describe('expandProfileVariables', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should expand the profile name and config settings', () => {
+      jest.spyOn(awsProfiles, 'getProfileConfig').mockReturnValue({ region: 'eu-west-1' });
+
+      expect(awsProfiles.expandProfileVariables({
+        AWS_REGION: '{config:region}',
+        AWS_DEFAULT_REGION: '{config:region}',
+        AWS_PROFILE: '{profile}',
+        AWS_ENDPOINT_URL: 'http://localhost:4566'
+      }, 'dev')).toEqual({
+        AWS_REGION: 'eu-west-1',
+        AWS_DEFAULT_REGION: 'eu-west-1',
+        AWS_PROFILE: 'dev',
+        AWS_ENDPOINT_URL: 'http://localhost:4566'
+      });
+      expect(awsProfiles.getProfileConfig).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not read the config for literal values', () => {
+      const configSpy = jest.spyOn(awsProfiles, 'getProfileConfig');
+
+      expect(awsProfiles.expandProfileVariables(undefined, 'dev')).toEqual({});
+      expect(awsProfiles.expandProfileVariables({ STAGE: 'dev' }, 'dev')).toEqual({ STAGE: 'dev' });
+      expect(configSpy).not.toHaveBeenCalled();
+    });
+
+    test('should throw when a referenced setting is missing', () => {
+      jest.spyOn(awsProfiles, 'getProfileConfig').mockReturnValue(null);
+
+      expect(() => awsProfiles.expandProfileVariables({ AWS_REGION: '{config:region}' }, 'dev'))
+        .toThrow('Failed to expand AWS_REGION: profile "dev" has no region setting');
+    });
+  });
+
   describe('getCredentialsPath', () => {
     test('should return path to credentials file', () => {
       const credPath = awsProfiles.getCredentialsPath();
@@ -0,0 +1,191 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const awsSso = require("../lib/aws-sso");
+const awsProfiles = require("../lib/aws-profiles");
+
+const TEST_CACHE_DIR = path.join(__dirname, "test-sso-cache");
+
+/**
+ * Writes a token to the test cache under the CLI's hashed file name
+ */
+function writeCachedToken(cacheKey, token) {
+  fs.mkdirSync(TEST_CACHE_DIR, { recursive: true });
+  const fileName = crypto.createHash("sha1").update(cacheKey).digest("hex") + ".json";
+  fs.writeFileSync(path.join(TEST_CACHE_DIR, fileName), JSON.stringify(token));
+}
+
+describe("AWS SSO", () => {
+  const settings = {
+    cacheKey: "corp",
+    startUrl: "https://corp.awsapps.com/start",
+    region: "eu-west-1",
+    accountId: "123456789012",
+    roleName: "Developer",
+  };
+
+  beforeEach(() => {
+    jest.spyOn(awsSso, "getSsoCacheDir").mockReturnValue(TEST_CACHE_DIR);
+    fs.rmSync(TEST_CACHE_DIR, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(TEST_CACHE_DIR, { recursive: true, force: true });
+  });
+
+  describe("isSsoProfile", () => {
+    test("should detect sso_session and legacy sso_start_url profiles", () => {
+      expect(awsSso.isSsoProfile({ sso_session: "corp" })).toBe(true);
+      expect(awsSso.isSsoProfile({ sso_start_url: "https://x" })).toBe(true);
+      expect(awsSso.isSsoProfile({ aws_access_key_id: "KEY" })).toBe(false);
+      expect(awsSso.isSsoProfile(null)).toBe(false);
+    });
+  });
+
+  describe("getSsoSettings", () => {
+    test("should resolve settings through the sso-session section", () => {
+      jest.spyOn(awsProfiles, "getSsoSessionConfig").mockReturnValue({
+        sso_start_url: "https://corp.awsapps.com/start",
+        sso_region: "eu-west-1",
+      });
+
+      const result = awsSso.getSsoSettings("dev", {
+        sso_session: "corp",
+        sso_account_id: "123456789012",
+        sso_role_name: "Developer",
+      });
+
+      expect(result).toEqual(settings);
+    });
+
+    test("should use the start URL as cache key for legacy profiles", () => {
+      const result = awsSso.getSsoSettings("legacy", {
+        sso_start_url: "https://corp.awsapps.com/start",
+        sso_region: "eu-west-1",
+        sso_account_id: "123456789012",
+        sso_role_name: "Developer",
+      });
+
+      expect(result.cacheKey).toBe("https://corp.awsapps.com/start");
+    });
+
+    test("should throw when the sso-session is not defined", () => {
+      jest.spyOn(awsProfiles, "getSsoSessionConfig").mockReturnValue(null);
+
+      expect(() => {
+        awsSso.getSsoSettings("dev", { sso_session: "missing" });
+      }).toThrow('sso-session "missing"');
+    });
+
+    test("should list missing settings", () => {
+      expect(() => {
+        awsSso.getSsoSettings("legacy", { sso_start_url: "https://x", sso_region: "us-east-1" });
+      }).toThrow("missing SSO settings: accountId, roleName");
+    });
+  });
+
+  describe("loadSsoToken", () => {
+    test("should read the hashed cache file", () => {
+      const expiresAt = new Date(Date.now() + 3600 * 1000).toISOString();
+      writeCachedToken("corp", { accessToken: "TOKEN", expiresAt });
+
+      expect(awsSso.loadSsoToken(settings)).toEqual({ accessToken: "TOKEN", expiresAt });
+    });
+
+    test("should fall back to scanning the cache by start URL", () => {
+      const expiresAt = new Date(Date.now() + 3600 * 1000).toISOString();
+      fs.mkdirSync(TEST_CACHE_DIR, { recursive: true });
+      fs.writeFileSync(
+        path.join(TEST_CACHE_DIR, "other.json"),
+        JSON.stringify({ startUrl: settings.startUrl, accessToken: "SCANNED", expiresAt })
+      );
+
+      expect(awsSso.loadSsoToken(settings).accessToken).toBe("SCANNED");
+    });
+
+    test("should throw SsoTokenError when no token is cached", () => {
+      expect(() => awsSso.loadSsoToken(settings)).toThrow(awsSso.SsoTokenError);
+    });
+
+    test("should throw SsoTokenError when the token has expired", () => {
+      const expiresAt = new Date(Date.now() - 1000).toISOString();
+      writeCachedToken("corp", { accessToken: "TOKEN", expiresAt });
+
+      expect(() => awsSso.loadSsoToken(settings)).toThrow(/expired at/);
+    });
+  });
+
+  describe("getRoleCredentials", () => {
+    let server;
+    let handler;
+    const originalEndpoint = process.env.AWS_ENDPOINT_URL_SSO;
+
+    beforeAll((done) => {
+      server = http.createServer((req, res) => handler(req, res));
+      server.listen(0, "127.0.0.1", () => {
+        process.env.AWS_ENDPOINT_URL_SSO = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      if (originalEndpoint === undefined) {
+        delete process.env.AWS_ENDPOINT_URL_SSO;
+      } else {
+        process.env.AWS_ENDPOINT_URL_SSO = originalEndpoint;
+      }
+      server.close(done);
+    });
+
+    test("should exchange the token for role credentials", async () => {
+      let received;
+      handler = (req, res) => {
+        received = req;
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({
+          roleCredentials: {
+            accessKeyId: "SSO_KEY",
+            secretAccessKey: "SSO_SECRET",
+            sessionToken: "SSO_TOKEN",
+            expiration: Date.UTC(2030, 0, 1),
+          },
+        }));
+      };
+
+      const credentials = await awsSso.getRoleCredentials(settings, "TOKEN");
+
+      expect(received.url).toBe("/federation/credentials?account_id=123456789012&role_name=Developer");
+      expect(received.headers["x-amz-sso_bearer_token"]).toBe("TOKEN");
+      expect(credentials).toEqual({
+        AWS_ACCESS_KEY_ID: "SSO_KEY",
+        AWS_SECRET_ACCESS_KEY: "SSO_SECRET",
+        AWS_SESSION_TOKEN: "SSO_TOKEN",
+        EXPIRATION: "2030-01-01T00:00:00.000Z",
+      });
+    });
+
+    test("should throw SsoTokenError when the portal rejects the token", async () => {
+      handler = (req, res) => {
+        res.writeHead(401, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ message: "Session token not found or invalid" }));
+      };
+
+      await expect(awsSso.getRoleCredentials(settings, "BAD")).rejects.toThrow(
+        awsSso.SsoTokenError
+      );
+    });
+
+    test("should throw on other portal errors", async () => {
+      handler = (req, res) => {
+        res.writeHead(500);
+        res.end("oops");
+      };
+
+      await expect(awsSso.getRoleCredentials(settings, "TOKEN")).rejects.toThrow(
+        "GetRoleCredentials failed (HTTP 500)"
+      );
+    });
+  });
+});
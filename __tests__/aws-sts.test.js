@@ -0,0 +1,175 @@
+const http = require("http");
+const awsSts = require("../lib/aws-sts");
+const awsHttp = require("../lib/aws-http");
+
+describe("AWS STS", () => {
+  describe("signRequest", () => {
+    test("should match the SigV4 get-vanilla test vector", () => {
+      const headers = awsHttp.signRequest({
+        method: "GET",
+        url: "https://example.amazonaws.com/",
+      }, {
+        region: "us-east-1",
+        service: "service",
+        date: new Date("2015-08-30T12:36:00Z"),
+        credentials: {
+          AWS_ACCESS_KEY_ID: "AKIDEXAMPLE",
+          AWS_SECRET_ACCESS_KEY: "wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY",
+        },
+      });
+
+      expect(headers.Authorization).toBe(
+        "AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, " +
+        "SignedHeaders=host;x-amz-date, " +
+        "Signature=5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31"
+      );
+    });
+
+    test("should sign the session token of temporary credentials", () => {
+      const headers = awsHttp.signRequest({ method: "GET", url: "https://example.amazonaws.com/" }, {
+        region: "us-east-1",
+        service: "sts",
+        credentials: {
+          AWS_ACCESS_KEY_ID: "KEY",
+          AWS_SECRET_ACCESS_KEY: "SECRET",
+          AWS_SESSION_TOKEN: "TOKEN",
+        },
+      });
+
+      expect(headers["x-amz-security-token"]).toBe("TOKEN");
+      expect(headers.Authorization).toContain("host;x-amz-date;x-amz-security-token");
+    });
+  });
+
+  describe("request", () => {
+    test("should abort a request that gets no response within the timeout", async () => {
+      const server = http.createServer(() => {});
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      const host = `127.0.0.1:${server.address().port}`;
+
+      try {
+        await expect(awsHttp.request(`http://${host}/`, { timeoutMs: 50 })).rejects.toThrow(
+          `Request to ${host} timed out after 0.05s`
+        );
+      } finally {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+
+  describe("assumeRole", () => {
+    let server;
+    let handler;
+    const originalEndpoint = process.env.AWS_ENDPOINT_URL_STS;
+    const sourceCredentials = {
+      AWS_ACCESS_KEY_ID: "SOURCE_KEY",
+      AWS_SECRET_ACCESS_KEY: "SOURCE_SECRET",
+    };
+
+    beforeAll((done) => {
+      server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => {
+          body += chunk;
+        });
+        req.on("end", () => handler(req, body, res));
+      });
+      server.listen(0, "127.0.0.1", () => {
+        process.env.AWS_ENDPOINT_URL_STS = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      if (originalEndpoint === undefined) {
+        delete process.env.AWS_ENDPOINT_URL_STS;
+      } else {
+        process.env.AWS_ENDPOINT_URL_STS = originalEndpoint;
+      }
+      server.close(done);
+    });
+
+    test("should send a signed AssumeRole request and parse the JSON response", async () => {
+      let received;
+      let receivedBody;
+      handler = (req, body, res) => {
+        received = req;
+        receivedBody = new URLSearchParams(body);
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({
+          AssumeRoleResponse: {
+            AssumeRoleResult: {
+              Credentials: {
+                AccessKeyId: "ROLE_KEY",
+                SecretAccessKey: "ROLE_SECRET",
+                SessionToken: "ROLE_TOKEN",
+                Expiration: Date.UTC(2030, 0, 1) / 1000,
+              },
+            },
+          },
+        }));
+      };
+
+      const credentials = await awsSts.assumeRole(sourceCredentials, {
+        roleArn: "arn:aws:iam::123456789012:role/Deploy",
+        roleSessionName: "ci",
+        externalId: "ext-123",
+        durationSeconds: 900,
+        region: "eu-west-1",
+      });
+
+      expect(received.method).toBe("POST");
+      expect(received.headers.authorization).toContain(
+        "Credential=SOURCE_KEY/"
+      );
+      expect(received.headers.authorization).toContain("/eu-west-1/sts/aws4_request");
+      expect(Object.fromEntries(receivedBody)).toEqual({
+        Action: "AssumeRole",
+        Version: "2011-06-15",
+        RoleArn: "arn:aws:iam::123456789012:role/Deploy",
+        RoleSessionName: "ci",
+        ExternalId: "ext-123",
+        DurationSeconds: "900",
+      });
+      expect(credentials).toEqual({
+        AWS_ACCESS_KEY_ID: "ROLE_KEY",
+        AWS_SECRET_ACCESS_KEY: "ROLE_SECRET",
+        AWS_SESSION_TOKEN: "ROLE_TOKEN",
+        EXPIRATION: "2030-01-01T00:00:00.000Z",
+      });
+    });
+
+    test("should parse an XML response", async () => {
+      handler = (req, body, res) => {
+        res.writeHead(200, { "Content-Type": "text/xml" });
+        res.end(`<AssumeRoleResponse><AssumeRoleResult><Credentials>
+          <AccessKeyId>XML_KEY</AccessKeyId>
+          <SecretAccessKey>XML_SECRET</SecretAccessKey>
+          <SessionToken>XML_TOKEN</SessionToken>
+          <Expiration>2030-01-01T00:00:00Z</Expiration>
+        </Credentials></AssumeRoleResult></AssumeRoleResponse>`);
+      };
+
+      const credentials = await awsSts.assumeRole(sourceCredentials, {
+        roleArn: "arn:aws:iam::123456789012:role/Deploy",
+      });
+
+      expect(credentials.AWS_ACCESS_KEY_ID).toBe("XML_KEY");
+      expect(credentials.EXPIRATION).toBe("2030-01-01T00:00:00.000Z");
+    });
+
+    test("should surface STS error messages", async () => {
+      handler = (req, body, res) => {
+        res.writeHead(403, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({
+          Error: { Code: "AccessDenied", Message: "not authorized to perform sts:AssumeRole" },
+        }));
+      };
+
+      await expect(awsSts.assumeRole(sourceCredentials, {
+        roleArn: "arn:aws:iam::123456789012:role/Deploy",
+      })).rejects.toThrow("not authorized to perform sts:AssumeRole");
+    });
+  });
+});
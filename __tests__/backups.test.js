@@ -0,0 +1,98 @@
+const fs = require("fs");
+const path = require("path");
+const backups = require("../lib/backups");
+
+describe("Backups", () => {
+  const TEST_DIR = path.join(__dirname, "test-backups");
+  const TEST_FILE = path.join(TEST_DIR, "project", ".env");
+  const originalBackupDir = backups.getBackupDir();
+
+  beforeEach(() => {
+    fs.mkdirSync(path.dirname(TEST_FILE), { recursive: true });
+    backups.setBackupDir(path.join(TEST_DIR, "backups"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    backups.setBackupDir(originalBackupDir);
+  });
+
+  describe("createBackup", () => {
+    test("should return null when the file does not exist", () => {
+      expect(backups.createBackup(TEST_FILE)).toBeNull();
+      expect(backups.listBackups(TEST_FILE)).toEqual([]);
+    });
+
+    test("should copy the current content", () => {
+      fs.writeFileSync(TEST_FILE, "A=1\n");
+
+      const timestamp = backups.createBackup(TEST_FILE);
+
+      const [backup] = backups.listBackups(TEST_FILE);
+      expect(backup.timestamp).toBe(timestamp);
+      expect(fs.readFileSync(backup.path, "utf8")).toBe("A=1\n");
+    });
+
+    test("should keep only the most recent backups", () => {
+      fs.writeFileSync(TEST_FILE, "A=1\n");
+
+      const timestamps = [];
+      for (let i = 0; i < backups.MAX_BACKUPS_PER_FILE + 3; i++) {
+        timestamps.push(backups.createBackup(TEST_FILE));
+      }
+
+      const listed = backups.listBackups(TEST_FILE).map((b) => b.timestamp);
+      expect(listed).toHaveLength(backups.MAX_BACKUPS_PER_FILE);
+      expect(listed[0]).toBe(timestamps[timestamps.length - 1]);
+      expect(listed).not.toContain(timestamps[0]);
+    });
+  });
+
+  describe("restoreBackup", () => {
+    test("should restore the newest backup by default", () => {
+      fs.writeFileSync(TEST_FILE, "A=1\n");
+      backups.createBackup(TEST_FILE);
+      fs.writeFileSync(TEST_FILE, "A=2\n");
+      backups.createBackup(TEST_FILE);
+      fs.writeFileSync(TEST_FILE, "");
+
+      backups.restoreBackup(TEST_FILE);
+
+      expect(fs.readFileSync(TEST_FILE, "utf8")).toBe("A=2\n");
+    });
+
+    test("should restore a specific backup and back up the current content first", () => {
+      fs.writeFileSync(TEST_FILE, "A=1\n");
+      const first = backups.createBackup(TEST_FILE);
+      fs.writeFileSync(TEST_FILE, "A=2\n");
+
+      expect(backups.restoreBackup(TEST_FILE, first)).toBe(first);
+
+      expect(fs.readFileSync(TEST_FILE, "utf8")).toBe("A=1\n");
+      const [latest] = backups.listBackups(TEST_FILE);
+      expect(fs.readFileSync(latest.path, "utf8")).toBe("A=2\n");
+    });
+
+    test("should recreate a deleted file readable by its owner only", () => {
+      fs.writeFileSync(TEST_FILE, "A=1\n", { mode: 0o644 });
+      backups.createBackup(TEST_FILE);
+      fs.rmSync(TEST_FILE);
+
+      backups.restoreBackup(TEST_FILE);
+
+      expect(fs.readFileSync(TEST_FILE, "utf8")).toBe("A=1\n");
+      expect(fs.statSync(TEST_FILE).mode & 0o777).toBe(0o600);
+    });
+
+    test("should throw when there are no backups", () => {
+      expect(() => backups.restoreBackup(TEST_FILE)).toThrow("No backups found");
+    });
+
+    test("should throw for an unknown timestamp", () => {
+      fs.writeFileSync(TEST_FILE, "A=1\n");
+      backups.createBackup(TEST_FILE);
+
+      expect(() => backups.restoreBackup(TEST_FILE, "nope")).toThrow("No backup nope found");
+    });
+  });
+});
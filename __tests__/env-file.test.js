@@ -0,0 +1,201 @@
+const envFile = require("../lib/env-file");
+
+/**
+ * Parses content, applies updates and serializes it back
+ */
+function update(content, values) {
+  const doc = envFile.parseEnvFile(content);
+  Object.entries(values).forEach(([key, value]) => envFile.setEnvValue(doc, key, value));
+  return envFile.serializeEnvFile(doc);
+}
+
+describe("Env File", () => {
+  describe("parseEnvFile / serializeEnvFile", () => {
+    test("should round-trip content unchanged", () => {
+      const content = [
+        "# Comment",
+        "export AWS_REGION=eu-west-1",
+        "",
+        "SINGLE='single quoted'",
+        'DOUBLE="a=b # not a comment" # real comment',
+        "BACKTICK=`tick`",
+        'MULTI="line one',
+        'line two"',
+        "  INDENTED = spaced  # trailing",
+        "not an assignment",
+        "DUP=1",
+        "DUP=2",
+        "",
+      ].join("\n");
+
+      expect(envFile.serializeEnvFile(envFile.parseEnvFile(content))).toBe(content);
+    });
+
+    test("should round-trip CRLF content and a missing trailing newline", () => {
+      const content = "A=1\r\nB=\"two\"\r\nC=3";
+
+      expect(envFile.serializeEnvFile(envFile.parseEnvFile(content))).toBe(content);
+    });
+
+    test("should parse values", () => {
+      const doc = envFile.parseEnvFile([
+        "export A=plain",
+        "B='single # kept'",
+        'C="with \\"escaped\\" quotes\\nand newline"',
+        "D=value # comment",
+        'E="multi',
+        'line"',
+        "F=",
+        "G=url/#fragment",
+        "DUP=first",
+        "DUP=second",
+      ].join("\n"));
+
+      expect(envFile.getEnvValue(doc, "A")).toBe("plain");
+      expect(envFile.getEnvValue(doc, "B")).toBe("single # kept");
+      expect(envFile.getEnvValue(doc, "C")).toBe('with "escaped" quotes\nand newline');
+      expect(envFile.getEnvValue(doc, "D")).toBe("value");
+      expect(envFile.getEnvValue(doc, "E")).toBe("multi\nline");
+      expect(envFile.getEnvValue(doc, "F")).toBe("");
+      expect(envFile.getEnvValue(doc, "G")).toBe("url/#fragment");
+      expect(envFile.getEnvValue(doc, "DUP")).toBe("second");
+      expect(envFile.getEnvValue(doc, "MISSING")).toBeUndefined();
+    });
+  });
+
+  describe("setEnvValue", () => {
+    test("should keep the export prefix, quoting and inline comment", () => {
+      const content = "export KEY='old' # managed\nOTHER=1\n";
+
+      expect(update(content, { KEY: "new" })).toBe("export KEY='new' # managed\nOTHER=1\n");
+    });
+
+    test("should keep double quotes and escape the new value", () => {
+      expect(update('KEY="old"\n', { KEY: 'a"b' })).toBe('KEY="a\\"b"\n');
+    });
+
+    test("should quote unquoted values only when needed", () => {
+      expect(update("A=old\n", { A: "abc+/=" })).toBe("A=abc+/=\n");
+      expect(update("A=old\n", { A: "has space" })).toBe('A="has space"\n');
+    });
+
+    test("should rewrite a multiline value in place", () => {
+      const content = 'BEFORE=1\nKEY="line one\nline two"\nAFTER=2\n';
+
+      expect(update(content, { KEY: "single" })).toBe('BEFORE=1\nKEY="single"\nAFTER=2\n');
+    });
+
+    test("should update every duplicate of a key", () => {
+      expect(update("KEY=a\nKEY=b\n", { KEY: "c" })).toBe("KEY=c\nKEY=c\n");
+    });
+
+    test("should append missing keys using the file's line endings", () => {
+      expect(update("A=1\r\n", { B: "2" })).toBe("A=1\r\nB=2\r\n");
+      expect(update("A=1", { B: "2" })).toBe("A=1\nB=2");
+      expect(update("", { B: "2" })).toBe("B=2\n");
+    });
+
+    test("should report whether the document changed", () => {
+      const doc = envFile.parseEnvFile("export KEY=\"same\"\n");
+
+      expect(envFile.setEnvValue(doc, "KEY", "same")).toBe(false);
+      expect(envFile.setEnvValue(doc, "KEY", "different")).toBe(true);
+      expect(envFile.setEnvValue(doc, "NEW", "value")).toBe(true);
+    });
+  });
+
+  describe("removeEnvValue", () => {
+    test("should remove every assignment of a key", () => {
+      const doc = envFile.parseEnvFile("A=1\nKEY=a\nexport KEY=b\nB=2\n");
+
+      expect(envFile.removeEnvValue(doc, "KEY")).toBe(true);
+      expect(envFile.serializeEnvFile(doc)).toBe("A=1\nB=2\n");
+      expect(envFile.removeEnvValue(doc, "KEY")).toBe(false);
+    });
+  });
+
+  describe("managed block", () => {
+    /**
+     * Parses content, writes the managed block and serializes it back
+     */
+    function writeBlock(content, values, profile) {
+      const doc = envFile.parseEnvFile(content);
+      envFile.setManagedBlock(doc, values, profile);
+      return envFile.serializeEnvFile(doc);
+    }
+
+    test("should append a new block after a blank line", () => {
+      expect(writeBlock("APP=1\n", { AWS_ACCESS_KEY_ID: "KEY" }, "dev")).toBe(
+        [
+          "APP=1",
+          "",
+          "# >>> aws-auto-env (profile: dev) >>>",
+          "AWS_ACCESS_KEY_ID=KEY",
+          "# <<< aws-auto-env <<<",
+          "",
+        ].join("\n")
+      );
+    });
+
+    test("should rewrite only the block", () => {
+      const content = [
+        "BEFORE=1",
+        "# >>> aws-auto-env (profile: old) >>>",
+        "AWS_ACCESS_KEY_ID=OLD",
+        "AWS_SESSION_TOKEN=STALE",
+        "# <<< aws-auto-env <<<",
+        "AFTER=2",
+        "",
+      ].join("\n");
+
+      expect(writeBlock(content, { AWS_ACCESS_KEY_ID: "NEW" }, "new")).toBe(
+        [
+          "BEFORE=1",
+          "# >>> aws-auto-env (profile: new) >>>",
+          "AWS_ACCESS_KEY_ID=NEW",
+          "# <<< aws-auto-env <<<",
+          "AFTER=2",
+          "",
+        ].join("\n")
+      );
+    });
+
+    test("should move stray credential lines into the block", () => {
+      const content = "APP=1\nexport AWS_ACCESS_KEY_ID=OLD\nOTHER=2\nAWS_ACCESS_KEY_ID=DUP\n";
+
+      expect(writeBlock(content, { AWS_ACCESS_KEY_ID: "NEW" }, "dev")).toBe(
+        [
+          "APP=1",
+          "# >>> aws-auto-env (profile: dev) >>>",
+          "AWS_ACCESS_KEY_ID=NEW",
+          "# <<< aws-auto-env <<<",
+          "OTHER=2",
+          "",
+        ].join("\n")
+      );
+    });
+
+    test("should report whether the document changed", () => {
+      const doc = envFile.parseEnvFile("");
+
+      expect(envFile.setManagedBlock(doc, { A: "1" }, "dev")).toBe(true);
+      expect(envFile.setManagedBlock(doc, { A: "1" }, "dev")).toBe(false);
+      expect(envFile.setManagedBlock(doc, { A: "1" }, "prod")).toBe(true);
+    });
+
+    test("should remove the block and its separating blank line", () => {
+      const doc = envFile.parseEnvFile("APP=1\n");
+      envFile.setManagedBlock(doc, { A: "1" }, "dev");
+
+      expect(envFile.removeManagedBlock(doc)).toBe(true);
+      expect(envFile.serializeEnvFile(doc)).toBe("APP=1\n");
+      expect(envFile.removeManagedBlock(doc)).toBe(false);
+    });
+
+    test("should ignore a start marker without an end marker", () => {
+      const doc = envFile.parseEnvFile("# >>> aws-auto-env >>>\nA=1\n");
+
+      expect(envFile.findManagedBlock(doc)).toBeNull();
+    });
+  });
+});
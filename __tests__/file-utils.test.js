@@ -0,0 +1,77 @@
+const fs = require("fs");
+const path = require("path");
+const fileUtils = require("../lib/file-utils");
+
+describe("File Utils", () => {
+  const TEST_DIR = path.join(__dirname, "test-file-utils");
+  const TEST_FILE = path.join(TEST_DIR, ".env");
+
+  beforeEach(() => {
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe("writeFileAtomic", () => {
+    test("should create a new file", () => {
+      fileUtils.writeFileAtomic(TEST_FILE, "A=1\n");
+
+      expect(fs.readFileSync(TEST_FILE, "utf8")).toBe("A=1\n");
+    });
+
+    test("should replace an existing file and keep its mode", () => {
+      fs.writeFileSync(TEST_FILE, "A=1\n");
+      fs.chmodSync(TEST_FILE, 0o640);
+
+      fileUtils.writeFileAtomic(TEST_FILE, "A=2\n");
+
+      expect(fs.readFileSync(TEST_FILE, "utf8")).toBe("A=2\n");
+      expect(fs.statSync(TEST_FILE).mode & 0o777).toBe(0o640);
+    });
+
+    test("should create a new file with the requested mode", () => {
+      fileUtils.writeFileAtomic(TEST_FILE, "A=1\n", { mode: fileUtils.PRIVATE_FILE_MODE });
+
+      expect(fs.statSync(TEST_FILE).mode & 0o777).toBe(0o600);
+    });
+
+    test("should leave the original untouched and no temp file when the write fails", () => {
+      fs.writeFileSync(TEST_FILE, "A=1\n");
+      jest.spyOn(fs, "renameSync").mockImplementation(() => {
+        throw new Error("ENOSPC: no space left on device");
+      });
+
+      expect(() => fileUtils.writeFileAtomic(TEST_FILE, "A=2\n")).toThrow("ENOSPC");
+      expect(fs.readFileSync(TEST_FILE, "utf8")).toBe("A=1\n");
+      expect(fs.readdirSync(TEST_DIR)).toEqual([".env"]);
+    });
+  });
+
+  describe("isGroupOrWorldReadable", () => {
+    test("should detect files readable by group or others", () => {
+      fs.writeFileSync(TEST_FILE, "A=1\n");
+      fs.chmodSync(TEST_FILE, 0o644);
+      expect(fileUtils.isGroupOrWorldReadable(TEST_FILE)).toBe(true);
+
+      fs.chmodSync(TEST_FILE, 0o600);
+      expect(fileUtils.isGroupOrWorldReadable(TEST_FILE)).toBe(false);
+    });
+
+    test("should return false for a missing file", () => {
+      expect(fileUtils.isGroupOrWorldReadable(TEST_FILE)).toBe(false);
+    });
+  });
+
+  describe("restrictPermissions", () => {
+    test("should remove group and other permissions", () => {
+      fs.writeFileSync(TEST_FILE, "A=1\n");
+      fs.chmodSync(TEST_FILE, 0o664);
+
+      expect(fileUtils.restrictPermissions(TEST_FILE)).toBe(0o600);
+      expect(fs.statSync(TEST_FILE).mode & 0o777).toBe(0o600);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const gitSafety = require("../lib/git-safety");
+
+describe("Git Safety", () => {
+  let repoDir;
+
+  /**
+   * Runs git inside the test repository
+   */
+  function git(...args) {
+    execFileSync("git", ["-C", repoDir, ...args], { stdio: "pipe" });
+  }
+
+  beforeEach(() => {
+    repoDir = fs.mkdtempSync(path.join(os.tmpdir(), "aws-auto-env-git-"));
+    git("init", "-q");
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  describe("findGitRoot", () => {
+    test("should find the enclosing repository", () => {
+      const filePath = path.join(repoDir, "app", "nested", ".env");
+
+      expect(gitSafety.findGitRoot(filePath)).toBe(repoDir);
+    });
+
+    test("should return null outside a repository", () => {
+      expect(gitSafety.findGitRoot(path.join(path.parse(repoDir).root, ".env"))).toBeNull();
+    });
+  });
+
+  describe("checkFile", () => {
+    test("should flag a file that is not ignored", () => {
+      const result = gitSafety.checkFile(path.join(repoDir, ".env"));
+
+      expect(result).toMatchObject({ relativePath: ".env", tracked: false, ignored: false, safe: false });
+      expect(gitSafety.describeProblem(result)).toBe(`is not ignored by git in ${repoDir}`);
+    });
+
+    test("should accept an ignored, untracked file", () => {
+      fs.writeFileSync(path.join(repoDir, ".gitignore"), ".env\n");
+
+      expect(gitSafety.checkFile(path.join(repoDir, ".env")).safe).toBe(true);
+    });
+
+    test("should flag a tracked file even when it is ignored", () => {
+      fs.writeFileSync(path.join(repoDir, ".env"), "A=1\n");
+      git("add", ".env");
+      fs.writeFileSync(path.join(repoDir, ".gitignore"), ".env\n");
+
+      const result = gitSafety.checkFile(path.join(repoDir, ".env"));
+
+      expect(result).toMatchObject({ tracked: true, ignored: true, safe: false });
+      expect(gitSafety.describeProblem(result)).toBe(`is tracked by git in ${repoDir}`);
+    });
+  });
+
+  describe("addIgnoreEntry", () => {
+    test("should append an anchored entry to the root .gitignore", () => {
+      fs.writeFileSync(path.join(repoDir, ".gitignore"), "node_modules");
+      const filePath = path.join(repoDir, "app", ".env");
+
+      expect(gitSafety.addIgnoreEntry(filePath)).toBe(path.join(repoDir, ".gitignore"));
+
+      expect(fs.readFileSync(path.join(repoDir, ".gitignore"), "utf8")).toBe(
+        "node_modules\n/app/.env\n"
+      );
+      expect(gitSafety.checkFile(filePath).safe).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const glob = require("../lib/glob");
+
+describe("Glob", () => {
+  let root;
+
+  /**
+   * Creates a file (and its directories) under the test root
+   */
+  function touch(relativePath) {
+    const filePath = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, "");
+    return filePath;
+  }
+
+  beforeEach(() => {
+    root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "aws-auto-env-glob-")));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe("isGlob", () => {
+    test("should detect glob characters", () => {
+      expect(glob.isGlob("/code/*/services/*/.env")).toBe(true);
+      expect(glob.isGlob("/code/app-?/.env")).toBe(true);
+      expect(glob.isGlob("/code/app/.env")).toBe(false);
+    });
+
+    test("should treat [...] as a class only when the literal path does not exist", () => {
+      const literal = touch("apps/[id]/.env");
+
+      expect(glob.isGlob(literal)).toBe(false);
+      expect(glob.isGlob(path.join(root, "apps/[id]"))).toBe(false);
+      expect(glob.isGlob(path.join(root, "apps/[ab]/.env"))).toBe(true);
+      expect(glob.isGlob(path.join(root, "apps/[id/.env"))).toBe(false);
+    });
+
+    test("should not count escaped characters", () => {
+      expect(glob.isGlob("/code/apps/\\[slug]/.env")).toBe(false);
+      expect(glob.isGlob("/code/app-\\?/.env")).toBe(false);
+      expect(glob.unescapeGlob("/code/apps/\\[slug]/.env")).toBe("/code/apps/[slug]/.env");
+    });
+  });
+
+  describe("matchesGlob", () => {
+    test("should match single segments, any depth and character classes", () => {
+      expect(glob.matchesGlob("/code/a/services/b/.env", "/code/*/services/*/.env")).toBe(true);
+      expect(glob.matchesGlob("/code/a/x/services/b/.env", "/code/*/services/*/.env")).toBe(false);
+      expect(glob.matchesGlob("/code/a/x/services/b/.env", "/code/**/.env")).toBe(true);
+      expect(glob.matchesGlob("/code/app-1/.env", "/code/app-[0-9]/.env")).toBe(true);
+      expect(glob.matchesGlob("/code/app-x/.env", "/code/app-[!x]/.env")).toBe(false);
+    });
+
+    test("should match relative patterns at any depth", () => {
+      expect(glob.matchesGlob("/code/legacy/api/.env", "legacy/**")).toBe(true);
+      expect(glob.matchesGlob("/code/new/api/.env", "legacy/**")).toBe(false);
+    });
+  });
+
+  describe("expandGlob", () => {
+    test("should expand a pattern into matching files", () => {
+      const first = touch("code/shop/services/api/.env");
+      const second = touch("code/shop/services/worker/.env");
+      touch("code/shop/other/api/.env");
+
+      const result = glob.expandGlob(`${root}/code/*/services/*/.env`);
+
+      expect(result.matches).toEqual([first, second]);
+      expect(result.missing).toEqual([]);
+    });
+
+    test("should match escaped brackets literally", () => {
+      const literal = touch("apps/[id]/.env");
+      touch("apps/i/.env");
+
+      expect(glob.expandGlob(`${root}/ap*/\\[id\\]/.env`).matches).toEqual([literal]);
+      expect(glob.expandGlob(`${root}/*/\\[id]/.env`).matches).toEqual([literal]);
+      expect(glob.expandGlob(`${root}/apps/[id]/.env`).matches).toEqual([path.join(root, "apps/i/.env")]);
+    });
+
+    test("should report directories missing the file", () => {
+      const existing = touch("code/shop/services/api/.env");
+      fs.mkdirSync(path.join(root, "code/shop/services/worker"), { recursive: true });
+
+      const result = glob.expandGlob(`${root}/code/*/services/*/.env`);
+
+      expect(result.matches).toEqual([existing]);
+      expect(result.missing).toEqual([path.join(root, "code/shop/services/worker/.env")]);
+    });
+
+    test("should match any depth with ** and skip hidden directories", () => {
+      const shallow = touch("code/.env");
+      const deep = touch("code/a/b/.env");
+      touch("code/.cache/.env");
+
+      expect(glob.expandGlob(`${root}/code/**/.env`).matches).toEqual([shallow, deep]);
+    });
+
+    test("should apply include and exclude rules", () => {
+      touch("code/legacy/services/api/.env");
+      const kept = touch("code/shop/services/api/.env");
+      touch("code/shop/services/batch/.env");
+
+      const result = glob.expandGlob(`${root}/code/*/services/*/.env`, {
+        include: ["services/api/.env", "services/batch/.env"],
+        exclude: ["legacy/**", "batch/.env"],
+      });
+
+      expect(result.matches).toEqual([kept]);
+    });
+  });
+});
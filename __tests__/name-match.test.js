@@ -0,0 +1,55 @@
+const nameMatch = require("../lib/name-match");
+
+describe("Name matching", () => {
+  const environments = [
+    { id: "1", name: "Production" },
+    { id: "2", name: "production" },
+    { id: "3", name: "Staging EU" },
+    { id: "4", name: "Staging US" },
+    { id: "5", name: "Development" },
+    { id: "6" },
+  ];
+
+  describe("editDistance", () => {
+    test("should count insertions, deletions and substitutions", () => {
+      expect(nameMatch.editDistance("staging", "staging")).toBe(0);
+      expect(nameMatch.editDistance("stagng", "staging")).toBe(1);
+      expect(nameMatch.editDistance("kitten", "sitting")).toBe(3);
+      expect(nameMatch.editDistance("", "dev")).toBe(3);
+    });
+  });
+
+  describe("matchByName", () => {
+    test("should prefer exact matches", () => {
+      expect(nameMatch.matchByName("Production", environments)).toEqual({
+        match: "exact",
+        candidates: [{ id: "1", name: "Production" }],
+      });
+    });
+
+    test("should fall back to case-insensitive matches", () => {
+      expect(nameMatch.matchByName("DEVELOPMENT", environments)).toEqual({
+        match: "case-insensitive",
+        candidates: [{ id: "5", name: "Development" }],
+      });
+      expect(nameMatch.matchByName("PRODUCTION", environments).candidates).toHaveLength(2);
+    });
+
+    test("should match substrings and typos, closest first", () => {
+      expect(nameMatch.matchByName("staging", environments).candidates.map((c) => c.id)).toEqual(["3", "4"]);
+      expect(nameMatch.matchByName("Developmnet", environments)).toEqual({
+        match: "fuzzy",
+        candidates: [{ id: "5", name: "Development" }],
+      });
+    });
+
+    test("should return no candidates when nothing matches", () => {
+      expect(nameMatch.matchByName("qa", environments)).toEqual({ match: null, candidates: [] });
+      expect(nameMatch.matchByName("stgeu", environments)).toEqual({ match: null, candidates: [] });
+      expect(nameMatch.matchByName("dev", [{ name: "Production Environment" }])).toEqual({
+        match: null,
+        candidates: [],
+      });
+    });
+  });
+});
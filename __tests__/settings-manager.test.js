@@ -1,4 +1,5 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const settingsManager = require('../lib/settings-manager');
 
@@ -51,6 +52,21 @@ describe('Settings Manager', () => {
   });
 
   describe('writeSettings', () => {
+    test('should create the settings file readable by the owner only', () => {
+      settingsManager.writeSettings({ mappings: {} });
+
+      expect(fs.statSync(TEST_SETTINGS_FILE).mode & 0o777).toBe(0o600);
+    });
+
+    test('should make an existing settings file readable by the owner only', () => {
+      fs.writeFileSync(TEST_SETTINGS_FILE, '{}', { mode: 0o644 });
+      fs.chmodSync(TEST_SETTINGS_FILE, 0o644);
+
+      settingsManager.writeSettings({ mappings: {}, postman: { apiKey: 'secret' } });
+
+      expect(fs.statSync(TEST_SETTINGS_FILE).mode & 0o777).toBe(0o600);
+    });
+
     test('should write settings to file', () => {
       const settings = {
         mappings: { './app.env': 'production' },
@@ -84,12 +100,172 @@ describe('Settings Manager', () => {
     });
   });
 
+  describe('project file', () => {
+    let projectDir;
+
+    beforeEach(() => {
+      projectDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'aws-auto-env-project-')));
+      fs.mkdirSync(path.join(projectDir, 'services', 'api'), { recursive: true });
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Writes the project file at the root of the test project
+     */
+    function writeProjectFile(project) {
+      fs.writeFileSync(path.join(projectDir, '.aws-auto-env.json'), JSON.stringify(project));
+    }
+
+    test('should be found by walking up from a subdirectory', () => {
+      writeProjectFile({ mappings: {} });
+
+      expect(settingsManager.findProjectFile(path.join(projectDir, 'services', 'api'))).toBe(
+        path.join(projectDir, '.aws-auto-env.json')
+      );
+    });
+
+    test('should resolve paths against the project root and profile aliases', () => {
+      writeProjectFile({
+        mappings: {
+          '.env': 'dev',
+          'services/*/.env': { awsProfile: 'staging', managedBlock: true }
+        }
+      });
+      settingsManager.setProfileAlias('dev', 'acme-dev');
+
+      const project = settingsManager.getProject(path.join(projectDir, 'services'));
+
+      expect(project.root).toBe(projectDir);
+      expect(project.mappings).toEqual({
+        [path.join(projectDir, '.env')]: 'acme-dev',
+        [path.join(projectDir, 'services/*/.env')]: { awsProfile: 'staging', managedBlock: true }
+      });
+    });
+
+    test('should scope global mappings to the project and let them override', () => {
+      writeProjectFile({ mappings: { '.env': 'dev', 'services/api/.env': 'dev' } });
+      fs.writeFileSync(TEST_SETTINGS_FILE, JSON.stringify({
+        mappings: {
+          '/elsewhere/.env': 'prod',
+          [path.join(projectDir, 'services/api/.env')]: 'personal'
+        }
+      }));
+
+      expect(settingsManager.getMappings(projectDir)).toEqual({
+        [path.join(projectDir, '.env')]: 'dev',
+        [path.join(projectDir, 'services/api/.env')]: 'personal'
+      });
+    });
+
+    test('should reject a malformed project file', () => {
+      writeProjectFile({ mappings: { '.env': { managedBlock: true } } });
+
+      expect(() => settingsManager.getMappings(projectDir)).toThrow(
+        'no profile for ".env"'
+      );
+    });
+
+    test('should reject mappings that resolve outside the project', () => {
+      const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'aws-auto-env-outside-'));
+      fs.symlinkSync(outside, path.join(projectDir, 'linked'));
+      try {
+        writeProjectFile({ mappings: { '../../escaped.env': 'prod' } });
+        expect(() => settingsManager.getProject(projectDir)).toThrow(
+          '"../../escaped.env" is outside the project'
+        );
+
+        writeProjectFile({ mappings: { [path.join(outside, 'abs.env')]: 'prod' } });
+        expect(() => settingsManager.getProject(projectDir)).toThrow('is outside the project');
+
+        writeProjectFile({ mappings: { 'linked/new/dir/.env': 'prod' } });
+        expect(() => settingsManager.getProject(projectDir)).toThrow(
+          '"linked/new/dir/.env" is outside the project'
+        );
+      } finally {
+        fs.rmSync(outside, { recursive: true, force: true });
+      }
+    });
+
+    test('should only accept whitelisted mapping options', () => {
+      writeProjectFile({ mappings: { '.env': { awsProfile: 'prod', allowUnsafe: true } } });
+      expect(() => settingsManager.getProject(projectDir)).toThrow(
+        '"allowUnsafe" is not allowed for ".env"'
+      );
+
+      writeProjectFile({ mappings: { '.env': { awsProfile: 'prod', surprise: 1 } } });
+      expect(() => settingsManager.getProject(projectDir)).toThrow(
+        '"surprise" is not allowed for ".env"'
+      );
+
+      writeProjectFile({ mappings: { 'services/*/.env': { awsProfile: 'prod', createMissing: true } } });
+      expect(settingsManager.getProject(projectDir).mappings).toEqual({
+        [path.join(projectDir, 'services/*/.env')]: { awsProfile: 'prod', createMissing: true }
+      });
+    });
+
+    test('should normalise prefixed profiles given as profile', () => {
+      writeProjectFile({
+        mappings: { '.env': { awsProfile: 'app-prod', profiles: [{ profile: 'data-prod', prefix: 'DATA_' }] } }
+      });
+
+      expect(settingsManager.getProject(projectDir).mappings).toEqual({
+        [path.join(projectDir, '.env')]: {
+          awsProfile: 'app-prod',
+          profiles: [{ awsProfile: 'data-prod', prefix: 'DATA_' }]
+        }
+      });
+    });
+
+    test('should reject prefixed profiles without a profile or with an invalid prefix', () => {
+      writeProjectFile({
+        mappings: { '.env': { awsProfile: 'app-prod', profiles: [{ prefix: 'DATA_' }] } }
+      });
+      expect(() => settingsManager.getProject(projectDir)).toThrow(
+        'profiles entry 1 of ".env" has no profile'
+      );
+
+      writeProjectFile({
+        mappings: {
+          '.env': {
+            awsProfile: 'app-prod',
+            profiles: [{ profile: 'data-prod', prefix: 'DATA_' }, { profile: 'ops', prefix: 'OPS-' }]
+          }
+        }
+      });
+      expect(() => settingsManager.getProject(projectDir)).toThrow(
+        'profiles entry 2 of ".env" has an invalid prefix "OPS-"'
+      );
+    });
+
+    test('should reject a project file that is not JSON', () => {
+      fs.writeFileSync(path.join(projectDir, '.aws-auto-env.json'), '{ mappings');
+
+      expect(() => settingsManager.getProject(projectDir)).toThrow(
+        'Failed to read project file'
+      );
+    });
+  });
+
+  describe('profile aliases', () => {
+    test('should set and remove aliases', () => {
+      settingsManager.setProfileAlias('dev', 'acme-dev');
+      expect(settingsManager.getProfileAliases()).toEqual({ dev: 'acme-dev' });
+
+      expect(settingsManager.removeProfileAlias('dev')).toBe(true);
+      expect(settingsManager.removeProfileAlias('dev')).toBe(false);
+      expect(settingsManager.getProfileAliases()).toEqual({});
+    });
+  });
+
   describe('addMapping', () => {
     test('should add a new mapping', () => {
       settingsManager.addMapping('./new.env', 'new-profile');
 
       const mappings = settingsManager.getMappings();
-      expect(mappings['./new.env']).toBe('new-profile');
+      expect(mappings[path.resolve('./new.env')]).toBe('new-profile');
     });
 
     test('should overwrite existing mapping', () => {
@@ -97,7 +273,111 @@ describe('Settings Manager', () => {
       settingsManager.addMapping('./test.env', 'new-profile');
 
       const mappings = settingsManager.getMappings();
-      expect(mappings['./test.env']).toBe('new-profile');
+      expect(mappings[path.resolve('./test.env')]).toBe('new-profile');
+    });
+
+    test('should store glob patterns as absolute patterns', () => {
+      settingsManager.addMapping('~/code/*/services/*/.env', 'dev');
+
+      const mappings = settingsManager.getMappings();
+      expect(mappings[path.join(os.homedir(), 'code/*/services/*/.env')]).toBe('dev');
+    });
+
+    test('should store naming options with the profile', () => {
+      settingsManager.addMapping('./data.env', 'data-profile', {
+        variableTemplate: 'DATA_{name}',
+        variableNames: undefined
+      });
+
+      const mappings = settingsManager.getMappings();
+      expect(mappings[path.resolve('./data.env')]).toEqual({
+        awsProfile: 'data-profile',
+        variableTemplate: 'DATA_{name}'
+      });
+    });
+  });
+
+  describe('resolveMappingPath', () => {
+    test('should resolve relative paths against the base directory', () => {
+      expect(settingsManager.resolveMappingPath('./app/.env', '/nonexistent/base')).toBe(
+        '/nonexistent/base/app/.env'
+      );
+    });
+
+    test('should expand ~ and environment variables', () => {
+      process.env.AWS_AUTO_ENV_TEST_DIR = 'from-env';
+
+      expect(settingsManager.resolveMappingPath('~/x/.env')).toBe(
+        path.join(os.homedir(), 'x', '.env')
+      );
+      expect(settingsManager.resolveMappingPath('/nonexistent/$AWS_AUTO_ENV_TEST_DIR/${AWS_AUTO_ENV_TEST_DIR}/.env')).toBe(
+        '/nonexistent/from-env/from-env/.env'
+      );
+
+      delete process.env.AWS_AUTO_ENV_TEST_DIR;
+    });
+
+    test('should resolve symlinked directories to the same path', () => {
+      const realDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aws-auto-env-real-'));
+      const linkDir = `${realDir}-link`;
+      fs.symlinkSync(realDir, linkDir);
+
+      try {
+        expect(settingsManager.resolveMappingPath(path.join(linkDir, '.env'))).toBe(
+          path.join(fs.realpathSync(realDir), '.env')
+        );
+      } finally {
+        fs.rmSync(linkDir, { force: true });
+        fs.rmSync(realDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('migrateSettings', () => {
+    test('should resolve relative mappings once and merge duplicates', () => {
+      fs.writeFileSync(TEST_SETTINGS_FILE, JSON.stringify({
+        mappings: {
+          './app/.env': 'dev',
+          '/nonexistent/base/app/.env': 'prod',
+          '/nonexistent/other/.env': 'staging'
+        },
+        syncState: { env: { './app/.env': { awsProfile: 'dev' } }, postman: {} }
+      }));
+
+      const migrated = settingsManager.migrateSettings('/nonexistent/base');
+
+      expect(migrated).toEqual([
+        { from: './app/.env', to: '/nonexistent/base/app/.env', merged: false },
+        { from: '/nonexistent/base/app/.env', to: '/nonexistent/base/app/.env', merged: true }
+      ]);
+      const settings = settingsManager.readSettings();
+      expect(settings.version).toBe(2);
+      expect(settings.mappings).toEqual({
+        '/nonexistent/base/app/.env': 'prod',
+        '/nonexistent/other/.env': 'staging'
+      });
+      expect(settings.syncState.env).toEqual({});
+
+      // Already migrated settings are left alone
+      expect(settingsManager.migrateSettings('/elsewhere')).toEqual([]);
+    });
+
+    test('should not migrate new settings files', () => {
+      expect(settingsManager.migrateSettings()).toEqual([]);
+    });
+  });
+
+  describe('normalizeMapping', () => {
+    test('should expand a bare profile name', () => {
+      expect(settingsManager.normalizeMapping('dev')).toEqual({ awsProfile: 'dev' });
+    });
+
+    test('should copy an object mapping', () => {
+      const mapping = { awsProfile: 'dev', variableTemplate: 'X_{name}' };
+      const normalized = settingsManager.normalizeMapping(mapping);
+
+      expect(normalized).toEqual(mapping);
+      expect(normalized).not.toBe(mapping);
     });
   });
 
@@ -109,7 +389,7 @@ describe('Settings Manager', () => {
       expect(removed).toBe(true);
 
       const mappings = settingsManager.getMappings();
-      expect(mappings['./test.env']).toBeUndefined();
+      expect(mappings[path.resolve('./test.env')]).toBeUndefined();
     });
 
     test('should return false when mapping does not exist', () => {
@@ -182,6 +462,44 @@ describe('Settings Manager', () => {
     });
   });
 
+  describe('default Postman workspace', () => {
+    test('should set, get and clear the default workspace', () => {
+      expect(settingsManager.getPostmanDefaultWorkspace()).toBeNull();
+
+      settingsManager.setPostmanDefaultWorkspace('ws-1');
+      expect(settingsManager.getPostmanDefaultWorkspace()).toBe('ws-1');
+
+      settingsManager.setPostmanDefaultWorkspace(null);
+      expect(settingsManager.getPostmanDefaultWorkspace()).toBeNull();
+    });
+  });
+
+  describe('getPostmanClientConfig', () => {
+    test('should fill in defaults for missing options', () => {
+      fs.writeFileSync(TEST_SETTINGS_FILE, JSON.stringify({ postman: { apiKey: 'key', maxRetries: 5 } }));
+
+      expect(settingsManager.getPostmanClientConfig()).toEqual({
+        maxRetries: 5,
+        maxRetryDelaySeconds: 60,
+        baseUrl: 'https://api.getpostman.com',
+        timeoutSeconds: 30,
+        proxy: null
+      });
+    });
+
+    test('should return the configured base URL, timeout and proxy', () => {
+      fs.writeFileSync(TEST_SETTINGS_FILE, JSON.stringify({
+        postman: { baseUrl: 'http://localhost:4010', timeoutSeconds: 5, proxy: 'http://proxy.corp:3128' }
+      }));
+
+      expect(settingsManager.getPostmanClientConfig()).toMatchObject({
+        baseUrl: 'http://localhost:4010',
+        timeoutSeconds: 5,
+        proxy: 'http://proxy.corp:3128'
+      });
+    });
+  });
+
   describe('getPostmanMappings', () => {
     test('should return empty object when no mappings exist', () => {
       const mappings = settingsManager.getPostmanMappings();
@@ -218,6 +536,21 @@ describe('Settings Manager', () => {
       expect(mappings['env-123'].environmentName).toBe('My Environment');
     });
 
+    test('should store extra variables and reset the sync state', () => {
+      settingsManager.recordSyncState('postman', 'env-123', { awsProfile: 'my-profile' });
+
+      settingsManager.addPostmanMapping('env-123', {
+        awsProfile: 'my-profile',
+        environmentName: 'My Environment',
+        extraVariables: { aws_region: '{config:region}' }
+      });
+
+      expect(settingsManager.getPostmanMappings()['env-123'].extraVariables).toEqual({
+        aws_region: '{config:region}'
+      });
+      expect(settingsManager.getSyncState('postman', 'env-123')).toBeNull();
+    });
+
     test('should overwrite existing mapping', () => {
       settingsManager.addPostmanMapping('env-123', {
         awsProfile: 'old-profile',
@@ -283,6 +616,34 @@ describe('Settings Manager', () => {
       expect(mappings['env-123'].awsProfile).toBe('my-profile');
     });
 
+    test('should update the name of a collection mapping', () => {
+      settingsManager.addPostmanMapping('col-123', {
+        kind: 'collection',
+        awsProfile: 'my-profile',
+        collectionName: 'Old Name'
+      });
+
+      settingsManager.updatePostmanMappingName('col-123', 'New Name');
+
+      expect(settingsManager.getPostmanMappings()['col-123']).toEqual({
+        kind: 'collection',
+        awsProfile: 'my-profile',
+        collectionName: 'New Name'
+      });
+    });
+
+    test('should store and update the workspace name of a globals mapping', () => {
+      settingsManager.addPostmanMapping('ws-1', { kind: 'globals', awsProfile: 'my-profile', workspaceName: 'Team' });
+
+      settingsManager.updatePostmanMappingName('ws-1', 'Renamed');
+
+      expect(settingsManager.getPostmanMappings()['ws-1']).toEqual({
+        kind: 'globals',
+        awsProfile: 'my-profile',
+        workspaceName: 'Renamed'
+      });
+    });
+
     test('should do nothing for nonexistent mapping', () => {
       settingsManager.updatePostmanMappingName('nonexistent', 'Name');
 
@@ -290,4 +651,59 @@ describe('Settings Manager', () => {
       expect(mappings['nonexistent']).toBeUndefined();
     });
   });
+
+  describe('sync state', () => {
+    test('should return default sync config', () => {
+      expect(settingsManager.getSyncConfig()).toEqual({
+        refreshThresholdMinutes: 15,
+        writeExpiration: false,
+        fixPermissions: false,
+        gitSafety: 'refuse'
+      });
+    });
+
+    test('should fill in missing sync options', () => {
+      fs.writeFileSync(TEST_SETTINGS_FILE, JSON.stringify({
+        mappings: {},
+        sync: { refreshThresholdMinutes: 30 }
+      }));
+
+      expect(settingsManager.getSyncConfig()).toEqual({
+        refreshThresholdMinutes: 30,
+        writeExpiration: false,
+        fixPermissions: false,
+        gitSafety: 'refuse'
+      });
+    });
+
+    test('should clear the sync state of a target', () => {
+      settingsManager.recordSyncState('env', '/app/.env', { awsProfile: 'prod' });
+
+      settingsManager.clearSyncState('env', '/app/.env');
+
+      expect(settingsManager.getSyncState('env', '/app/.env')).toBeNull();
+    });
+
+    test('should record and read back sync state', () => {
+      settingsManager.recordSyncState('env', '/app/.env', {
+        awsProfile: 'prod',
+        expiration: '2030-01-01T00:00:00.000Z'
+      });
+
+      const state = settingsManager.getSyncState('env', '/app/.env');
+      expect(state.awsProfile).toBe('prod');
+      expect(state.expiration).toBe('2030-01-01T00:00:00.000Z');
+      expect(state.syncedAt).toBeDefined();
+      expect(settingsManager.getSyncState('postman', '/app/.env')).toBeNull();
+    });
+
+    test('should drop sync state when the mapping is removed', () => {
+      settingsManager.addMapping('/app/.env', 'prod');
+      settingsManager.recordSyncState('env', '/app/.env', { awsProfile: 'prod' });
+
+      settingsManager.removeMapping('/app/.env');
+
+      expect(settingsManager.getSyncState('env', '/app/.env')).toBeNull();
+    });
+  });
 });
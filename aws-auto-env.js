@@ -1,10 +1,16 @@
 #!/usr/bin/env node
 
+const fs = require("fs");
 const readline = require("readline");
 const settingsManager = require("./lib/settings-manager");
 const awsProfiles = require("./lib/aws-profiles");
 const awsCredentials = require("./lib/aws-credentials");
+const backups = require("./lib/backups");
+const fileUtils = require("./lib/file-utils");
+const gitSafety = require("./lib/git-safety");
+const glob = require("./lib/glob");
 const postmanApi = require("./lib/postman-api");
+const nameMatch = require("./lib/name-match");
 const logger = require("./lib/logger");
 
 /**
@@ -19,42 +25,424 @@ function createInterface() {
   });
 }
 
+/**
+ * Splits a command line into words
+ * Double or single quotes keep spaces inside a word, e.g. a Postman environment name.
+ * @param {string} line - Command line
+ * @returns {string[]} Words, without the quotes
+ */
+function splitCommandLine(line) {
+  const words = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    words.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+  }
+  return words;
+}
+
+/**
+ * Joins command line arguments into a line that splitCommandLine splits back
+ * Arguments the shell kept together, e.g. a quoted environment name, are quoted again.
+ * @param {string[]} args - Arguments as passed on the command line
+ * @returns {string} Command line
+ */
+function buildCommandLine(args) {
+  return args
+    .map((arg) => {
+      if (arg !== "" && !/[\s"']/.test(arg)) {
+        return arg;
+      }
+      return arg.includes('"') ? `'${arg}'` : `"${arg}"`;
+    })
+    .join(" ");
+}
+
+/**
+ * Splits command arguments into positional arguments and --flags
+ * Flags named in valueFlags take the next argument as their value; repeated
+ * flags are collected into an array. Other flags are set to true.
+ * @param {string[]} args - Command arguments
+ * @param {string[]} [valueFlags] - Names of flags that take a value
+ * @returns {Object} { positional, flags }
+ */
+function parseArgs(args, valueFlags = []) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+
+    const name = arg.slice(2);
+    const value = valueFlags.includes(name) ? args[++i] : true;
+    flags[name] = flags[name] === undefined ? value : [].concat(flags[name], value);
+  }
+
+  return { positional, flags };
+}
+
+/**
+ * Describes the profiles a mapping draws credentials from
+ * @param {Object} mapping - Normalized mapping
+ * @returns {string} Description, e.g. "app-prod, data-prod as DATA_"
+ */
+function describeProfiles(mapping) {
+  return [mapping.awsProfile]
+    .concat((mapping.profiles || []).map(({ awsProfile, prefix }) => `${awsProfile} as ${prefix}`))
+    .join(", ");
+}
+
+/**
+ * Describes a mapping's options for display
+ * @param {Object} mapping - Normalized mapping
+ * @returns {string} Description, or an empty string for a plain mapping
+ */
+function describeMappingOptions(mapping) {
+  const parts = [];
+  if (mapping.managedBlock) {
+    parts.push("managed block");
+  }
+  if (mapping.allowUnsafe) {
+    parts.push("git check overridden");
+  }
+  (mapping.include || []).forEach((pattern) => parts.push(`include ${pattern}`));
+  (mapping.exclude || []).forEach((pattern) => parts.push(`exclude ${pattern}`));
+  if (mapping.createMissing) {
+    parts.push("create missing");
+  }
+  if (mapping.variableTemplate) {
+    parts.push(`template ${mapping.variableTemplate}`);
+  }
+  Object.entries(mapping.variableNames || {}).forEach(([name, target]) => {
+    parts.push(`${name}=${target}`);
+  });
+  Object.entries(mapping.extraVariables || {}).forEach(([name, value]) => {
+    parts.push(`extra ${name}=${value}`);
+  });
+  Object.entries(mapping.variables || {}).forEach(([name, variable]) => {
+    const settings = [variable.type, variable.enabled === false && "disabled"].filter(Boolean);
+    parts.push(`${name}=${variable.name || name}${settings.length > 0 ? ` (${settings.join(", ")})` : ""}`);
+  });
+  return parts.length > 0 ? ` [${parts.join(", ")}]` : "";
+}
+
+/**
+ * Expands mappings into the .env files they currently target
+ * Glob patterns are expanded with their include/exclude rules. An explicit
+ * mapping wins over a pattern matching the same file, and the first matching
+ * pattern wins over later ones.
+ * @param {Object} mappings - Mappings as returned by settingsManager.getMappings
+ * @returns {Object} { files, missing } where files maps each path to its mapping
+ *   and missing lists { filePath, pattern, mapping } for files a pattern would
+ *   target but that do not exist and are not created
+ */
+function expandMappings(mappings) {
+  const files = {};
+  const missing = [];
+  const patterns = [];
+
+  Object.entries(mappings).forEach(([envPath, value]) => {
+    const mapping = settingsManager.normalizeMapping(value);
+    if (glob.isGlob(envPath)) {
+      patterns.push([envPath, mapping]);
+    } else {
+      files[glob.unescapeGlob(envPath)] = mapping;
+    }
+  });
+
+  patterns.forEach(([pattern, mapping]) => {
+    const result = glob.expandGlob(pattern, mapping);
+    result.matches.forEach((filePath) => {
+      if (!files[filePath]) {
+        files[filePath] = mapping;
+      }
+    });
+    result.missing.forEach((filePath) => {
+      if (files[filePath]) {
+        return;
+      }
+      if (mapping.createMissing) {
+        files[filePath] = mapping;
+      } else {
+        missing.push({ filePath, pattern, mapping });
+      }
+    });
+  });
+
+  return { files, missing };
+}
+
 /**
  * Handles the 'list' command
  */
 function handleList() {
-  const mappings = settingsManager.getMappings();
-  const entries = Object.entries(mappings);
+  try {
+    const mappings = settingsManager.getMappings();
+    const project = settingsManager.getProject();
+    const entries = Object.entries(mappings);
 
-  if (entries.length === 0) {
-    console.log("No mappings configured.");
-    return;
+    if (entries.length === 0) {
+      console.log("No mappings configured.");
+      return;
+    }
+
+    const globalMappings = project ? settingsManager.readSettings().mappings || {} : {};
+
+    console.log("\nConfigured Mappings:");
+    if (project) {
+      console.log(`Project: ${project.filePath}`);
+    }
+    console.log("─".repeat(60));
+    entries.forEach(([envPath, value]) => {
+      const mapping = settingsManager.normalizeMapping(value);
+      let matchInfo = "";
+      if (glob.isGlob(envPath)) {
+        const { matches, missing } = glob.expandGlob(envPath, mapping);
+        const count = matches.length + (mapping.createMissing ? missing.length : 0);
+        matchInfo = ` (${count} file${count === 1 ? "" : "s"})`;
+      }
+      const source = project && !(envPath in globalMappings) ? " (project)" : "";
+      console.log(
+        `${envPath} → ${describeProfiles(mapping)}${describeMappingOptions(mapping)}${matchInfo}${source}`
+      );
+    });
+    console.log("─".repeat(60));
+  } catch (error) {
+    console.log(`Error listing mappings: ${error.message}`);
+    logger.logError(`Failed to list mappings: ${error.message}`);
   }
+}
 
-  console.log("\nConfigured Mappings:");
-  console.log("─".repeat(60));
-  entries.forEach(([envPath, profile]) => {
-    console.log(`${envPath} → ${profile}`);
+/**
+ * Parses repeated --extra flags into the extra variables of a mapping
+ * @param {string|string[]} flag - NAME=VALUE assignments as parsed by parseArgs
+ * @returns {Object} Variable values (possibly with placeholders) keyed by name
+ * @throws {Error} If an assignment is malformed
+ */
+function parseExtraVariables(flag) {
+  const variables = {};
+  [].concat(flag).forEach((assignment) => {
+    const separator = typeof assignment === "string" ? assignment.indexOf("=") : -1;
+    const name = separator > 0 ? assignment.slice(0, separator) : "";
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new Error(`--extra expects NAME=VALUE, got "${assignment}"`);
+    }
+    variables[name] = assignment.slice(separator + 1);
   });
-  console.log("─".repeat(60));
+  return variables;
+}
+
+/**
+ * Builds the Postman variable settings of a mapping from the 'postman add' flags
+ * @param {Object} flags - { var, type, disabled } as parsed by parseArgs, each naming
+ *   a variable by its default name (e.g. --var aws_access_key_id=accessKey)
+ * @returns {Object} { name, type, enabled } settings keyed by default name
+ * @throws {Error} If a flag is malformed or names an unknown variable
+ */
+function buildPostmanVariables(flags) {
+  const known = [...postmanApi.AWS_VAR_NAMES, postmanApi.AWS_EXPIRATION_VAR_NAME];
+  const variables = {};
+  const settingsFor = (flag, name) => {
+    if (!known.includes(name)) {
+      throw new Error(`--${flag} expects one of ${known.join(", ")}, got "${name}"`);
+    }
+    variables[name] = variables[name] || {};
+    return variables[name];
+  };
+
+  if (flags.var !== undefined) {
+    [].concat(flags.var).forEach((rename) => {
+      const [name, target] = String(rename).split("=");
+      if (!target) {
+        throw new Error(`--var expects DEFAULT_NAME=CUSTOM_NAME, got "${rename}"`);
+      }
+      settingsFor("var", name).name = target;
+    });
+  }
+
+  if (flags.type !== undefined) {
+    [].concat(flags.type).forEach((assignment) => {
+      const [name, type] = String(assignment).split("=");
+      if (type !== "default" && type !== "secret") {
+        throw new Error(`--type expects NAME=default or NAME=secret, got "${assignment}"`);
+      }
+      settingsFor("type", name).type = type;
+    });
+  }
+
+  if (flags.disabled !== undefined) {
+    [].concat(flags.disabled).forEach((name) => {
+      settingsFor("disabled", String(name)).enabled = false;
+    });
+  }
+
+  return variables;
+}
+
+/**
+ * Builds a mapping's options from the 'add' flags
+ * @param {Object} flags - { template, var, extra, with, managed-block, allow-unsafe, include,
+ *   exclude, create-missing } as parsed by parseArgs
+ * @returns {Object} { variableTemplate, variableNames, extraVariables, profiles, managedBlock,
+ *   allowUnsafe, include, exclude, createMissing }
+ * @throws {Error} If a flag is malformed or yields an invalid variable name
+ */
+function buildMappingOptions(flags) {
+  const options = {};
+  const validName = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+  if (flags["managed-block"]) {
+    options.managedBlock = true;
+  }
+  if (flags["allow-unsafe"]) {
+    options.allowUnsafe = true;
+  }
+
+  ["include", "exclude"].forEach((rule) => {
+    if (flags[rule] !== undefined) {
+      if ([].concat(flags[rule]).some((pattern) => typeof pattern !== "string")) {
+        throw new Error(`--${rule} expects a pattern`);
+      }
+      options[rule] = [].concat(flags[rule]);
+    }
+  });
+  if (flags["create-missing"]) {
+    options.createMissing = true;
+  }
+
+  if (flags.template !== undefined) {
+    const template = flags.template;
+    if (typeof template !== "string" || !template.includes("{name}")) {
+      throw new Error("--template must contain {name}, e.g. --template DATA_{name}");
+    }
+    if (!validName.test(template.replace(/\{name\}/g, "AWS"))) {
+      throw new Error(`--template "${template}" does not produce valid variable names`);
+    }
+    options.variableTemplate = template;
+  }
+
+  if (flags.var !== undefined) {
+    options.variableNames = {};
+    [].concat(flags.var).forEach((rename) => {
+      const [name, target] = String(rename).split("=");
+      if (!name || !target || !validName.test(target)) {
+        throw new Error(`--var expects DEFAULT_NAME=CUSTOM_NAME, got "${rename}"`);
+      }
+      options.variableNames[name] = target;
+    });
+  }
+
+  if (flags.extra !== undefined) {
+    options.extraVariables = parseExtraVariables(flags.extra);
+  }
+
+  if (flags.with !== undefined) {
+    options.profiles = [].concat(flags.with).map((pair) => {
+      const [profile, prefix] = String(pair).split("=");
+      if (!prefix || settingsManager.getProfileEntryProblem({ awsProfile: profile, prefix })) {
+        throw new Error(`--with expects PROFILE=PREFIX, got "${pair}"`);
+      }
+      return { profile, prefix };
+    });
+  }
+
+  return options;
+}
+
+/**
+ * Checks whether git could pick up credentials written to a .env file
+ * @param {string} filePath - Path to the .env file
+ * @param {string} policy - 'refuse', 'warn' or 'off' (sync.gitSafety)
+ * @param {boolean} overridden - Whether the mapping was added with --allow-unsafe
+ * @returns {Object} { allowed, problem } where problem is null for a safe file
+ */
+function checkGitSafety(filePath, policy, overridden) {
+  if (policy === "off") {
+    return { allowed: true, problem: null };
+  }
+
+  let result;
+  try {
+    result = gitSafety.checkFile(filePath);
+  } catch (error) {
+    return { allowed: true, problem: `could not be checked against git: ${error.message}` };
+  }
+
+  if (!result || result.safe) {
+    return { allowed: true, problem: null };
+  }
+  return {
+    allowed: policy === "warn" || Boolean(overridden),
+    problem: gitSafety.describeProblem(result),
+  };
+}
+
+/**
+ * Prints how to make a .env file safe from git
+ * @param {string} filePath - Path to the .env file
+ */
+function printGitSafetyHint(filePath) {
+  console.log(`  Run "gitignore ${filePath}" to add it to .gitignore (and "git rm --cached" it if tracked),`);
+  console.log("  or add the mapping with --allow-unsafe to write to it anyway.");
 }
 
 /**
  * Handles the 'add' command
  * @param {string} envPath - Path to .env file
  * @param {string} awsProfile - AWS profile name
+ * @param {Object} [flags] - { template, var } to write credentials under custom names,
+ *   { managed-block } to keep them between marker comments,
+ *   { allow-unsafe } to map a file that git tracks or does not ignore
  */
-function handleAdd(envPath, awsProfile) {
+function handleAdd(envPath, awsProfile, flags = {}) {
   if (!envPath || !awsProfile) {
     console.log("Error: Both <env-file-path> and <aws-profile> are required.");
-    console.log("Usage: add <env-file-path> <aws-profile>");
+    console.log("Usage: add <env-file-path> <aws-profile> [--template <PREFIX_{name}>] [--var <NAME>=<CUSTOM>]... [--extra <NAME>=<VALUE>]... [--with <PROFILE>=<PREFIX>]... [--managed-block] [--allow-unsafe] [--include <glob>]... [--exclude <glob>]... [--create-missing]");
     return;
   }
 
   try {
-    settingsManager.addMapping(envPath, awsProfile);
-    console.log(`✓ Added mapping: ${envPath} → ${awsProfile}`);
-    logger.logCommand(`add ${envPath} ${awsProfile}`);
+    const options = buildMappingOptions(flags);
+    const filePath = settingsManager.resolveMappingPath(envPath);
+    const isPattern = glob.isGlob(filePath);
+
+    if (!isPattern && (options.include || options.exclude || options.createMissing)) {
+      throw new Error("--include, --exclude and --create-missing only apply to glob patterns");
+    }
+
+    // A pattern is checked against the files it currently matches
+    const targets = isPattern ? glob.expandGlob(filePath, options).matches : [glob.unescapeGlob(filePath)];
+    const gitSafetyPolicy = settingsManager.getSyncConfig().gitSafety;
+    for (const target of targets) {
+      const git = checkGitSafety(target, gitSafetyPolicy, options.allowUnsafe);
+      if (!git.allowed) {
+        const subject = target === filePath ? "it" : target;
+        console.log(`✗ Refusing to map ${filePath}: ${subject} ${git.problem}`);
+        printGitSafetyHint(target);
+        return;
+      }
+      if (git.problem) {
+        console.log(`! Warning: ${target} ${git.problem}`);
+      }
+    }
+
+    const existing = settingsManager.getMappings()[filePath];
+    if (existing !== undefined) {
+      const previous = settingsManager.normalizeMapping(existing);
+      console.log(`! Replacing existing mapping: ${filePath} → ${describeProfiles(previous)}${describeMappingOptions(previous)}`);
+    }
+
+    settingsManager.addMapping(envPath, awsProfile, options);
+    const mapping = settingsManager.normalizeMapping({ awsProfile, ...options });
+    console.log(`✓ Added mapping: ${filePath} → ${describeProfiles(mapping)}${describeMappingOptions(mapping)}`);
+    if (isPattern) {
+      console.log(`  Pattern currently matches ${targets.length} file(s)`);
+    }
+    logger.logCommand(`add ${filePath} ${describeProfiles(mapping)}${describeMappingOptions(mapping)}`);
   } catch (error) {
     console.log(`Error adding mapping: ${error.message}`);
     logger.logError(`Failed to add mapping: ${error.message}`);
@@ -73,12 +461,30 @@ function handleRemove(envPath) {
   }
 
   try {
+    const mappings = settingsManager.getMappings();
+    // Entries from older versions may still be stored as typed
+    const filePath = envPath in mappings ? envPath : settingsManager.resolveMappingPath(envPath);
+    const mapping = mappings[filePath];
     const removed = settingsManager.removeMapping(envPath);
     if (removed) {
       console.log(`✓ Removed mapping for: ${envPath}`);
       logger.logCommand(`remove ${envPath}`);
+
+      // The managed block is tool-owned, so it goes with the mapping
+      if (settingsManager.normalizeMapping(mapping).managedBlock) {
+        const result = awsCredentials.removeCredentialsFromFile(glob.unescapeGlob(filePath));
+        if (result.changed) {
+          console.log(`✓ Removed managed credentials block from: ${filePath}`);
+        }
+      }
     } else {
-      console.log(`No mapping found for: ${envPath}`);
+      // Mappings from the project file are not stored in the settings
+      const project = mapping ? settingsManager.getProject() : null;
+      if (project) {
+        console.log(`✗ ${filePath} is mapped by ${project.filePath}; edit that file to remove it`);
+      } else {
+        console.log(`No mapping found for: ${envPath}`);
+      }
     }
   } catch (error) {
     console.log(`Error removing mapping: ${error.message}`);
@@ -86,6 +492,158 @@ function handleRemove(envPath) {
   }
 }
 
+/**
+ * Handles backup commands
+ * @param {string[]} args - Command arguments
+ */
+function handleBackup(args) {
+  const subcommand = args[0];
+
+  if (subcommand !== "list") {
+    console.log("Unknown backup command. Available: list <env-file-path>");
+    return;
+  }
+
+  const envPath = args[1];
+  if (!envPath) {
+    console.log("Error: <env-file-path> is required.");
+    console.log("Usage: backup list <env-file-path>");
+    return;
+  }
+
+  try {
+    const entries = backups.listBackups(settingsManager.resolveMappingPath(envPath));
+    if (entries.length === 0) {
+      console.log(`No backups found for: ${envPath}`);
+      return;
+    }
+
+    console.log(`\nBackups of ${envPath} (newest first):`);
+    console.log("─".repeat(60));
+    entries.forEach((backup) => {
+      console.log(`  ${backup.timestamp}  (${backup.size} bytes)`);
+    });
+    console.log("─".repeat(60));
+    logger.logCommand(`backup list ${envPath}`);
+  } catch (error) {
+    console.log(`Error listing backups: ${error.message}`);
+    logger.logError(`Failed to list backups: ${error.message}`);
+  }
+}
+
+/**
+ * Handles the 'restore' command
+ * @param {string} envPath - Path to .env file
+ * @param {string} [timestamp] - Backup to restore (defaults to the newest)
+ */
+function handleRestore(envPath, timestamp) {
+  if (!envPath) {
+    console.log("Error: <env-file-path> is required.");
+    console.log("Usage: restore <env-file-path> [timestamp]");
+    return;
+  }
+
+  try {
+    const restored = backups.restoreBackup(settingsManager.resolveMappingPath(envPath), timestamp);
+    console.log(`✓ Restored ${envPath} from backup ${restored}`);
+    logger.logCommand(`restore ${envPath} ${restored}`);
+  } catch (error) {
+    console.log(`Error restoring backup: ${error.message}`);
+    logger.logError(`Failed to restore backup: ${error.message}`);
+  }
+}
+
+/**
+ * Handles the 'gitignore' command
+ * @param {string} envPath - Path to .env file
+ */
+function handleGitignore(envPath) {
+  if (!envPath) {
+    console.log("Error: <env-file-path> is required.");
+    console.log("Usage: gitignore <env-file-path>");
+    return;
+  }
+
+  try {
+    const filePath = settingsManager.resolveMappingPath(envPath);
+    const result = gitSafety.checkFile(filePath);
+    if (!result) {
+      console.log(`${envPath} is not inside a git repository.`);
+      return;
+    }
+
+    if (!result.ignored) {
+      const gitignorePath = gitSafety.addIgnoreEntry(filePath);
+      console.log(`✓ Added /${result.relativePath} to ${gitignorePath}`);
+      logger.logCommand(`gitignore ${envPath}`);
+    } else {
+      console.log(`○ ${envPath} is already ignored by git`);
+    }
+
+    if (result.tracked) {
+      console.log(`! ${envPath} is still tracked. Untrack it with:`);
+      console.log(`  git -C ${result.repoRoot} rm --cached ${result.relativePath}`);
+    }
+  } catch (error) {
+    console.log(`Error updating .gitignore: ${error.message}`);
+    logger.logError(`Failed to add ${envPath} to .gitignore: ${error.message}`);
+  }
+}
+
+/**
+ * Handles the 'alias' command
+ * Aliases let project files name a profile that each user maps to their own.
+ * @param {string} [alias] - Alias to set or remove (lists all aliases when omitted)
+ * @param {string} [awsProfile] - AWS profile name
+ * @param {Object} [flags] - { remove } to remove the alias
+ */
+function handleAlias(alias, awsProfile, flags = {}) {
+  try {
+    if (flags.remove) {
+      if (!alias) {
+        console.log("Error: <alias> is required.");
+        console.log("Usage: alias --remove <alias>");
+        return;
+      }
+      if (settingsManager.removeProfileAlias(alias)) {
+        console.log(`✓ Removed alias: ${alias}`);
+        logger.logCommand(`alias --remove ${alias}`);
+      } else {
+        console.log(`No alias found for: ${alias}`);
+      }
+      return;
+    }
+
+    if (!alias) {
+      const entries = Object.entries(settingsManager.getProfileAliases());
+      if (entries.length === 0) {
+        console.log("No profile aliases configured.");
+        return;
+      }
+      console.log("\nProfile Aliases:");
+      console.log("─".repeat(60));
+      entries.forEach(([name, profile]) => {
+        console.log(`${name} → ${profile}`);
+      });
+      console.log("─".repeat(60));
+      return;
+    }
+
+    if (!awsProfile) {
+      console.log("Error: <profile> is required.");
+      console.log("Usage: alias <alias> <profile>");
+      return;
+    }
+
+    settingsManager.setProfileAlias(alias, awsProfile);
+    console.log(`✓ Aliased ${alias} → ${awsProfile}`);
+    logger.logCommand(`alias ${alias} ${awsProfile}`);
+  } catch (error) {
+    console.log(`Error with alias command: ${error.message}`);
+    logger.logError(`Failed alias command: ${error.message}`);
+  }
+}
+
 /**
  * Handles the 'profiles' command
  */
@@ -172,11 +730,132 @@ function handleLog(args) {
   }
 }
 
+/**
+ * Returns the recorded expiry of a target whose credentials are still valid beyond
+ * the configured refresh threshold, meaning the target can be skipped
+ * @param {string} kind - Target kind ('env' or 'postman')
+ * @param {string} targetId - .env file path or Postman environment ID
+ * @param {string} awsProfile - Profile currently mapped to the target
+ * @param {Object} syncConfig - Sync configuration from getSyncConfig
+ * @returns {string|null} Recorded expiration, or null if the target needs syncing
+ */
+function getFreshExpiration(kind, targetId, awsProfile, syncConfig) {
+  const state = settingsManager.getSyncState(kind, targetId);
+  if (!state || state.awsProfile !== awsProfile) {
+    return null;
+  }
+  return awsCredentials.isCredentialFresh(state.expiration, syncConfig.refreshThresholdMinutes)
+    ? state.expiration
+    : null;
+}
+
+/**
+ * Splits resolved credentials into the variables to write and their expiry
+ * The expiry variable is only written when sync.writeExpiration is enabled.
+ * @param {Object} credentials - Variables as returned by getCredentialsAsEnvVars
+ * @param {Object} syncConfig - Sync configuration
+ * @returns {Object} { values, expiration }
+ */
+function selectCredentialValues(credentials, syncConfig) {
+  const {
+    [awsCredentials.EXPIRATION_VAR_NAME]: expiration,
+    ...credentialKeys
+  } = credentials;
+  return {
+    values: syncConfig.writeExpiration && expiration ? credentials : credentialKeys,
+    expiration,
+  };
+}
+
+/**
+ * Picks the earlier of two credential expiries
+ * Credentials without an expiry are re-synced every time, so they win.
+ * @param {string|undefined} first - ISO expiration timestamp
+ * @param {string|undefined} second - ISO expiration timestamp
+ * @returns {string|undefined} The earlier expiry, or undefined if either has none
+ */
+function earliestExpiration(first, second) {
+  if (!first || !second) {
+    return undefined;
+  }
+  return Date.parse(first) <= Date.parse(second) ? first : second;
+}
+
+/**
+ * Masks a secret for display, keeping only its first and last characters
+ * @param {string|undefined} value - Value to mask
+ * @returns {string} Masked value
+ */
+function maskValue(value) {
+  if (value === undefined || value === null) {
+    return "(unset)";
+  }
+  const text = String(value);
+  if (text.length <= 12) {
+    return "*".repeat(text.length) || "(empty)";
+  }
+  return `${text.slice(0, 4)}…${text.slice(-4)}`;
+}
+
+/**
+ * Prints a masked per-key diff of a previewed sync
+ * @param {Array} changes - List of { key, before, after }
+ */
+function printChanges(changes) {
+  changes.forEach(({ key, before, after }) => {
+    if (before === after) {
+      if (after !== undefined) {
+        console.log(`    = ${key} (unchanged)`);
+      }
+    } else if (before === undefined) {
+      console.log(`    + ${key} ${maskValue(after)}`);
+    } else if (after === undefined) {
+      console.log(`    - ${key} ${maskValue(before)}`);
+    } else {
+      console.log(`    ~ ${key} ${maskValue(before)} → ${maskValue(after)}`);
+    }
+  });
+}
+
+/**
+ * Reports mapped files that other users can read, restricting them if requested
+ * @param {string[]} filePaths - Mapped .env file paths
+ * @param {boolean} fix - Whether to remove group and other permissions
+ * @returns {Object} { loose, fixed } counts
+ */
+function checkFilePermissions(filePaths, fix) {
+  let loose = 0;
+  let fixed = 0;
+
+  filePaths.forEach((filePath) => {
+    if (!fileUtils.isGroupOrWorldReadable(filePath)) {
+      return;
+    }
+    loose++;
+
+    if (fix) {
+      try {
+        const mode = fileUtils.restrictPermissions(filePath);
+        console.log(`✓ Restricted permissions of ${filePath} to ${mode.toString(8)}`);
+        fixed++;
+        return;
+      } catch (error) {
+        logger.logError(`Failed to restrict permissions of ${filePath}: ${error.message}`);
+      }
+    }
+    console.log(`✗ ${filePath} is readable by other users (run: chmod 600 ${filePath})`);
+  });
+
+  return { loose, fixed };
+}
+
 /**
  * Handles the 'sync' command
  * Syncs all mapped .env files with their AWS profile credentials
+ * @param {Object} [options] - { force } to sync targets whose credentials are still fresh,
+ *   { dryRun } to print a masked diff of the changes without writing anything
  */
-function handleSync() {
+async function handleSync(options = {}) {
   try {
     const mappings = settingsManager.getMappings();
     const entries = Object.entries(mappings);
@@ -188,45 +867,132 @@ function handleSync() {
       return;
     }
 
-    // Check if AWS CLI is available
-    if (!awsCredentials.isAwsCliAvailable()) {
-      console.log("Error: AWS CLI is not available.");
-      console.log("Please install AWS CLI to use this command.");
-      logger.logError("AWS CLI not available for sync command");
-      return;
-    }
+    const syncConfig = settingsManager.getSyncConfig();
 
-    // Build a map of profile to list of filepaths
+    // Build a map of profile to list of filepaths, expanding glob patterns
+    const { files: fileMappings, missing } = expandMappings(mappings);
     const profileToFiles = {};
-    entries.forEach(([envPath, profile]) => {
-      if (!profileToFiles[profile]) {
-        profileToFiles[profile] = [];
+    Object.entries(fileMappings).forEach(([envPath, mapping]) => {
+      if (!profileToFiles[mapping.awsProfile]) {
+        profileToFiles[mapping.awsProfile] = [];
       }
-      profileToFiles[profile].push(envPath);
+      profileToFiles[mapping.awsProfile].push(envPath);
     });
 
-    console.log("\nSyncing credentials...");
+    const project = settingsManager.getProject();
+
+    console.log(options.dryRun ? "\nPreviewing sync (dry run)..." : "\nSyncing credentials...");
+    if (project) {
+      console.log(`Project: ${project.root} (other mappings are left alone)`);
+    }
     console.log("─".repeat(60));
 
     let updatedCount = 0;
     let unchangedCount = 0;
+    let skippedCount = 0;
     let errorCount = 0;
 
+    missing.forEach(({ filePath, pattern, mapping }) => {
+      console.log(`» Skipped ${filePath} (${describeProfiles(mapping)}): missing file matched by ${pattern}`);
+      skippedCount++;
+    });
+
+    // Each profile is resolved once, whether it is a mapping's main profile or a prefixed one
+    const resolvedProfiles = new Map();
+    const resolveProfile = (name) => {
+      if (!resolvedProfiles.has(name)) {
+        resolvedProfiles.set(name, awsCredentials.getCredentialsAsEnvVars(name));
+      }
+      return resolvedProfiles.get(name);
+    };
+
     // Process each profile
-    Object.entries(profileToFiles).forEach(([profile, filePaths]) => {
+    for (const [profile, allFilePaths] of Object.entries(profileToFiles)) {
+      // Skip files whose credentials are still fresh, unless forced
+      const filePaths = allFilePaths.filter((filePath) => {
+        const freshUntil = !options.force && fs.existsSync(filePath)
+          ? getFreshExpiration("env", filePath, profile, syncConfig)
+          : null;
+        if (freshUntil) {
+          console.log(`» Skipped ${filePath} (${describeProfiles(fileMappings[filePath])}): valid until ${freshUntil}`);
+          skippedCount++;
+          return false;
+        }
+        return true;
+      });
+
+      if (filePaths.length === 0) {
+        continue;
+      }
+
       try {
         // Get credentials for this profile
-        const credentials = awsCredentials.getCredentialsAsEnvVars(profile);
+        const credentials = await resolveProfile(profile);
 
         // Write credentials to each file mapped to this profile
-        filePaths.forEach((filePath) => {
+        for (const filePath of filePaths) {
+          const mapping = fileMappings[filePath];
+          const label = describeProfiles(mapping);
+          const git = checkGitSafety(filePath, syncConfig.gitSafety, mapping.allowUnsafe);
+          if (!git.allowed) {
+            console.log(`✗ Refused ${filePath}: it ${git.problem} (see "gitignore ${filePath}")`);
+            logger.logError(`Refused to write credentials to ${filePath}: it ${git.problem}`);
+            errorCount++;
+            continue;
+          }
+          if (git.problem) {
+            console.log(`! Warning: ${filePath} ${git.problem}`);
+          }
+
           try {
-            const result = awsCredentials.writeCredentialsToFile(credentials, filePath);
+            const selected = selectCredentialValues(credentials, syncConfig);
+            let expiration = selected.expiration;
+            let namedValues = awsCredentials.applyVariableNames(selected.values, mapping);
+
+            // Prefixed profiles go into the same update of the file
+            for (const { awsProfile, prefix } of mapping.profiles || []) {
+              const extraCredentials = await resolveProfile(awsProfile).catch((error) => {
+                logger.logError(`Failed to get credentials for profile "${awsProfile}": ${error.message}`);
+                throw new Error(`Could not get credentials for profile "${awsProfile}"`);
+              });
+              const extra = selectCredentialValues(extraCredentials, syncConfig);
+              namedValues = {
+                ...namedValues,
+                ...awsCredentials.applyVariableNames(extra.values, { variableTemplate: `${prefix}{name}` }),
+              };
+              expiration = earliestExpiration(expiration, extra.expiration);
+            }
+
+            namedValues = {
+              ...namedValues,
+              ...awsProfiles.expandProfileVariables(mapping.extraVariables, profile),
+            };
+
+            const writeOptions = { managedBlock: Boolean(mapping.managedBlock), awsProfile: label };
+            if (options.dryRun) {
+              const preview = awsCredentials.previewCredentialsFile(namedValues, filePath, writeOptions);
+              if (preview.changed) {
+                console.log(`✓ Would update ${filePath} (${label})`);
+                updatedCount++;
+              } else {
+                console.log(`○ Unchanged ${filePath} (${label})`);
+                unchangedCount++;
+              }
+              printChanges(preview.changes);
+              if (preview.changed && writeOptions.managedBlock &&
+                  preview.changes.every(({ before, after }) => before === after)) {
+                console.log("    » Managed block would be rewritten");
+              }
+              continue;
+            }
+
+            const result = awsCredentials.writeCredentialsToFile(namedValues, filePath, writeOptions);
+            settingsManager.recordSyncState("env", filePath, { awsProfile: profile, expiration });
             if (result.changed) {
-              console.log(`✓ Updated ${filePath} (${profile})`);
+              console.log(`✓ Updated ${filePath} (${label})`);
               updatedCount++;
             } else {
-              console.log(`○ Unchanged ${filePath} (${profile})`);
+              console.log(`○ Unchanged ${filePath} (${label})`);
               unchangedCount++;
             }
           } catch (error) {
@@ -236,7 +1002,7 @@ function handleSync() {
             );
             errorCount++;
           }
-        });
+        }
       } catch (error) {
         // Failed to get credentials for this profile
         filePaths.forEach((filePath) => {
@@ -249,19 +1015,246 @@ function handleSync() {
           `Failed to get credentials for profile "${profile}": ${error.message}`
         );
       }
-    });
+    }
+
+    const permissions = checkFilePermissions(
+      Object.keys(fileMappings),
+      Boolean(syncConfig.fixPermissions) && !options.dryRun
+    );
+
+    console.log("─".repeat(60));
+    if (options.dryRun) {
+      console.log(
+        `Dry run complete: ${updatedCount} to update, ${unchangedCount} unchanged, ${skippedCount} skipped, ${errorCount} failed (nothing was written)`
+      );
+    } else {
+      console.log(
+        `Sync complete: ${updatedCount} updated, ${unchangedCount} unchanged, ${skippedCount} skipped, ${errorCount} failed`
+      );
+    }
+    if (permissions.loose > 0) {
+      console.log(
+        `Permissions: ${permissions.loose} file(s) readable by other users, ${permissions.fixed} fixed`
+      );
+    }
+    if (options.dryRun) {
+      return;
+    }
+    logger.logCommand(
+      `sync - ${updatedCount} updated, ${unchangedCount} unchanged, ${skippedCount} skipped, ${errorCount} failed, ${permissions.loose} readable by others`
+    );
+  } catch (error) {
+    console.log(`Error during sync: ${error.message}`);
+    logger.logError(`Sync command failed: ${error.message}`);
+  }
+}
+
+/**
+ * Gets the .env variable names a mapping writes credentials under
+ * @param {Object} mapping - Normalized mapping
+ * @returns {string[]} Variable names
+ */
+function getMappedVariableNames(mapping) {
+  const defaults = Object.fromEntries(
+    awsCredentials.ENV_VAR_NAMES.map((name) => [name, ""])
+  );
+  const prefixed = (mapping.profiles || []).flatMap(({ prefix }) =>
+    Object.keys(awsCredentials.applyVariableNames(defaults, { variableTemplate: `${prefix}{name}` }))
+  );
+  return [...Object.keys(awsCredentials.applyVariableNames(defaults, mapping)), ...prefixed];
+}
+
+/**
+ * Handles the 'scrub' command
+ * Removes credentials from .env files and optionally blanks them in the mapped
+ * Postman environments. Scrubbed targets are synced again by the next sync.
+ * @param {string} [envPath] - .env file to scrub
+ * @param {Object} [options] - { all } to scrub every mapped .env file,
+ *   { postman } to also blank every mapped Postman environment
+ */
+async function handleScrub(envPath, options = {}) {
+  if (!envPath && !options.all && !options.postman) {
+    console.log("Error: <env-file-path> or --all is required.");
+    console.log("Usage: scrub [<env-file-path>|--all] [--postman]");
+    return;
+  }
+
+  try {
+    const { files: targets } = expandMappings(settingsManager.getMappings());
+    const filePaths = options.all
+      ? Object.keys(targets)
+      : [envPath].filter(Boolean).map((p) => settingsManager.resolveMappingPath(p));
+
+    console.log("\nScrubbing credentials...");
+    console.log("─".repeat(60));
+
+    let scrubbedCount = 0;
+    let cleanCount = 0;
+    let errorCount = 0;
+
+    filePaths.forEach((filePath) => {
+      const mapping = targets[filePath] || {};
+      try {
+        const result = awsCredentials.removeCredentialsFromFile(
+          filePath,
+          getMappedVariableNames(mapping)
+        );
+        settingsManager.clearSyncState("env", filePath);
+        if (result.changed) {
+          console.log(`✓ Scrubbed ${filePath}`);
+          scrubbedCount++;
+        } else {
+          console.log(`○ No credentials in ${filePath}`);
+          cleanCount++;
+        }
+      } catch (error) {
+        console.log(`✗ Failed to scrub ${filePath}: ${error.message}`);
+        logger.logError(`Failed to scrub ${filePath}: ${error.message}`);
+        errorCount++;
+      }
+    });
+
+    if (options.postman) {
+      const postmanMappings = Object.entries(settingsManager.getPostmanMappings());
+      const apiKey = settingsManager.getPostmanApiKey();
+
+      if (postmanMappings.length > 0 && !apiKey) {
+        console.log("✗ Failed to scrub Postman environments: API key not configured");
+        errorCount += postmanMappings.length;
+      } else {
+        configurePostmanApi(apiKey);
+        for (const [environmentId, config] of postmanMappings) {
+          const target = getPostmanTarget(config);
+          const displayName = getPostmanDisplayName(environmentId, config);
+          try {
+            const result = await postmanApi[target.clear](environmentId, config.variables);
+            settingsManager.clearSyncState("postman", environmentId);
+            if (result.changed) {
+              console.log(`✓ Blanked ${displayName}`);
+              scrubbedCount++;
+            } else {
+              console.log(`○ No credentials in ${displayName}`);
+              cleanCount++;
+            }
+          } catch (error) {
+            console.log(`✗ Failed to scrub ${displayName}: ${describePostmanError(error, environmentId)}`);
+            logger.logError(`Failed to scrub Postman ${target.noun} ${environmentId}: ${error.message}`);
+            errorCount++;
+          }
+        }
+      }
+    }
 
     console.log("─".repeat(60));
     console.log(
-      `Sync complete: ${updatedCount} updated, ${unchangedCount} unchanged, ${errorCount} failed`
+      `Scrub complete: ${scrubbedCount} scrubbed, ${cleanCount} already clean, ${errorCount} failed`
     );
     logger.logCommand(
-      `sync - ${updatedCount} updated, ${unchangedCount} unchanged, ${errorCount} failed`
+      `scrub - ${scrubbedCount} scrubbed, ${cleanCount} already clean, ${errorCount} failed`
     );
   } catch (error) {
-    console.log(`Error during sync: ${error.message}`);
-    logger.logError(`Sync command failed: ${error.message}`);
+    console.log(`Error during scrub: ${error.message}`);
+    logger.logError(`Scrub command failed: ${error.message}`);
+  }
+}
+
+/**
+ * Postman API functions and settings fields for each kind of Postman mapping
+ * (mappings without a kind target an environment)
+ */
+const POSTMAN_TARGETS = {
+  environment: {
+    noun: "environment",
+    command: "postman add",
+    label: "env",
+    describe: (name) => name,
+    nameKey: "environmentName",
+    getName: "getEnvironmentName",
+    preview: "previewAwsCredentials",
+    update: "updateAwsCredentials",
+    clear: "clearAwsCredentials",
+  },
+  collection: {
+    noun: "collection",
+    command: "postman add-collection",
+    label: "collection",
+    describe: (name) => name,
+    nameKey: "collectionName",
+    getName: "getCollectionName",
+    preview: "previewCollectionAwsCredentials",
+    update: "updateCollectionAwsCredentials",
+    clear: "clearCollectionAwsCredentials",
+  },
+  globals: {
+    noun: "workspace",
+    command: "postman globals add",
+    label: "globals of workspace",
+    describe: (name) => `globals of ${name}`,
+    nameKey: "workspaceName",
+    getName: "getWorkspaceName",
+    preview: "previewGlobalsAwsCredentials",
+    update: "updateGlobalsAwsCredentials",
+    clear: "clearGlobalsAwsCredentials",
+  },
+};
+
+/**
+ * Gets how a Postman mapping is synced
+ * @param {Object} config - Postman mapping
+ * @returns {Object} Entry of POSTMAN_TARGETS
+ */
+function getPostmanTarget(config) {
+  return POSTMAN_TARGETS[config.kind] || POSTMAN_TARGETS.environment;
+}
+
+/**
+ * Gets the name a Postman mapping is shown under
+ * @param {string} targetId - Environment, collection or workspace ID
+ * @param {Object} config - Postman mapping
+ * @param {string} [currentName] - Name just returned by Postman, if any
+ * @returns {string} e.g. "Production" or "globals of Team Workspace"
+ */
+function getPostmanDisplayName(targetId, config, currentName) {
+  const target = getPostmanTarget(config);
+  return target.describe(currentName || config[target.nameKey] || targetId);
+}
+
+/**
+ * Sets up the Postman API client with the API key and the configured
+ * connection and retry behaviour
+ * @param {string} apiKey - Postman API key
+ */
+function configurePostmanApi(apiKey) {
+  const config = settingsManager.getPostmanClientConfig();
+  postmanApi.setApiKey(apiKey);
+  postmanApi.setRetryOptions({
+    maxRetries: config.maxRetries,
+    maxDelayMs: config.maxRetryDelaySeconds * 1000,
+  });
+  postmanApi.setConnectionOptions({
+    baseUrl: config.baseUrl,
+    timeoutMs: config.timeoutSeconds * 1000,
+    proxyUrl: config.proxy,
+  });
+}
+
+/**
+ * Describes a failed Postman request, with a hint for the failures users can fix
+ * @param {Error} error - Error raised by postmanApi
+ * @param {string} [environmentId] - ID of the mapping being synced, if any
+ * @returns {string} Description
+ */
+function describePostmanError(error, environmentId) {
+  if (error instanceof postmanApi.PostmanAuthError) {
+    return `${error.message} (check the API key with "postman key")`;
+  }
+  if (error instanceof postmanApi.PostmanNotFoundError && environmentId) {
+    return `${error.message} (remove the mapping with "postman remove ${environmentId}")`;
   }
+  if (error instanceof postmanApi.PostmanRateLimitError) {
+    return `${error.message} (rate limited; try again later)`;
+  }
+  return error.message;
 }
 
 /**
@@ -292,10 +1285,23 @@ function handlePostmanKey(apiKey) {
   }
 }
 
+/**
+ * Formats a Postman timestamp for display
+ * @param {string} value - ISO timestamp
+ * @returns {string} e.g. "2026-10-01 12:34 UTC"
+ */
+function formatTimestamp(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? value : `${date.toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+
 /**
  * Handles the 'postman envs' subcommand
+ * Environments are grouped by workspace. Without a workspace, the default
+ * workspace is listed if one is set, every workspace otherwise.
+ * @param {Object} [options] - { workspace } ID to list, { all } to ignore the default workspace
  */
-async function handlePostmanEnvs() {
+async function handlePostmanEnvs(options = {}) {
   try {
     const apiKey = settingsManager.getPostmanApiKey();
     if (!apiKey) {
@@ -304,21 +1310,50 @@ async function handlePostmanEnvs() {
       return;
     }
 
-    postmanApi.setApiKey(apiKey);
-    const environments = await postmanApi.listEnvironments();
+    configurePostmanApi(apiKey);
+    const defaultWorkspaceId = options.all ? null : settingsManager.getPostmanDefaultWorkspace();
+    const workspaceId = options.workspace || defaultWorkspaceId;
+    const workspaces = await postmanApi.listWorkspaces();
+
+    let groups;
+    if (workspaceId) {
+      const workspace = workspaces.find((w) => w.id === workspaceId);
+      if (!workspace) {
+        console.log(`✗ Workspace ${workspaceId} not found (see "postman workspaces")`);
+        return;
+      }
+      groups = [{ workspace, environments: await postmanApi.listEnvironments(workspace.id) }];
+    } else if (workspaces.length > 0) {
+      groups = [];
+      for (const workspace of workspaces) {
+        groups.push({ workspace, environments: await postmanApi.listEnvironments(workspace.id) });
+      }
+    } else {
+      groups = [{ workspace: null, environments: await postmanApi.listEnvironments() }];
+    }
+    groups = groups.filter((group) => group.environments.length > 0);
 
-    if (environments.length === 0) {
+    if (groups.length === 0) {
       console.log("No Postman environments found.");
       return;
     }
 
     console.log("\nAvailable Postman Environments:");
     console.log("─".repeat(60));
-    environments.forEach((env) => {
-      const name = env.name.padEnd(30);
-      console.log(`  ${name} ${env.id}`);
+    groups.forEach(({ workspace, environments }) => {
+      if (workspace) {
+        console.log(`${workspace.name} (${workspace.id})`);
+      }
+      environments.forEach((env) => {
+        const name = env.name.padEnd(30);
+        const updated = env.updatedAt ? `  updated ${formatTimestamp(env.updatedAt)}` : "";
+        console.log(`  ${name} ${env.id}${updated}`);
+      });
     });
     console.log("─".repeat(60));
+    if (workspaceId && !options.workspace) {
+      console.log("Showing the default workspace only; use --all to list every workspace.");
+    }
     logger.logCommand("postman envs");
   } catch (error) {
     console.log(`Error listing environments: ${error.message}`);
@@ -327,14 +1362,116 @@ async function handlePostmanEnvs() {
 }
 
 /**
- * Handles the 'postman add' subcommand
- * @param {string} environmentId - Postman environment ID
+ * Handles 'postman workspaces default', setting the default workspace by ID or name
+ * @param {string} reference - Workspace ID or name, or --clear to unset it
+ * @param {readline.Interface} [rl] - Readline interface for the pick list
+ */
+async function handlePostmanDefaultWorkspace(reference, rl) {
+  if (!reference) {
+    console.log("Usage: postman workspaces default <workspace-id|name> | --clear");
+    return;
+  }
+
+  try {
+    if (reference === "--clear") {
+      settingsManager.setPostmanDefaultWorkspace(null);
+      console.log("✓ Cleared the default Postman workspace");
+      logger.logCommand("postman workspaces default --clear");
+      return;
+    }
+
+    const apiKey = settingsManager.getPostmanApiKey();
+    if (!apiKey) {
+      console.log("Error: Postman API key not configured.");
+      console.log("Usage: postman key <api-key>");
+      return;
+    }
+
+    configurePostmanApi(apiKey);
+    const workspaceId = await resolvePostmanWorkspaceId(reference, rl);
+    if (workspaceId === null) {
+      return;
+    }
+    const workspace = (await postmanApi.listWorkspaces()).find((w) => w.id === workspaceId);
+    if (!workspace) {
+      console.log(`✗ No Postman workspace matches "${reference}" (see "postman workspaces")`);
+      return;
+    }
+    settingsManager.setPostmanDefaultWorkspace(workspace.id);
+    console.log(`✓ Default Postman workspace: ${workspace.name} (${workspace.id})`);
+    logger.logCommand(`postman workspaces default ${workspace.id}`);
+  } catch (error) {
+    console.log(`Error setting default workspace: ${error.message}`);
+    logger.logError(`Failed to set the default Postman workspace: ${error.message}`);
+  }
+}
+
+/**
+ * Handles the 'postman workspaces' subcommand
+ * 'postman workspaces default <id|name>' sets the default workspace and
+ * 'postman workspaces default --clear' unsets it.
+ * @param {string[]} [args] - Arguments after 'workspaces'
+ * @param {readline.Interface} [rl] - Readline interface, to pick among ambiguous names
+ */
+async function handlePostmanWorkspaces(args = [], rl) {
+  if (args[0] === "default") {
+    await handlePostmanDefaultWorkspace(args[1], rl);
+    return;
+  }
+
+  try {
+    const apiKey = settingsManager.getPostmanApiKey();
+    if (!apiKey) {
+      console.log("Error: Postman API key not configured.");
+      console.log("Usage: postman key <api-key>");
+      return;
+    }
+
+    configurePostmanApi(apiKey);
+    const workspaces = await postmanApi.listWorkspaces();
+    if (workspaces.length === 0) {
+      console.log("No Postman workspaces found.");
+      return;
+    }
+
+    const defaultWorkspaceId = settingsManager.getPostmanDefaultWorkspace();
+    console.log("\nPostman Workspaces:");
+    console.log("─".repeat(60));
+    workspaces.forEach((workspace) => {
+      const marker = workspace.id === defaultWorkspaceId ? "*" : " ";
+      console.log(`${marker} ${workspace.name.padEnd(30)} ${workspace.id}  ${workspace.type || ""}`.trimEnd());
+    });
+    console.log("─".repeat(60));
+    if (defaultWorkspaceId) {
+      console.log("* default workspace (used by postman envs and postman create)");
+    }
+    logger.logCommand("postman workspaces");
+  } catch (error) {
+    console.log(`Error listing workspaces: ${error.message}`);
+    logger.logError(`Failed to list Postman workspaces: ${error.message}`);
+  }
+}
+
+/**
+ * Handles the 'postman add' and 'postman add-collection' subcommands
+ * @param {string} environmentId - Postman environment (or collection) ID
  * @param {string} awsProfile - AWS profile name
+ * @param {Object} [flags] - { extra } NAME=VALUE variables to write alongside the credentials,
+ *   { var, type, disabled } to change how the credential variables are written
+ * @param {string} [kind] - 'environment' or 'collection'
  */
-async function handlePostmanAdd(environmentId, awsProfile) {
+async function handlePostmanAdd(environmentId, awsProfile, flags = {}, kind = "environment") {
+  const target = POSTMAN_TARGETS[kind];
+  const command = target.command;
+
   if (!environmentId || !awsProfile) {
-    console.log("Error: Both <environment-id> and <aws-profile> are required.");
-    console.log("Usage: postman add <environment-id> <aws-profile>");
+    console.log(`Error: Both <${target.noun}-id> and <aws-profile> are required.`);
+    console.log(`Usage: ${command} <${target.noun}-id> <aws-profile>`);
+    return;
+  }
+
+  if (kind === "collection" && flags.type !== undefined) {
+    console.log("Error: --type only applies to environments; collection variables have no secret type.");
     return;
   }
 
@@ -346,24 +1483,31 @@ async function handlePostmanAdd(environmentId, awsProfile) {
       return;
     }
 
-    postmanApi.setApiKey(apiKey);
+    const extraVariables = flags.extra !== undefined ? parseExtraVariables(flags.extra) : undefined;
+    const variables = buildPostmanVariables(flags);
+
+    configurePostmanApi(apiKey);
 
     // Try to fetch environment name (non-blocking)
     let environmentName = null;
     try {
-      environmentName = await postmanApi.getEnvironmentName(environmentId);
+      environmentName = await postmanApi[target.getName](environmentId);
     } catch (err) {
-      console.log(`Warning: Could not fetch environment name: ${err.message}`);
+      console.log(`Warning: Could not fetch ${target.noun} name: ${err.message}`);
     }
 
     settingsManager.addPostmanMapping(environmentId, {
+      ...(kind !== "environment" && { kind }),
       awsProfile,
-      environmentName
+      [target.nameKey]: environmentName,
+      ...(extraVariables && { extraVariables }),
+      ...(Object.keys(variables).length > 0 && { variables })
     });
 
     const displayName = environmentName || environmentId;
-    console.log(`✓ Mapped Postman env "${displayName}" → AWS profile "${awsProfile}"`);
-    logger.logCommand(`postman add ${environmentId} ${awsProfile}`);
+    const options = describeMappingOptions({ extraVariables, variables });
+    console.log(`✓ Mapped Postman ${target.label} "${displayName}" → AWS profile "${awsProfile}"${options}`);
+    logger.logCommand(`${command} ${environmentId} ${awsProfile}`);
   } catch (error) {
     console.log(`Error adding mapping: ${error.message}`);
     logger.logError(`Failed to add Postman mapping: ${error.message}`);
@@ -410,17 +1554,109 @@ function handlePostmanList() {
   console.log("\nPostman Mappings:");
   console.log("─".repeat(60));
   entries.forEach(([environmentId, config]) => {
-    const name = config.environmentName || "(unknown)";
-    console.log(`  ${name} (${environmentId}) → ${config.awsProfile}`);
+    const target = getPostmanTarget(config);
+    const name = target.describe(config[target.nameKey] || "(unknown)");
+    const id = target === POSTMAN_TARGETS.environment ? environmentId : `${target.noun} ${environmentId}`;
+    console.log(`  ${name} (${id}) → ${config.awsProfile}${describeMappingOptions(config)}`);
   });
   console.log("─".repeat(60));
 }
 
 /**
- * Handles the 'postman sync' subcommand
+ * Resolves the variables a Postman mapping writes
+ * @param {Object} config - Postman mapping ({ awsProfile, extraVariables })
+ * @param {Object} syncConfig - Sync configuration
+ * @returns {Promise<Object>} { postmanCredentials, expiration } with the credentials
+ *   under their default Postman names, plus the extra variables
+ */
+async function getPostmanCredentials(config, syncConfig) {
+  // Get AWS credentials
+  const credentials = await awsCredentials.getCredentialsAsEnvVars(config.awsProfile);
+  const expiration = credentials[awsCredentials.EXPIRATION_VAR_NAME];
+
+  // Map to Postman variable names (lowercase)
+  const postmanCredentials = {
+    aws_access_key_id: credentials.AWS_ACCESS_KEY_ID,
+    aws_access_secret: credentials.AWS_SECRET_ACCESS_KEY,
+    aws_session_token: credentials.AWS_SESSION_TOKEN
+  };
+  if (syncConfig.writeExpiration && expiration) {
+    postmanCredentials[postmanApi.AWS_EXPIRATION_VAR_NAME] = expiration;
+  }
+  Object.assign(
+    postmanCredentials,
+    awsProfiles.expandProfileVariables(config.extraVariables, config.awsProfile)
+  );
+
+  return { postmanCredentials, expiration };
+}
+
+/**
+ * Handles the 'postman create' subcommand
+ * @param {string} name - Name of the new environment
+ * @param {string} awsProfile - AWS profile name
+ * @param {Object} [flags] - { workspace } ID to create it in (the default workspace otherwise),
+ *   { template } ID of an environment whose other variables are copied, plus the 'postman add' flags
+ */
+async function handlePostmanCreate(name, awsProfile, flags = {}) {
+  if (!name || !awsProfile) {
+    console.log("Error: Both <name> and <aws-profile> are required.");
+    console.log("Usage: postman create <name> <aws-profile> [--workspace <id|name>] [--template <env-id>]");
+    return;
+  }
+
+  try {
+    const apiKey = settingsManager.getPostmanApiKey();
+    if (!apiKey) {
+      console.log("Error: Postman API key not configured.");
+      console.log("Usage: postman key <api-key>");
+      return;
+    }
+
+    const extraVariables = flags.extra !== undefined ? parseExtraVariables(flags.extra) : undefined;
+    const variables = buildPostmanVariables(flags);
+    const mapping = {
+      awsProfile,
+      ...(extraVariables && { extraVariables }),
+      ...(Object.keys(variables).length > 0 && { variables })
+    };
+
+    configurePostmanApi(apiKey);
+
+    const { postmanCredentials, expiration } = await getPostmanCredentials(
+      mapping,
+      settingsManager.getSyncConfig()
+    );
+    const result = await postmanApi.createAwsEnvironment(name, postmanCredentials, variables, {
+      workspaceId: flags.workspace || settingsManager.getPostmanDefaultWorkspace() || undefined,
+      templateId: flags.template,
+    });
+
+    settingsManager.addPostmanMapping(result.environmentId, {
+      ...mapping,
+      environmentName: result.environmentName
+    });
+    settingsManager.recordSyncState("postman", result.environmentId, { awsProfile, expiration });
+
+    const copied = flags.template ? ` (${result.copiedValues} variable(s) copied from template)` : "";
+    console.log(
+      `✓ Created Postman env "${result.environmentName}" (${result.environmentId}) → AWS profile "${awsProfile}"${copied}`
+    );
+    logger.logCommand(`postman create ${name} ${awsProfile}`);
+  } catch (error) {
+    console.log(`Error creating environment: ${describePostmanError(error)}`);
+    logger.logError(`Failed to create Postman environment: ${error.message}`);
+  }
+}
+
+/**
+ * Handles the 'postman sync' and 'postman globals sync' subcommands
  * @param {string} [specificEnvId] - Optional specific environment ID to sync
+ * @param {Object} [options] - { force } to sync environments whose credentials are still fresh,
+ *   { dryRun } to print a masked diff of the changes without writing anything,
+ *   { kind } to only sync mappings of that kind (e.g. 'globals')
  */
-async function handlePostmanSync(specificEnvId) {
+async function handlePostmanSync(specificEnvId, options = {}) {
   try {
     const apiKey = settingsManager.getPostmanApiKey();
     if (!apiKey) {
@@ -429,13 +1665,18 @@ async function handlePostmanSync(specificEnvId) {
       return;
     }
 
-    postmanApi.setApiKey(apiKey);
+    configurePostmanApi(apiKey);
 
     const mappings = settingsManager.getPostmanMappings();
     let entries = Object.entries(mappings);
 
+    if (options.kind) {
+      entries = entries.filter(([, config]) => getPostmanTarget(config) === POSTMAN_TARGETS[options.kind]);
+    }
+
     if (entries.length === 0) {
-      console.log("No Postman mappings configured. Use 'postman add' to create mappings first.");
+      const command = options.kind ? POSTMAN_TARGETS[options.kind].command : "postman add";
+      console.log(`No Postman mappings configured. Use '${command}' to create mappings first.`);
       return;
     }
 
@@ -448,45 +1689,70 @@ async function handlePostmanSync(specificEnvId) {
       }
     }
 
-    // Check if AWS CLI is available
-    if (!awsCredentials.isAwsCliAvailable()) {
-      console.log("Error: AWS CLI is not available.");
-      console.log("Please install AWS CLI to use this command.");
-      logger.logError("AWS CLI not available for postman sync command");
-      return;
-    }
+    const syncConfig = settingsManager.getSyncConfig();
 
-    console.log("\nSyncing to Postman environments...");
+    console.log(options.dryRun ? "\nPreviewing Postman sync (dry run)..." : "\nSyncing to Postman...");
     console.log("─".repeat(60));
 
     let updatedCount = 0;
     let unchangedCount = 0;
+    let skippedCount = 0;
     let errorCount = 0;
 
     for (const [environmentId, config] of entries) {
+      const target = getPostmanTarget(config);
+      const freshUntil = options.force
+        ? null
+        : getFreshExpiration("postman", environmentId, config.awsProfile, syncConfig);
+      if (freshUntil) {
+        const displayName = getPostmanDisplayName(environmentId, config);
+        console.log(`» Skipped ${displayName} (${config.awsProfile}): valid until ${freshUntil}`);
+        skippedCount++;
+        continue;
+      }
+
       try {
-        // Get AWS credentials
-        const credentials = awsCredentials.getCredentialsAsEnvVars(config.awsProfile);
-
-        // Map to Postman variable names (lowercase)
-        const postmanCredentials = {
-          aws_access_key_id: credentials.AWS_ACCESS_KEY_ID,
-          aws_access_secret: credentials.AWS_SECRET_ACCESS_KEY,
-          aws_session_token: credentials.AWS_SESSION_TOKEN
-        };
-
-        // Update Postman environment
-        const result = await postmanApi.updateAwsCredentials(
+        const { postmanCredentials, expiration } = await getPostmanCredentials(config, syncConfig);
+
+        if (options.dryRun) {
+          const preview = await postmanApi[target.preview](
+            environmentId,
+            postmanCredentials,
+            config.variables
+          );
+          const displayName = getPostmanDisplayName(environmentId, config, preview[target.nameKey]);
+          if (preview.changed) {
+            console.log(`✓ Would update ${displayName} (${config.awsProfile})`);
+            updatedCount++;
+          } else {
+            console.log(`○ Unchanged ${displayName} (${config.awsProfile})`);
+            unchangedCount++;
+          }
+          printChanges(preview.changes);
+          preview.droppedValues.forEach((variable) => {
+            console.log(`    - ${variable.key} ${maskValue(variable.value)} (duplicate, would be removed)`);
+          });
+          continue;
+        }
+
+        // Update Postman environment or collection
+        const result = await postmanApi[target.update](
           environmentId,
-          postmanCredentials
+          postmanCredentials,
+          config.variables
         );
 
         // Update stored name if it changed
-        if (result.environmentName && result.environmentName !== config.environmentName) {
-          settingsManager.updatePostmanMappingName(environmentId, result.environmentName);
+        const resultName = result[target.nameKey];
+        if (resultName && resultName !== config[target.nameKey]) {
+          settingsManager.updatePostmanMappingName(environmentId, resultName);
         }
+        settingsManager.recordSyncState("postman", environmentId, {
+          awsProfile: config.awsProfile,
+          expiration
+        });
 
-        const displayName = result.environmentName || config.environmentName || environmentId;
+        const displayName = getPostmanDisplayName(environmentId, config, resultName);
         if (result.changed) {
           console.log(`✓ Updated ${displayName} (${config.awsProfile})`);
           updatedCount++;
@@ -495,27 +1761,228 @@ async function handlePostmanSync(specificEnvId) {
           unchangedCount++;
         }
       } catch (error) {
-        const displayName = config.environmentName || environmentId;
-        console.log(`✗ Failed to update ${displayName} (${config.awsProfile}): ${error.message}`);
+        const displayName = getPostmanDisplayName(environmentId, config);
+        console.log(
+          `✗ Failed to update ${displayName} (${config.awsProfile}): ${describePostmanError(error, environmentId)}`
+        );
         logger.logError(`Failed to sync ${environmentId} to Postman: ${error.message}`);
         errorCount++;
       }
     }
 
     console.log("─".repeat(60));
-    console.log(`Sync complete: ${updatedCount} updated, ${unchangedCount} unchanged, ${errorCount} failed`);
-    logger.logCommand(`postman sync - ${updatedCount} updated, ${unchangedCount} unchanged, ${errorCount} failed`);
+    if (options.dryRun) {
+      console.log(`Dry run complete: ${updatedCount} to update, ${unchangedCount} unchanged, ${skippedCount} skipped, ${errorCount} failed (nothing was written)`);
+      return;
+    }
+    console.log(`Sync complete: ${updatedCount} updated, ${unchangedCount} unchanged, ${skippedCount} skipped, ${errorCount} failed`);
+    logger.logCommand(`postman sync - ${updatedCount} updated, ${unchangedCount} unchanged, ${skippedCount} skipped, ${errorCount} failed`);
   } catch (error) {
     console.log(`Error during sync: ${error.message}`);
     logger.logError(`Postman sync command failed: ${error.message}`);
   }
 }
 
+/**
+ * Asks the user to pick one of several candidates
+ * Without an interactive prompt (e.g. a command passed on the command line),
+ * the candidates are only listed.
+ * @param {readline.Interface} [rl] - Readline interface
+ * @param {string} noun - What is picked, e.g. "environment"
+ * @param {Object[]} candidates - { id, name } candidates
+ * @returns {Promise<Object|null>} Picked candidate, or null if none was picked
+ */
+function pickCandidate(rl, noun, candidates) {
+  candidates.forEach((candidate, index) => {
+    console.log(`  ${index + 1}) ${candidate.name} (${candidate.id})`);
+  });
+
+  if (!rl || typeof rl.question !== "function") {
+    console.log(`Use the ${noun} ID or a more specific name.`);
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve) => {
+    rl.question(`Which ${noun}? [1-${candidates.length}, Enter to cancel] `, (answer) => {
+      const picked = candidates[Number(answer.trim()) - 1] || null;
+      if (!picked) {
+        console.log("Cancelled.");
+      }
+      resolve(picked);
+    });
+  });
+}
+
+/**
+ * Resolves an ID or a name to an ID among candidates
+ * A reference that is not an ID and matches no name is returned as is, so
+ * IDs missing from the candidates still work. Fuzzy matches are always
+ * confirmed through the pick list.
+ * @param {string} reference - ID or name typed by the user
+ * @param {Object[]} candidates - { id, name } candidates
+ * @param {readline.Interface} [rl] - Readline interface for the pick list
+ * @param {string} noun - What is resolved, e.g. "environment"
+ * @returns {Promise<string|null>} ID, or null if an ambiguous or fuzzy name was not resolved
+ */
+async function resolveByName(reference, candidates, rl, noun) {
+  if (!reference || candidates.some((candidate) => candidate.id === reference)) {
+    return reference;
+  }
+
+  const { match, candidates: matches } = nameMatch.matchByName(reference, candidates);
+  if (matches.length === 0) {
+    return reference;
+  }
+
+  // Only a name that differs at most in case is used without asking
+  if (matches.length === 1 && match !== "fuzzy") {
+    if (match !== "exact") {
+      console.log(`» Using ${noun} "${matches[0].name}" (${matches[0].id}) for "${reference}"`);
+    }
+    return matches[0].id;
+  }
+
+  console.log(
+    matches.length === 1
+      ? `No ${noun} is named "${reference}". Did you mean:`
+      : `Several ${noun}s match "${reference}":`
+  );
+  const picked = await pickCandidate(rl, noun, matches);
+  return picked ? picked.id : null;
+}
+
+/**
+ * Resolves the ID or name of something listed by the Postman API
+ * @param {string} reference - ID or name
+ * @param {readline.Interface} [rl] - Readline interface for the pick list
+ * @param {string} noun - What is resolved, e.g. "environment"
+ * @param {Function} listCandidates - Lists the { id, uid, name } candidates
+ * @returns {Promise<string|null>} ID, or null if an ambiguous name was not resolved
+ */
+async function resolvePostmanReference(reference, rl, noun, listCandidates) {
+  const apiKey = settingsManager.getPostmanApiKey();
+  if (!reference || !apiKey) {
+    return reference;
+  }
+
+  let candidates;
+  try {
+    configurePostmanApi(apiKey);
+    candidates = await listCandidates();
+  } catch (error) {
+    console.log(`Warning: Could not list ${noun}s to look up "${reference}": ${error.message}`);
+    return reference;
+  }
+
+  // The uid form (owner-id) is accepted as an ID too, but the ID is what gets stored
+  const byUid = candidates.find((candidate) => candidate.uid === reference);
+  if (byUid) {
+    return byUid.id;
+  }
+  return resolveByName(reference, candidates, rl, noun);
+}
+
+/**
+ * Resolves a Postman environment ID or name, looking names up with listEnvironments
+ * The default workspace is searched first; all workspaces are searched
+ * unless it holds the ID or an exact or case-insensitive name match.
+ * @param {string} reference - Environment ID or name
+ * @param {readline.Interface} [rl] - Readline interface for the pick list
+ * @returns {Promise<string|null>} Environment ID, or null if an ambiguous name was not resolved
+ */
+function resolvePostmanEnvironmentId(reference, rl) {
+  return resolvePostmanReference(reference, rl, "environment", async () => {
+    const workspaceId = settingsManager.getPostmanDefaultWorkspace();
+    if (workspaceId) {
+      const environments = await postmanApi.listEnvironments(workspaceId);
+      // A fuzzy match there must not hide an exact name in another workspace
+      const { match } = nameMatch.matchByName(reference, environments);
+      const found =
+        environments.some((environment) => environment.id === reference || environment.uid === reference) ||
+        match === "exact" ||
+        match === "case-insensitive";
+      if (found) {
+        return environments;
+      }
+    }
+    return postmanApi.listEnvironments();
+  });
+}
+
+/**
+ * Resolves a Postman workspace ID or name, looking names up with listWorkspaces
+ * @param {string} reference - Workspace ID or name
+ * @param {readline.Interface} [rl] - Readline interface for the pick list
+ * @returns {Promise<string|null>} Workspace ID, or null if an ambiguous name was not resolved
+ */
+function resolvePostmanWorkspaceId(reference, rl) {
+  return resolvePostmanReference(reference, rl, "workspace", () => postmanApi.listWorkspaces());
+}
+
+/**
+ * Resolves the ID or name of a mapped Postman target, looking names up among the mappings
+ * Mapped names are used rather than listEnvironments so a mapping whose
+ * environment was deleted can still be found.
+ * @param {string} reference - Mapped environment (or collection, or workspace) ID or name
+ * @param {readline.Interface} [rl] - Readline interface for the pick list
+ * @returns {Promise<string|null>} Mapped ID, or null if an ambiguous name was not resolved
+ */
+function resolvePostmanMappingId(reference, rl) {
+  const candidates = Object.entries(settingsManager.getPostmanMappings()).map(([id, config]) => ({
+    id,
+    name: config[getPostmanTarget(config).nameKey],
+  }));
+  return resolveByName(reference, candidates, rl, "mapping");
+}
+
+/**
+ * Handles the 'postman globals' subcommands
+ * Globals mappings are Postman mappings of kind 'globals' keyed by workspace ID,
+ * so 'postman list', 'postman sync' and 'scrub --postman' include them too.
+ * @param {string[]} args - Arguments after 'globals'
+ */
+async function handlePostmanGlobals(args) {
+  const subcommand = args[0];
+
+  switch (subcommand) {
+    case "add": {
+      const { positional, flags } = parseArgs(args.slice(1), ["extra", "var", "type", "disabled"]);
+      await handlePostmanAdd(positional[0], positional[1], flags, "globals");
+      break;
+    }
+
+    case "remove": {
+      const mapping = args[1] && settingsManager.getPostmanMappings()[args[1]];
+      if (mapping && getPostmanTarget(mapping) !== POSTMAN_TARGETS.globals) {
+        console.log(`✗ ${args[1]} is not a globals mapping; use "postman remove ${args[1]}"`);
+        break;
+      }
+      handlePostmanRemove(args[1]);
+      break;
+    }
+
+    case "sync": {
+      const { positional, flags } = parseArgs(args.slice(1));
+      await handlePostmanSync(positional[0], {
+        force: Boolean(flags.force),
+        dryRun: Boolean(flags["dry-run"]),
+        kind: "globals",
+      });
+      break;
+    }
+
+    default:
+      console.log("Usage: postman globals add <workspace-id> <aws-profile> | remove <workspace-id> | sync [workspace-id]");
+  }
+}
+
 /**
  * Handles postman commands
+ * 'add', 'remove' and 'sync' accept an environment name instead of its ID.
  * @param {string[]} args - Command arguments
+ * @param {readline.Interface} [rl] - Readline interface, to pick among ambiguous names
  */
-async function handlePostman(args) {
+async function handlePostman(args, rl) {
   const subcommand = args[0];
 
   switch (subcommand) {
@@ -523,28 +1990,80 @@ async function handlePostman(args) {
       handlePostmanKey(args[1]);
       break;
 
-    case "envs":
-      await handlePostmanEnvs();
+    case "envs": {
+      const { flags } = parseArgs(args.slice(1), ["workspace"]);
+      const workspaceId = await resolvePostmanWorkspaceId(flags.workspace, rl);
+      if (workspaceId !== null) {
+        await handlePostmanEnvs({ workspace: workspaceId, all: Boolean(flags.all) });
+      }
       break;
+    }
 
-    case "add":
-      await handlePostmanAdd(args[1], args[2]);
+    case "workspaces":
+      await handlePostmanWorkspaces(args.slice(1), rl);
       break;
 
-    case "remove":
-      handlePostmanRemove(args[1]);
+    case "add": {
+      const { positional, flags } = parseArgs(args.slice(1), ["extra", "var", "type", "disabled"]);
+      const environmentId = await resolvePostmanEnvironmentId(positional[0], rl);
+      if (environmentId !== null) {
+        await handlePostmanAdd(environmentId, positional[1], flags);
+      }
+      break;
+    }
+
+    case "create": {
+      const { positional, flags } = parseArgs(args.slice(1), [
+        "workspace",
+        "template",
+        "extra",
+        "var",
+        "type",
+        "disabled",
+      ]);
+      const workspaceId = await resolvePostmanWorkspaceId(flags.workspace, rl);
+      if (workspaceId !== null) {
+        await handlePostmanCreate(positional[0], positional[1], { ...flags, workspace: workspaceId });
+      }
+      break;
+    }
+
+    case "add-collection": {
+      const { positional, flags } = parseArgs(args.slice(1), ["extra", "var", "type", "disabled"]);
+      await handlePostmanAdd(positional[0], positional[1], flags, "collection");
+      break;
+    }
+
+    case "remove": {
+      const environmentId = await resolvePostmanMappingId(args[1], rl);
+      if (environmentId !== null) {
+        handlePostmanRemove(environmentId);
+      }
+      break;
+    }
+
+    case "globals":
+      await handlePostmanGlobals(args.slice(1));
       break;
 
     case "list":
       handlePostmanList();
       break;
 
-    case "sync":
-      await handlePostmanSync(args[1]);
+    case "sync": {
+      const { positional, flags } = parseArgs(args.slice(1));
+      const environmentId = await resolvePostmanMappingId(positional[0], rl);
+      if (environmentId !== null) {
+        await handlePostmanSync(environmentId, {
+          force: Boolean(flags.force),
+          dryRun: Boolean(flags["dry-run"]),
+        });
+      }
       break;
+    }
 
     default:
-      console.log("Unknown postman command. Available: key, envs, add, remove, list, sync");
+      console.log("Unknown postman command. Available: key, workspaces, envs, create, add, add-collection, remove, globals, list, sync");
       console.log('Type "help" for more information.');
   }
 }
@@ -562,7 +2081,7 @@ async function processCommand(line, rl) {
     return;
   }
 
-  const parts = trimmed.split(/\s+/);
+  const parts = splitCommandLine(trimmed);
   const command = parts[0].toLowerCase();
   const args = parts.slice(1);
 
@@ -571,14 +2090,34 @@ async function processCommand(line, rl) {
       handleList();
       break;
 
-    case "add":
-      handleAdd(args[0], args[1]);
+    case "add": {
+      const { positional, flags } = parseArgs(args, ["template", "var", "extra", "with", "include", "exclude"]);
+      handleAdd(positional[0], positional[1], flags);
       break;
+    }
 
     case "remove":
       handleRemove(args[0]);
       break;
 
+    case "backup":
+      handleBackup(args);
+      break;
+
+    case "restore":
+      handleRestore(args[0], args[1]);
+      break;
+
+    case "gitignore":
+      handleGitignore(args[0]);
+      break;
+
+    case "alias": {
+      const { positional, flags } = parseArgs(args);
+      handleAlias(positional[0], positional[1], flags);
+      break;
+    }
+
     case "profiles":
       handleProfiles();
       break;
@@ -591,12 +2130,23 @@ async function processCommand(line, rl) {
       handleLog(args);
       break;
 
-    case "sync":
-      handleSync();
+    case "sync": {
+      const { flags } = parseArgs(args);
+      await handleSync({ force: Boolean(flags.force), dryRun: Boolean(flags["dry-run"]) });
+      break;
+    }
+
+    case "scrub": {
+      const { positional, flags } = parseArgs(args);
+      await handleScrub(positional[0], {
+        all: Boolean(flags.all),
+        postman: Boolean(flags.postman),
+      });
       break;
+    }
 
     case "postman":
-      await handlePostman(args);
+      await handlePostman(args, rl);
       break;
 
     case "exit":
@@ -625,10 +2175,27 @@ AWS Auto Env - Interactive REPL
 Available Commands:
   list                         List all configured .env mappings
   add <env-path> <profile>     Add a new .env mapping
+      [--template <PREFIX_{name}>]  Write variables under templated names
+      [--var <NAME>=<CUSTOM>]       Rename a single variable (repeatable)
+      [--extra <NAME>=<VALUE>]      Also write a variable, e.g. AWS_REGION={config:region}
+      [--with <PROFILE>=<PREFIX>]   Also write another profile's credentials, prefixed
+      [--managed-block]             Keep credentials between marker comments
+      [--allow-unsafe]              Map a file git tracks or does not ignore
+      [--include <glob>] [--exclude <glob>]  Filter the files a glob pattern matches
+      [--create-missing]            Create the .env file in matching directories
+                               A path with *, ? or ** is a glob pattern; [...] only is
+                               when the literal path does not exist (\\[ escapes it)
   remove <env-path>            Remove a .env mapping
+  backup list <env-path>       List backups of a .env file
+  restore <env-path> [timestamp]  Restore a .env file from a backup
+  gitignore <env-path>         Add a .env file to its repository's .gitignore
   profiles                     List available AWS profiles
+  alias [<alias> <profile>]    List aliases, or alias a profile for project files
+  alias --remove <alias>       Remove a profile alias
   settings                     Display current settings
-  sync                         Sync all .env files with AWS credentials
+  sync [--force] [--dry-run]   Sync all .env files with AWS credentials
+  scrub [<env-path>|--all] [--postman]  Remove credentials from .env files
+                               (--postman also blanks Postman environments)
   log enable                   Enable logging
   log disable                  Disable logging
   log file <path>              Set log file path
@@ -637,11 +2204,26 @@ Available Commands:
 
 Postman Commands:
   postman key [api-key]        Set or show Postman API key
-  postman envs                 List available Postman environments
-  postman add <env-id> <profile>  Map Postman environment to AWS profile
-  postman remove <env-id>      Remove Postman mapping for environment
+  postman workspaces           List Postman workspaces
+  postman workspaces default <id|name>|--clear  Set or clear the default workspace
+  postman envs [--workspace <id|name>] [--all]  List environments by workspace
+                               (only the default workspace unless --all)
+  postman add <env-id|name> <profile>  Map Postman environment to AWS profile
+      [--extra <name>=<value>]      Also write a variable (repeatable)
+      [--var <default>=<name>]      Write a credential variable under another name
+      [--type <default>=<secret|default>] [--disabled <default>]  Variable type and state
+  postman create <name> <profile> [--workspace <id|name>] [--template <env-id>]
+                               Create an environment holding the credentials and map it
+                               (same options as postman add; quote names with spaces)
+  postman add-collection <collection-id> <profile>  Map a collection's variables
+                               to AWS profile (same --extra, --var, --disabled)
+  postman remove <id|name>     Remove Postman mapping for environment or collection
+  postman globals add <workspace-id> <profile>  Map a workspace's globals to AWS
+                               profile (same options as postman add)
+  postman globals remove <workspace-id>  Remove globals mapping
+  postman globals sync [workspace-id] [--force] [--dry-run]  Sync globals only
   postman list                 List all Postman mappings
-  postman sync [env-id]        Sync AWS credentials to Postman
+  postman sync [env-id|name] [--force] [--dry-run]  Sync AWS credentials to Postman
 `);
 }
 
@@ -652,16 +2234,25 @@ async function main() {
   // Initialize settings file if it doesn't exist
   settingsManager.readSettings();
 
+  // Upgrade settings written by older versions
+  const migrated = settingsManager.migrateSettings();
+  if (migrated.length > 0) {
+    console.log("Mapping paths are now stored as absolute paths. Migrated:");
+    migrated.forEach(({ from, to, merged }) => {
+      console.log(`  ${from} → ${to}${merged ? " (merged with a duplicate mapping)" : ""}`);
+    });
+    console.log('Check them with "list" and fix any that pointed elsewhere.\n');
+  }
+
   // Check for command line arguments (skip first two: node and script path)
   const args = process.argv.slice(2);
 
   if (args.length > 0) {
     // Run inline command and exit
-    const command = args.join(" ");
     const mockRl = {
       close: () => process.exit(0)
     };
-    await processCommand(command, mockRl);
+    await processCommand(buildCommandLine(args), mockRl);
     process.exit(0);
   }
 
@@ -708,17 +2299,26 @@ module.exports = {
   handleList,
   handleAdd,
   handleRemove,
+  handleBackup,
+  handleRestore,
+  handleGitignore,
+  handleAlias,
   handleProfiles,
   handleSettings,
   handleLog,
   handleSync,
+  handleScrub,
   handlePostman,
   handlePostmanKey,
   handlePostmanEnvs,
+  handlePostmanWorkspaces,
   handlePostmanAdd,
+  handlePostmanCreate,
   handlePostmanRemove,
   handlePostmanList,
+  handlePostmanGlobals,
   handlePostmanSync,
   processCommand,
+  buildCommandLine,
   createInterface,
 };
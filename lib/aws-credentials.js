@@ -1,6 +1,12 @@
 const { execSync } = require("child_process");
 const fs = require("fs");
 const path = require("path");
+const awsProfiles = require("./aws-profiles");
+const envFile = require("./env-file");
+const awsSso = require("./aws-sso");
+const awsSts = require("./aws-sts");
+const backups = require("./backups");
+const fileUtils = require("./file-utils");
 
 /**
  * Triggers AWS SSO login for a profile
@@ -19,6 +25,120 @@ function triggerSsoLogin(profileName) {
   }
 }
 
+/**
+ * Extracts static-key credentials from a profile's properties
+ * Profiles that delegate to another provider (SSO, assume-role, credential_process)
+ * yield null.
+ * @param {Object} profile - Profile properties from getProfileConfig
+ * @returns {Object|null} Credentials object, or null if the profile has no usable static keys
+ */
+function getStaticCredentials(profile) {
+  const delegated = profile.role_arn ||
+                    profile.credential_process ||
+                    awsSso.isSsoProfile(profile);
+  if (delegated || !profile.aws_access_key_id || !profile.aws_secret_access_key) {
+    return null;
+  }
+
+  return {
+    AWS_ACCESS_KEY_ID: profile.aws_access_key_id,
+    AWS_SECRET_ACCESS_KEY: profile.aws_secret_access_key,
+    AWS_SESSION_TOKEN: profile.aws_session_token || undefined,
+    EXPIRATION: undefined
+  };
+}
+
+/**
+ * Gets credentials for an SSO profile from the token cache, logging in once if the
+ * cached token is missing, expired or rejected
+ * @param {string} profileName - AWS profile name
+ * @param {Object} profile - Profile properties from getProfileConfig
+ * @param {boolean} retryAfterLogin - Whether this is a retry after SSO login
+ * @returns {Promise<Object>} Credentials object including EXPIRATION
+ * @throws {Error} If the credentials cannot be obtained
+ */
+async function getSsoProfileCredentials(profileName, profile, retryAfterLogin = false) {
+  try {
+    return await awsSso.getSsoCredentials(profileName, profile);
+  } catch (error) {
+    if (error instanceof awsSso.SsoTokenError && !retryAfterLogin) {
+      triggerSsoLogin(profileName);
+      return getSsoProfileCredentials(profileName, profile, true);
+    }
+    if (error.message.startsWith("SSO login failed")) {
+      throw error;
+    }
+    throw new Error(`Failed to get credentials for profile "${profileName}": ${error.message}`);
+  }
+}
+
+/**
+ * Gets credentials for a role_arn profile by assuming the role with its source_profile's credentials
+ * Chains are walked recursively; a profile may name itself as source_profile to use its own keys.
+ * @param {string} profileName - AWS profile name
+ * @param {Object} profile - Profile properties from getProfileConfig
+ * @param {Set<string>} visited - Profiles already on the chain, for cycle detection
+ * @returns {Promise<Object|null>} Temporary credentials, or null if the chain needs the AWS CLI
+ * @throws {Error} If the chain is circular, broken, or STS rejects the request
+ */
+async function getAssumeRoleCredentials(profileName, profile, visited) {
+  // credential_source and MFA-protected roles are left to the AWS CLI
+  if (!profile.source_profile || profile.mfa_serial) {
+    return null;
+  }
+
+  let sourceCredentials;
+  if (profile.source_profile === profileName) {
+    sourceCredentials = getStaticCredentials({ ...profile, role_arn: undefined });
+  } else {
+    if (!awsProfiles.getProfileConfig(profile.source_profile)) {
+      throw new Error(`source_profile "${profile.source_profile}" referenced by profile "${profileName}" not found`);
+    }
+    sourceCredentials = await getNativeCredentials(profile.source_profile, visited);
+  }
+
+  if (!sourceCredentials) {
+    return null;
+  }
+
+  return awsSts.assumeRole(sourceCredentials, {
+    roleArn: profile.role_arn,
+    roleSessionName: profile.role_session_name,
+    externalId: profile.external_id,
+    durationSeconds: profile.duration_seconds ? parseInt(profile.duration_seconds, 10) : undefined,
+    region: profile.region,
+  });
+}
+
+/**
+ * Resolves credentials directly from ~/.aws/credentials, ~/.aws/config, the SSO token cache and STS
+ * @param {string} profileName - AWS profile name
+ * @param {Set<string>} [visited] - Profiles already on an assume-role chain
+ * @returns {Promise<Object|null>} Credentials object, or null if the profile cannot be resolved natively
+ * @throws {Error} If a source_profile chain is circular
+ */
+async function getNativeCredentials(profileName, visited = new Set()) {
+  if (visited.has(profileName)) {
+    throw new Error(`Circular source_profile chain: ${[...visited, profileName].join(" -> ")}`);
+  }
+  visited.add(profileName);
+
+  const profile = awsProfiles.getProfileConfig(profileName);
+  if (!profile) {
+    return null;
+  }
+
+  if (profile.role_arn) {
+    return getAssumeRoleCredentials(profileName, profile, visited);
+  }
+
+  if (awsSso.isSsoProfile(profile)) {
+    return getSsoProfileCredentials(profileName, profile);
+  }
+
+  return getStaticCredentials(profile);
+}
+
 /**
  * Gets AWS credentials for a specific profile using AWS CLI
  * @param {string} profileName - AWS profile name
@@ -26,11 +146,7 @@ function triggerSsoLogin(profileName) {
  * @returns {Object} Credentials object containing AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, and optionally AWS_SESSION_TOKEN
  * @throws {Error} If the AWS CLI command fails or profile doesn't exist
  */
-function getCredentials(profileName, retryAfterLogin = false) {
-  if (!profileName) {
-    throw new Error("Profile name is required");
-  }
-
+function getCliCredentials(profileName, retryAfterLogin = false) {
   try {
     // First, try to get credentials from AWS CLI (without pipe to capture errors properly)
     const awsCommand = `aws configure export-credentials --profile ${profileName} --format process`;
@@ -42,6 +158,13 @@ function getCredentials(profileName, retryAfterLogin = false) {
         stdio: ["pipe", "pipe", "pipe"],
       });
     } catch (awsError) {
+      // The shell reports 127 when the aws binary cannot be found
+      if (awsError.status === 127 || awsError.code === "ENOENT") {
+        throw new Error(
+          `Failed to get credentials for profile "${profileName}": profile cannot be resolved natively and the AWS CLI is not available`
+        );
+      }
+
       // Capture stderr for SSO error detection
       const stderrOutput = awsError.stderr?.toString() || "";
       const stdoutOutput = awsError.stdout?.toString() || "";
@@ -55,7 +178,7 @@ function getCredentials(profileName, retryAfterLogin = false) {
       // If SSO expired and we haven't retried yet, trigger login and retry
       if (isSsoExpired && !retryAfterLogin) {
         triggerSsoLogin(profileName);
-        return getCredentials(profileName, true);
+        return getCliCredentials(profileName, true);
       }
 
       throw new Error(
@@ -90,6 +213,36 @@ function getCredentials(profileName, retryAfterLogin = false) {
   }
 }
 
+/**
+ * Gets AWS credentials for a specific profile
+ * Static-key, SSO and assume-role profiles are resolved natively; anything else falls back to the AWS CLI.
+ * @param {string} profileName - AWS profile name
+ * @returns {Promise<Object>} Credentials object containing AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, and optionally AWS_SESSION_TOKEN and EXPIRATION
+ * @throws {Error} If the profile cannot be resolved
+ */
+async function getCredentials(profileName) {
+  if (!profileName) {
+    throw new Error("Profile name is required");
+  }
+
+  let nativeCredentials;
+  try {
+    nativeCredentials = await getNativeCredentials(profileName);
+  } catch (error) {
+    if (error.message.startsWith("Failed to get credentials") ||
+        error.message.startsWith("SSO login failed")) {
+      throw error;
+    }
+    throw new Error(`Failed to get credentials for profile "${profileName}": ${error.message}`);
+  }
+
+  if (nativeCredentials) {
+    return nativeCredentials;
+  }
+
+  return getCliCredentials(profileName);
+}
+
 /**
  * Checks if AWS CLI is available
  * @returns {boolean} True if AWS CLI is installed and accessible
@@ -106,13 +259,29 @@ function isAwsCliAvailable() {
   }
 }
 
+/**
+ * Environment variable holding the credential expiry in .env files
+ */
+const EXPIRATION_VAR_NAME = "AWS_CREDENTIAL_EXPIRATION";
+
+/**
+ * Every variable getCredentialsAsEnvVars can produce
+ */
+const ENV_VAR_NAMES = [
+  "AWS_ACCESS_KEY_ID",
+  "AWS_SECRET_ACCESS_KEY",
+  "AWS_SESSION_TOKEN",
+  EXPIRATION_VAR_NAME,
+];
+
 /**
  * Gets credentials for a profile and formats them as environment variables
  * @param {string} profileName - AWS profile name
- * @returns {Object} Object with environment variable names as keys
+ * @returns {Promise<Object>} Object with environment variable names as keys, including
+ * AWS_CREDENTIAL_EXPIRATION when the credentials are temporary
  */
-function getCredentialsAsEnvVars(profileName) {
-  const credentials = getCredentials(profileName);
+async function getCredentialsAsEnvVars(profileName) {
+  const credentials = await module.exports.getCredentials(profileName);
 
   // Return in a format suitable for .env files
   return {
@@ -121,17 +290,101 @@ function getCredentialsAsEnvVars(profileName) {
     ...(credentials.AWS_SESSION_TOKEN && {
       AWS_SESSION_TOKEN: credentials.AWS_SESSION_TOKEN,
     }),
+    ...(credentials.EXPIRATION && {
+      [EXPIRATION_VAR_NAME]: credentials.EXPIRATION,
+    }),
   };
 }
 
+/**
+ * Renames credential variables according to a mapping's naming options
+ * Explicit renames take precedence over the template; `{name}` in the template
+ * is replaced by the default variable name (e.g. "DATA_{name}").
+ * @param {Object} values - Variables keyed by their default names
+ * @param {Object} [naming] - { variableTemplate, variableNames }
+ * @returns {Object} Variables keyed by the names to write
+ */
+function applyVariableNames(values, naming = {}) {
+  const renamed = {};
+  for (const [name, value] of Object.entries(values)) {
+    let target = name;
+    if (naming.variableNames && naming.variableNames[name]) {
+      target = naming.variableNames[name];
+    } else if (naming.variableTemplate) {
+      target = naming.variableTemplate.replace(/\{name\}/g, name);
+    }
+    renamed[target] = value;
+  }
+  return renamed;
+}
+
+/**
+ * Checks whether credentials remain valid for longer than a threshold
+ * Credentials without a known expiration are never considered fresh, so
+ * static keys are always re-synced.
+ * @param {string|null} expiration - ISO expiration timestamp
+ * @param {number} thresholdMinutes - Minimum remaining validity
+ * @returns {boolean} True if the credentials can be kept as they are
+ */
+function isCredentialFresh(expiration, thresholdMinutes) {
+  if (!expiration) {
+    return false;
+  }
+  const expiresAt = Date.parse(expiration);
+  if (isNaN(expiresAt)) {
+    return false;
+  }
+  return expiresAt - Date.now() > thresholdMinutes * 60 * 1000;
+}
+
+/**
+ * Backs up a .env file and atomically replaces it with a document's content
+ * @param {string} filePath - Path to the .env file
+ * @param {Object} doc - Parsed document to write
+ * @param {boolean} exists - Whether the file already exists
+ */
+function saveEnvFile(filePath, doc, exists) {
+  if (exists) {
+    backups.createBackup(filePath);
+  }
+  fileUtils.writeFileAtomic(filePath, envFile.serializeEnvFile(doc), {
+    mode: fileUtils.PRIVATE_FILE_MODE,
+  });
+}
+
+/**
+ * Sets credentials in a parsed .env document
+ * @param {Object} doc - Parsed document
+ * @param {Object} credentials - Credentials object with key-value pairs
+ * @param {Object} [options] - { managedBlock, awsProfile } to write into a managed block
+ * @returns {boolean} True if the document changed
+ */
+function setCredentials(doc, credentials, options = {}) {
+  if (options.managedBlock) {
+    return envFile.setManagedBlock(doc, credentials, options.awsProfile);
+  }
+  let changed = false;
+  for (const [key, value] of Object.entries(credentials)) {
+    if (envFile.setEnvValue(doc, key, value)) {
+      changed = true;
+    }
+  }
+  return changed;
+}
+
 /**
  * Writes credentials to a .env file, updating existing keys or appending new ones
+ * Only the credential values are touched; the rest of the file is preserved as-is.
+ * In managed block mode the credentials are kept between marker comments instead.
+ * The previous content is backed up and the file is replaced atomically.
+ * A new file is created readable by its owner only.
  * @param {Object} credentials - Credentials object with key-value pairs
  * @param {string} filePath - Path to the .env file
+ * @param {Object} [options] - { managedBlock, awsProfile } to write into a managed block
  * @returns {Object} Result with { changed: boolean } indicating if any values were modified
  * @throws {Error} If file path is not provided or file operations fail
  */
-function writeCredentialsToFile(credentials, filePath) {
+function writeCredentialsToFile(credentials, filePath, options = {}) {
   if (!filePath) {
     throw new Error("File path is required");
   }
@@ -147,74 +400,95 @@ function writeCredentialsToFile(credentials, filePath) {
       fs.mkdirSync(dir, { recursive: true });
     }
 
-    let lines = [];
-    let existingKeys = new Set();
-    let existingValues = {};
-    let changed = false;
-
-    // Read existing file if it exists
-    if (fs.existsSync(filePath)) {
-      const content = fs.readFileSync(filePath, "utf8");
-      lines = content.split("\n");
-
-      // Update existing keys
-      lines = lines.map((line) => {
-        // Skip empty lines and comments
-        if (!line.trim() || line.trim().startsWith("#")) {
-          return line;
-        }
-
-        // Parse key=value
-        const match = line.match(/^([^=]+)=(.*)$/);
-        if (match) {
-          const key = match[1].trim();
-          const value = match[2];
-          existingKeys.add(key);
-          existingValues[key] = value;
-
-          // If this key is in our credentials, update it
-          if (credentials.hasOwnProperty(key)) {
-            if (value !== credentials[key]) {
-              changed = true;
-            }
-            return `${key}=${credentials[key]}`;
-          }
-        }
-
-        return line;
-      });
+    const exists = fs.existsSync(filePath);
+    const doc = envFile.parseEnvFile(exists ? fs.readFileSync(filePath, "utf8") : "");
+
+    const changed = setCredentials(doc, credentials, options) || !exists;
+    if (changed) {
+      saveEnvFile(filePath, doc, exists);
     }
 
-    // Append new keys that don't exist
-    const newKeys = Object.keys(credentials).filter(
-      (key) => !existingKeys.has(key)
-    );
-    if (newKeys.length > 0) {
-      changed = true;
-      // Add a newline before appending if file exists and doesn't end with newline
-      if (lines.length > 0 && lines[lines.length - 1] !== "") {
-        lines.push("");
-      }
+    return { changed };
+  } catch (error) {
+    throw new Error(`Failed to write credentials to file: ${error.message}`);
+  }
+}
 
-      newKeys.forEach((key) => {
-        lines.push(`${key}=${credentials[key]}`);
-      });
-    }
+/**
+ * Previews writeCredentialsToFile without writing anything
+ * The file counts as changed whenever the written document would differ, so
+ * moving keys into a managed block is reported even if no value changes.
+ * @param {Object} credentials - Credentials object with key-value pairs
+ * @param {string} filePath - Path to the .env file
+ * @param {Object} [options] - Options as for writeCredentialsToFile
+ * @returns {Object} { exists, changed, changes } where changes lists { key, before, after }
+ * @throws {Error} If the file cannot be read
+ */
+function previewCredentialsFile(credentials, filePath, options = {}) {
+  const exists = fs.existsSync(filePath);
+  const doc = envFile.parseEnvFile(exists ? fs.readFileSync(filePath, "utf8") : "");
 
-    // Write back to file
-    const content = lines.join("\n");
-    fs.writeFileSync(filePath, content, "utf8");
+  const changes = Object.entries(credentials).map(([key, value]) => ({
+    key,
+    before: envFile.getEnvValue(doc, key),
+    after: String(value),
+  }));
 
+  return {
+    exists,
+    changed: setCredentials(doc, credentials, options) || !exists,
+    changes,
+  };
+}
+
+/**
+ * Removes credentials from a .env file
+ * Drops the managed credentials block and any assignment of the given keys
+ * elsewhere in the file.
+ * @param {string} filePath - Path to the .env file
+ * @param {string[]} [keys] - Variable names to remove outside the managed block
+ * @returns {Object} Result with { changed: boolean } indicating if the file was modified
+ * @throws {Error} If file operations fail
+ */
+function removeCredentialsFromFile(filePath, keys = []) {
+  if (!filePath) {
+    throw new Error("File path is required");
+  }
+
+  if (!fs.existsSync(filePath)) {
+    return { changed: false };
+  }
+
+  try {
+    const doc = envFile.parseEnvFile(fs.readFileSync(filePath, "utf8"));
+    let changed = envFile.removeManagedBlock(doc);
+    for (const key of keys) {
+      if (envFile.removeEnvValue(doc, key)) {
+        changed = true;
+      }
+    }
+    if (changed) {
+      saveEnvFile(filePath, doc, true);
+    }
     return { changed };
   } catch (error) {
-    throw new Error(`Failed to write credentials to file: ${error.message}`);
+    throw new Error(`Failed to remove credentials from file: ${error.message}`);
   }
 }
 
 module.exports = {
   getCredentials,
+  getStaticCredentials,
+  getNativeCredentials,
+  getCliCredentials,
   isAwsCliAvailable,
   getCredentialsAsEnvVars,
+  isCredentialFresh,
+  applyVariableNames,
   writeCredentialsToFile,
+  previewCredentialsFile,
+  removeCredentialsFromFile,
   triggerSsoLogin,
+  EXPIRATION_VAR_NAME,
+  ENV_VAR_NAMES,
 };
@@ -0,0 +1,160 @@
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+
+/**
+ * How long a request may stay idle before it is aborted
+ */
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Resolves the endpoint for an AWS service
+ * Follows the AWS SDK convention of AWS_ENDPOINT_URL_<SERVICE> and AWS_ENDPOINT_URL
+ * overrides, which also allows pointing the tool at a local stand-in.
+ * @param {string} serviceId - Service identifier used in the env var (e.g. "SSO", "STS")
+ * @param {string} defaultUrl - Endpoint to use when no override is set
+ * @returns {string} Endpoint base URL
+ */
+function resolveEndpoint(serviceId, defaultUrl) {
+  return process.env[`AWS_ENDPOINT_URL_${serviceId}`] ||
+         process.env.AWS_ENDPOINT_URL ||
+         defaultUrl;
+}
+
+/**
+ * Makes an HTTP(S) request and buffers the response
+ * The request is aborted when the connection stays idle for longer than the timeout.
+ * @param {string} url - Full request URL
+ * @param {Object} [options] - { method, headers, body, timeoutMs }
+ * @returns {Promise<Object>} Response with { statusCode, headers, body }
+ * @throws {Error} If the request fails or times out
+ */
+function request(url, options = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === "http:" ? http : https;
+
+    const req = transport.request(target, {
+      method: options.method || "GET",
+      headers: options.headers || {},
+    }, (res) => {
+      let data = "";
+
+      res.on("data", (chunk) => {
+        data += chunk;
+      });
+
+      res.on("end", () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+      });
+    });
+
+    const timeoutMs = options.timeoutMs || REQUEST_TIMEOUT_MS;
+    req.setTimeout(timeoutMs, () => {
+      reject(new Error(`Request to ${target.host} timed out after ${timeoutMs / 1000}s`));
+      req.destroy();
+    });
+
+    req.on("error", (err) => {
+      reject(new Error(`Request failed: ${err.message}`));
+    });
+
+    if (options.body) {
+      req.write(options.body);
+    }
+
+    req.end();
+  });
+}
+
+/**
+ * Returns the hex SHA-256 digest of a string
+ * @param {string} value - Value to hash
+ * @returns {string}
+ */
+function sha256(value) {
+  return crypto.createHash("sha256").update(value, "utf8").digest("hex");
+}
+
+/**
+ * Returns the HMAC-SHA256 of a string
+ * @param {Buffer|string} key - Signing key
+ * @param {string} value - Value to sign
+ * @returns {Buffer}
+ */
+function hmac(key, value) {
+  return crypto.createHmac("sha256", key).update(value, "utf8").digest();
+}
+
+/**
+ * Signs a request with AWS Signature Version 4
+ * @param {Object} req - { method, url, headers, body }
+ * @param {Object} options - { region, service, credentials, date }
+ * @returns {Object} Headers to send, including Authorization and X-Amz-Date
+ */
+function signRequest(req, options) {
+  const target = new URL(req.url);
+  const date = options.date || new Date();
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const dateStamp = amzDate.slice(0, 8);
+  const { credentials } = options;
+
+  const headers = {
+    ...req.headers,
+    host: target.host,
+    "x-amz-date": amzDate,
+  };
+  if (credentials.AWS_SESSION_TOKEN) {
+    headers["x-amz-security-token"] = credentials.AWS_SESSION_TOKEN;
+  }
+
+  const canonical = Object.keys(headers)
+    .map((name) => [name.toLowerCase(), String(headers[name]).trim().replace(/\s+/g, " ")])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const signedHeaders = canonical.map(([name]) => name).join(";");
+
+  const query = [...target.searchParams.entries()]
+    .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+    .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : 1) : a < b ? -1 : 1))
+    .map(([key, value]) => `${key}=${value}`)
+    .join("&");
+
+  const canonicalRequest = [
+    req.method || "GET",
+    target.pathname || "/",
+    query,
+    canonical.map(([name, value]) => `${name}:${value}\n`).join(""),
+    signedHeaders,
+    sha256(req.body || ""),
+  ].join("\n");
+
+  const scope = `${dateStamp}/${options.region}/${options.service}/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+
+  let signingKey = hmac(`AWS4${credentials.AWS_SECRET_ACCESS_KEY}`, dateStamp);
+  signingKey = hmac(signingKey, options.region);
+  signingKey = hmac(signingKey, options.service);
+  signingKey = hmac(signingKey, "aws4_request");
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign, "utf8").digest("hex");
+
+  return {
+    ...headers,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${credentials.AWS_ACCESS_KEY_ID}/${scope}, ` +
+      `SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+/**
+ * Percent-encodes a query component as required by SigV4
+ * @param {string} value - Value to encode
+ * @returns {string}
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+module.exports = {
+  resolveEndpoint,
+  request,
+  signRequest,
+};
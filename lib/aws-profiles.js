@@ -4,18 +4,20 @@ const os = require('os');
 
 /**
  * Gets the path to AWS credentials file
+ * Honours AWS_SHARED_CREDENTIALS_FILE like the AWS CLI does.
  * @returns {string} Path to credentials file
  */
 function getCredentialsPath() {
-  return path.join(os.homedir(), '.aws', 'credentials');
+  return process.env.AWS_SHARED_CREDENTIALS_FILE || path.join(os.homedir(), '.aws', 'credentials');
 }
 
 /**
  * Gets the path to AWS config file
+ * Honours AWS_CONFIG_FILE like the AWS CLI does.
  * @returns {string} Path to config file
  */
 function getConfigPath() {
-  return path.join(os.homedir(), '.aws', 'config');
+  return process.env.AWS_CONFIG_FILE || path.join(os.homedir(), '.aws', 'config');
 }
 
 /**
@@ -53,6 +55,86 @@ function parseProfilesFromFile(filePath) {
   }
 }
 
+/**
+ * Parses an AWS INI-style file into its sections
+ * Section headers are kept verbatim (e.g. "default", "profile dev", "sso-session corp").
+ * Indented sub-properties (e.g. nested s3 settings) are ignored.
+ * @param {string} filePath - Path to the INI file
+ * @returns {Object} Map of section header to { key: value } properties
+ */
+function parseIniFile(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      return {};
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    const lines = content.split(/\r?\n/);
+    const sections = {};
+    let current = null;
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith(';')) {
+        continue;
+      }
+
+      const header = trimmed.match(/^\[\s*([^\]]+?)\s*\]$/);
+      if (header) {
+        current = header[1].replace(/\s+/g, ' ');
+        sections[current] = sections[current] || {};
+        continue;
+      }
+
+      // Skip nested sub-properties and properties outside of any section
+      if (!current || /^\s/.test(line)) {
+        continue;
+      }
+
+      const property = trimmed.match(/^([^=]+?)\s*=\s*(.*)$/);
+      if (property) {
+        sections[current][property[1].toLowerCase()] = property[2];
+      }
+    }
+
+    return sections;
+  } catch (error) {
+    console.error(`Error reading ${filePath}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Gets the merged configuration for a profile from the credentials and config files
+ * Values from the credentials file take precedence, as they do for the AWS CLI.
+ * @param {string} profileName - AWS profile name
+ * @returns {Object|null} Profile properties, or null if the profile is not defined in either file
+ */
+function getProfileConfig(profileName) {
+  const credentials = module.exports.parseIniFile(module.exports.getCredentialsPath());
+  const config = module.exports.parseIniFile(module.exports.getConfigPath());
+
+  const fromCredentials = credentials[profileName];
+  const fromConfig = config[`profile ${profileName}`] ||
+    (profileName === 'default' ? config.default : undefined);
+
+  if (!fromCredentials && !fromConfig) {
+    return null;
+  }
+
+  return { ...fromConfig, ...fromCredentials };
+}
+
+/**
+ * Gets an sso-session section from the config file
+ * @param {string} sessionName - SSO session name
+ * @returns {Object|null} Session properties, or null if not defined
+ */
+function getSsoSessionConfig(sessionName) {
+  const config = module.exports.parseIniFile(module.exports.getConfigPath());
+  return config[`sso-session ${sessionName}`] || null;
+}
+
 /**
  * Gets all available AWS profiles from credentials and config files
  * @returns {string[]} Array of unique profile names, sorted alphabetically
@@ -67,9 +149,44 @@ function getAvailableProfiles() {
   return allProfiles.sort();
 }
 
+/**
+ * Expands the placeholders in a mapping's extra variables
+ * `{profile}` is replaced by the profile name and `{config:<key>}` by the
+ * profile's property from the config or credentials file (e.g. `{config:region}`).
+ * Other text is kept as a literal value.
+ * @param {Object} [variables] - Variable templates keyed by variable name
+ * @param {string} profileName - AWS profile name
+ * @returns {Object} Expanded values keyed by variable name
+ * @throws {Error} If a referenced property is not set for the profile
+ */
+function expandProfileVariables(variables, profileName) {
+  const expanded = {};
+  let profile = null;
+
+  for (const [name, template] of Object.entries(variables || {})) {
+    expanded[name] = String(template).replace(/\{(profile|config:([\w-]+))\}/g, (match, token, key) => {
+      if (!key) {
+        return profileName;
+      }
+      profile = profile || module.exports.getProfileConfig(profileName) || {};
+      const value = profile[key.toLowerCase()];
+      if (!value) {
+        throw new Error(`Failed to expand ${name}: profile "${profileName}" has no ${key} setting`);
+      }
+      return value;
+    });
+  }
+
+  return expanded;
+}
+
 module.exports = {
   getAvailableProfiles,
   getCredentialsPath,
   getConfigPath,
-  parseProfilesFromFile
+  parseProfilesFromFile,
+  parseIniFile,
+  getProfileConfig,
+  getSsoSessionConfig,
+  expandProfileVariables
 };
@@ -0,0 +1,188 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const awsProfiles = require("./aws-profiles");
+const awsHttp = require("./aws-http");
+
+/**
+ * Error raised when the cached SSO token is missing, expired or rejected
+ * Callers use it to decide whether an interactive `aws sso login` can help.
+ */
+class SsoTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SsoTokenError";
+  }
+}
+
+/**
+ * Gets the directory the AWS CLI writes SSO tokens to
+ * @returns {string} Path to the SSO cache directory
+ */
+function getSsoCacheDir() {
+  return path.join(os.homedir(), ".aws", "sso", "cache");
+}
+
+/**
+ * Returns true if a profile is configured for IAM Identity Center (SSO)
+ * @param {Object} profile - Profile properties from getProfileConfig
+ * @returns {boolean}
+ */
+function isSsoProfile(profile) {
+  return Boolean(profile && (profile.sso_session || profile.sso_start_url));
+}
+
+/**
+ * Resolves the SSO settings for a profile, following its sso_session reference
+ * Legacy profiles carry sso_start_url and sso_region directly.
+ * @param {string} profileName - AWS profile name
+ * @param {Object} profile - Profile properties from getProfileConfig
+ * @returns {Object} { cacheKey, startUrl, region, accountId, roleName }
+ * @throws {Error} If the profile or its session is incomplete
+ */
+function getSsoSettings(profileName, profile) {
+  let session = {
+    sso_start_url: profile.sso_start_url,
+    sso_region: profile.sso_region,
+  };
+  let cacheKey = profile.sso_start_url;
+
+  if (profile.sso_session) {
+    session = awsProfiles.getSsoSessionConfig(profile.sso_session);
+    if (!session) {
+      throw new Error(`sso-session "${profile.sso_session}" referenced by profile "${profileName}" not found`);
+    }
+    cacheKey = profile.sso_session;
+  }
+
+  const settings = {
+    cacheKey,
+    startUrl: session.sso_start_url,
+    region: session.sso_region,
+    accountId: profile.sso_account_id,
+    roleName: profile.sso_role_name,
+  };
+
+  const missing = ["startUrl", "region", "accountId", "roleName"].filter((key) => !settings[key]);
+  if (missing.length > 0) {
+    throw new Error(`Profile "${profileName}" is missing SSO settings: ${missing.join(", ")}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Reads the cached SSO access token for a session
+ * Looks up the CLI's hashed cache file first, then scans the cache for a token
+ * issued for the same start URL.
+ * @param {Object} settings - SSO settings from getSsoSettings
+ * @returns {Object} Cached token with { accessToken, expiresAt }
+ * @throws {SsoTokenError} If no valid token is cached
+ */
+function loadSsoToken(settings) {
+  const cacheDir = module.exports.getSsoCacheDir();
+  const hashedName = crypto.createHash("sha1").update(settings.cacheKey).digest("hex") + ".json";
+
+  const readToken = (fileName) => {
+    try {
+      const token = JSON.parse(fs.readFileSync(path.join(cacheDir, fileName), "utf8"));
+      return token.accessToken && token.expiresAt ? token : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  let token = readToken(hashedName);
+
+  if (!token && fs.existsSync(cacheDir)) {
+    const candidates = fs.readdirSync(cacheDir)
+      .filter((fileName) => fileName.endsWith(".json"))
+      .map(readToken)
+      .filter((candidate) => candidate && candidate.startUrl === settings.startUrl)
+      .sort((a, b) => Date.parse(b.expiresAt) - Date.parse(a.expiresAt));
+    token = candidates[0] || null;
+  }
+
+  if (!token) {
+    throw new SsoTokenError(`No cached SSO token found for ${settings.startUrl}`);
+  }
+
+  if (Date.parse(token.expiresAt) <= Date.now()) {
+    throw new SsoTokenError(`SSO token for ${settings.startUrl} expired at ${token.expiresAt}`);
+  }
+
+  return token;
+}
+
+/**
+ * Exchanges an SSO access token for role credentials (SSO GetRoleCredentials)
+ * @param {Object} settings - SSO settings from getSsoSettings
+ * @param {string} accessToken - Cached SSO access token
+ * @returns {Promise<Object>} Credentials object including EXPIRATION as an ISO string
+ * @throws {SsoTokenError} If the portal rejects the token
+ */
+async function getRoleCredentials(settings, accessToken) {
+  const endpoint = awsHttp.resolveEndpoint("SSO", `https://portal.sso.${settings.region}.amazonaws.com`);
+  const query = new URLSearchParams({
+    account_id: settings.accountId,
+    role_name: settings.roleName,
+  });
+
+  const response = await awsHttp.request(
+    `${endpoint.replace(/\/$/, "")}/federation/credentials?${query}`,
+    { headers: { "x-amz-sso_bearer_token": accessToken } }
+  );
+
+  let parsed = {};
+  try {
+    parsed = JSON.parse(response.body || "{}");
+  } catch (err) {
+    // Fall through to the status check with an empty body
+  }
+
+  if (response.statusCode === 401 || response.statusCode === 403) {
+    throw new SsoTokenError(parsed.message || `SSO portal rejected the token (HTTP ${response.statusCode})`);
+  }
+
+  if (response.statusCode >= 400) {
+    throw new Error(parsed.message || `GetRoleCredentials failed (HTTP ${response.statusCode})`);
+  }
+
+  const roleCredentials = parsed.roleCredentials || {};
+  if (!roleCredentials.accessKeyId || !roleCredentials.secretAccessKey) {
+    throw new Error("Invalid credentials format returned from SSO portal");
+  }
+
+  return {
+    AWS_ACCESS_KEY_ID: roleCredentials.accessKeyId,
+    AWS_SECRET_ACCESS_KEY: roleCredentials.secretAccessKey,
+    AWS_SESSION_TOKEN: roleCredentials.sessionToken,
+    EXPIRATION: roleCredentials.expiration
+      ? new Date(roleCredentials.expiration).toISOString()
+      : undefined,
+  };
+}
+
+/**
+ * Resolves credentials for an SSO profile from the token cache
+ * @param {string} profileName - AWS profile name
+ * @param {Object} profile - Profile properties from getProfileConfig
+ * @returns {Promise<Object>} Credentials object including EXPIRATION
+ * @throws {SsoTokenError} If the SSO session needs a fresh login
+ */
+async function getSsoCredentials(profileName, profile) {
+  const settings = getSsoSettings(profileName, profile);
+  const token = loadSsoToken(settings);
+  return getRoleCredentials(settings, token.accessToken);
+}
+
+module.exports = {
+  SsoTokenError,
+  getSsoCacheDir,
+  isSsoProfile,
+  getSsoSettings,
+  loadSsoToken,
+  getRoleCredentials,
+  getSsoCredentials,
+};
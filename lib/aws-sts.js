@@ -0,0 +1,111 @@
+const awsHttp = require("./aws-http");
+
+const STS_API_VERSION = "2011-06-15";
+
+/**
+ * Extracts a field from an STS response, which is JSON when Accept is honoured
+ * and XML otherwise
+ * @param {string} body - Raw response body
+ * @param {string} name - Field name (e.g. "AccessKeyId")
+ * @returns {string|number|undefined}
+ */
+function extractField(body, name) {
+  const match = body.match(new RegExp(`<${name}>([^<]*)</${name}>`));
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Normalizes an STS expiration (epoch seconds in JSON, ISO string in XML)
+ * @param {string|number|undefined} expiration - Raw expiration value
+ * @returns {string|undefined} ISO timestamp
+ */
+function normalizeExpiration(expiration) {
+  if (expiration === undefined || expiration === null || expiration === "") {
+    return undefined;
+  }
+  const date = typeof expiration === "number"
+    ? new Date(expiration * 1000)
+    : new Date(expiration);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * Calls STS AssumeRole with the given source credentials
+ * @param {Object} sourceCredentials - Credentials used to sign the request
+ * @param {Object} params - { roleArn, roleSessionName, externalId, durationSeconds, region }
+ * @returns {Promise<Object>} Temporary credentials including EXPIRATION
+ * @throws {Error} If STS rejects the request
+ */
+async function assumeRole(sourceCredentials, params) {
+  const region = params.region || "us-east-1";
+  const endpoint = awsHttp.resolveEndpoint("STS", `https://sts.${region}.amazonaws.com`);
+  const url = `${endpoint.replace(/\/$/, "")}/`;
+
+  const form = new URLSearchParams({
+    Action: "AssumeRole",
+    Version: STS_API_VERSION,
+    RoleArn: params.roleArn,
+    RoleSessionName: params.roleSessionName || `aws-auto-env-${Date.now()}`,
+  });
+  if (params.externalId) {
+    form.set("ExternalId", params.externalId);
+  }
+  if (params.durationSeconds) {
+    form.set("DurationSeconds", String(params.durationSeconds));
+  }
+  const body = form.toString();
+
+  const headers = awsHttp.signRequest({
+    method: "POST",
+    url,
+    headers: {
+      "content-type": "application/x-www-form-urlencoded; charset=utf-8",
+      accept: "application/json",
+    },
+    body,
+  }, {
+    region,
+    service: "sts",
+    credentials: sourceCredentials,
+  });
+
+  const response = await awsHttp.request(url, { method: "POST", headers, body });
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(response.body);
+  } catch (err) {
+    // XML response, handled below
+  }
+
+  if (response.statusCode >= 400) {
+    const error = parsed?.Error || {};
+    const message = error.Message || extractField(response.body, "Message") ||
+      `AssumeRole failed (HTTP ${response.statusCode})`;
+    throw new Error(`AssumeRole ${params.roleArn} failed: ${message}`);
+  }
+
+  const stsCredentials = parsed
+    ? parsed.AssumeRoleResponse?.AssumeRoleResult?.Credentials || {}
+    : {
+      AccessKeyId: extractField(response.body, "AccessKeyId"),
+      SecretAccessKey: extractField(response.body, "SecretAccessKey"),
+      SessionToken: extractField(response.body, "SessionToken"),
+      Expiration: extractField(response.body, "Expiration"),
+    };
+
+  if (!stsCredentials.AccessKeyId || !stsCredentials.SecretAccessKey) {
+    throw new Error("Invalid credentials format returned from STS");
+  }
+
+  return {
+    AWS_ACCESS_KEY_ID: stsCredentials.AccessKeyId,
+    AWS_SECRET_ACCESS_KEY: stsCredentials.SecretAccessKey,
+    AWS_SESSION_TOKEN: stsCredentials.SessionToken,
+    EXPIRATION: normalizeExpiration(stsCredentials.Expiration),
+  };
+}
+
+module.exports = {
+  assumeRole,
+};
@@ -0,0 +1,147 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const settingsManager = require("./settings-manager");
+const fileUtils = require("./file-utils");
+
+/**
+ * Number of backups kept per file; older ones are pruned
+ */
+const MAX_BACKUPS_PER_FILE = 10;
+
+let backupDir = path.join(settingsManager.CONFIG_DIR, "backups");
+
+/**
+ * Sets the backup directory (primarily for testing)
+ * @param {string} dirPath - Path to the backup directory
+ */
+function setBackupDir(dirPath) {
+  backupDir = dirPath;
+}
+
+/**
+ * Gets the backup directory
+ * @returns {string} Path to the backup directory
+ */
+function getBackupDir() {
+  return backupDir;
+}
+
+/**
+ * Gets the directory holding the backups of one file
+ * Backups are grouped by a hash of the file's absolute path.
+ * @param {string} filePath - Path to the backed-up file
+ * @returns {string} Directory path
+ */
+function getFileBackupDir(filePath) {
+  const key = crypto
+    .createHash("sha1")
+    .update(path.resolve(filePath))
+    .digest("hex")
+    .slice(0, 16);
+  return path.join(backupDir, key);
+}
+
+/**
+ * Formats a date as a backup timestamp that is safe to use in file names
+ * @param {Date} date - Date to format
+ * @returns {string} Timestamp, e.g. 2024-01-31T12-00-00-000Z
+ */
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+/**
+ * Lists the backups of a file, newest first
+ * @param {string} filePath - Path to the backed-up file
+ * @returns {Array} List of { timestamp, path, size }
+ */
+function listBackups(filePath) {
+  const dir = getFileBackupDir(filePath);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(".bak"))
+    .map((name) => {
+      const backupPath = path.join(dir, name);
+      return {
+        timestamp: name.slice(0, -".bak".length),
+        path: backupPath,
+        size: fs.statSync(backupPath).size,
+      };
+    })
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+/**
+ * Backs up the current content of a file and prunes old backups
+ * @param {string} filePath - Path to the file
+ * @returns {string|null} Timestamp of the backup, or null if the file does not exist
+ */
+function createBackup(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const dir = getFileBackupDir(filePath);
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+  // Make the timestamp unique if several backups happen within a millisecond
+  let date = new Date();
+  while (fs.existsSync(path.join(dir, `${formatTimestamp(date)}.bak`))) {
+    date = new Date(date.getTime() + 1);
+  }
+  const timestamp = formatTimestamp(date);
+
+  fs.copyFileSync(filePath, path.join(dir, `${timestamp}.bak`));
+  fs.chmodSync(path.join(dir, `${timestamp}.bak`), 0o600);
+  fs.writeFileSync(path.join(dir, "source"), path.resolve(filePath), "utf8");
+
+  listBackups(filePath)
+    .slice(MAX_BACKUPS_PER_FILE)
+    .forEach((backup) => fs.rmSync(backup.path, { force: true }));
+
+  return timestamp;
+}
+
+/**
+ * Restores a file from a backup
+ * The current content is backed up first, so a restore can itself be undone.
+ * A file that no longer exists is recreated readable by its owner only.
+ * @param {string} filePath - Path to the file
+ * @param {string} [timestamp] - Backup to restore (defaults to the newest)
+ * @returns {string} Timestamp of the restored backup
+ * @throws {Error} If no matching backup exists
+ */
+function restoreBackup(filePath, timestamp) {
+  const backups = listBackups(filePath);
+  if (backups.length === 0) {
+    throw new Error(`No backups found for ${filePath}`);
+  }
+
+  const backup = timestamp
+    ? backups.find((b) => b.timestamp === timestamp)
+    : backups[0];
+  if (!backup) {
+    throw new Error(`No backup ${timestamp} found for ${filePath}`);
+  }
+
+  const content = fs.readFileSync(backup.path, "utf8");
+  module.exports.createBackup(filePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fileUtils.writeFileAtomic(filePath, content, { mode: fileUtils.PRIVATE_FILE_MODE });
+
+  return backup.timestamp;
+}
+
+module.exports = {
+  setBackupDir,
+  getBackupDir,
+  listBackups,
+  createBackup,
+  restoreBackup,
+  MAX_BACKUPS_PER_FILE,
+};
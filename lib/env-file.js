@@ -0,0 +1,363 @@
+const QUOTES = ["'", '"', "`"];
+
+/**
+ * Matches the start of a KEY=value assignment, with optional `export` prefix
+ */
+const ASSIGNMENT = /^(\s*(?:export\s+)?)([A-Za-z_][A-Za-z0-9_.-]*)(\s*=\s*)(.*)$/;
+
+/**
+ * Finds the closing quote in a quoted value
+ * Backslash escapes are honoured inside double quotes only.
+ * @param {string} text - Text starting right after the opening quote
+ * @param {string} quote - Quote character
+ * @returns {number} Index of the closing quote, or -1 if not found
+ */
+function findClosingQuote(text, quote) {
+  for (let i = 0; i < text.length; i++) {
+    if (quote === '"' && text[i] === "\\") {
+      i++;
+      continue;
+    }
+    if (text[i] === quote) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Decodes the escape sequences supported inside double-quoted values
+ * @param {string} value - Raw value between the quotes
+ * @returns {string} Decoded value
+ */
+function unescapeDoubleQuoted(value) {
+  return value.replace(/\\(.)/g, (match, char) => {
+    switch (char) {
+      case "n":
+        return "\n";
+      case "r":
+        return "\r";
+      case "t":
+        return "\t";
+      case '"':
+      case "\\":
+        return char;
+      default:
+        return match;
+    }
+  });
+}
+
+/**
+ * Parses the value part of an assignment, which may continue on following lines
+ * @param {string} rest - Text after the `=` on the first line
+ * @param {string[]} lines - All lines of the file
+ * @param {number} index - Index of the first line
+ * @returns {Object} { value, quote, suffix, lastIndex }
+ */
+function parseValue(rest, lines, index) {
+  const quote = rest[0];
+
+  if (QUOTES.includes(quote)) {
+    let text = rest.slice(1);
+    let lastIndex = index;
+    let closing = findClosingQuote(text, quote);
+
+    // Multiline values continue until the closing quote
+    while (closing === -1 && lastIndex + 1 < lines.length) {
+      lastIndex++;
+      text += "\n" + lines[lastIndex];
+      closing = findClosingQuote(text, quote);
+    }
+
+    if (closing !== -1) {
+      const inner = text.slice(0, closing);
+      return {
+        value: quote === '"' ? unescapeDoubleQuoted(inner) : inner,
+        quote,
+        suffix: text.slice(closing + 1),
+        lastIndex,
+      };
+    }
+    // Unterminated quote: treat the first line as a literal unquoted value
+  }
+
+  const comment = rest.match(/(^|\s+)#/);
+  const valueText = comment ? rest.slice(0, comment.index) : rest;
+  return {
+    value: valueText.trim(),
+    quote: null,
+    suffix: rest.slice(valueText.trimEnd().length),
+    lastIndex: index,
+  };
+}
+
+/**
+ * Parses .env content into a document that can be edited and serialized back
+ * Lines that are not rewritten are kept byte-for-byte, so comments, `export`
+ * prefixes, quoting, inline comments and line endings survive a round trip.
+ * @param {string} content - File content
+ * @returns {Object} Document with { eol, trailingNewline, entries }
+ */
+function parseEnvFile(content) {
+  const eol = content.includes("\r\n") ? "\r\n" : "\n";
+  const trailingNewline = content.length === 0 || /\r?\n$/.test(content);
+  const lines = content.split(/\r?\n/);
+  if (trailingNewline) {
+    lines.pop();
+  }
+
+  const entries = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const match = line.trim().startsWith("#") ? null : line.match(ASSIGNMENT);
+
+    if (!match) {
+      entries.push({ raw: line });
+      continue;
+    }
+
+    const parsed = parseValue(match[4], lines, i);
+    entries.push({
+      raw: lines.slice(i, parsed.lastIndex + 1).join(eol),
+      key: match[2],
+      value: parsed.value,
+      prefix: match[1] + match[2] + match[3],
+      quote: parsed.quote,
+      suffix: parsed.suffix,
+    });
+    i = parsed.lastIndex;
+  }
+
+  return { eol, trailingNewline, entries };
+}
+
+/**
+ * Formats a value for writing, keeping the original quote style where possible
+ * @param {string} value - Value to write
+ * @param {string|null} quote - Quote character used previously, if any
+ * @returns {string} Value as it should appear after the `=`
+ */
+function formatValue(value, quote) {
+  const text = String(value);
+
+  if (quote === "'" && !/['\n]/.test(text)) {
+    return `'${text}'`;
+  }
+  if (quote === "`" && !text.includes("`")) {
+    return `\`${text}\``;
+  }
+  if (quote === '"' || /[\s#"'`\\]/.test(text)) {
+    const escaped = text
+      .replace(/\\/g, "\\\\")
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, "\\n")
+      .replace(/\r/g, "\\r");
+    return `"${escaped}"`;
+  }
+  return text;
+}
+
+/**
+ * Gets the effective value of a key (the last assignment wins)
+ * @param {Object} doc - Parsed document
+ * @param {string} key - Variable name
+ * @returns {string|undefined} Value, or undefined if the key is not set
+ */
+function getEnvValue(doc, key) {
+  const matches = doc.entries.filter((entry) => entry.key === key);
+  return matches.length > 0 ? matches[matches.length - 1].value : undefined;
+}
+
+/**
+ * Sets a key in the document
+ * Every existing assignment of the key is rewritten in place so no stale
+ * duplicate survives; a missing key is appended at the end.
+ * @param {Object} doc - Parsed document
+ * @param {string} key - Variable name
+ * @param {string} value - New value
+ * @returns {boolean} True if the document changed
+ */
+function setEnvValue(doc, key, value) {
+  const text = String(value);
+  let found = false;
+  let changed = false;
+
+  for (const entry of doc.entries) {
+    if (entry.key !== key) {
+      continue;
+    }
+    found = true;
+    if (entry.value !== text) {
+      entry.value = text;
+      entry.raw = entry.prefix + formatValue(text, entry.quote) + entry.suffix;
+      changed = true;
+    }
+  }
+
+  if (!found) {
+    const prefix = `${key}=`;
+    doc.entries.push({
+      raw: prefix + formatValue(text, null),
+      key,
+      value: text,
+      prefix,
+      quote: null,
+      suffix: "",
+    });
+    changed = true;
+  }
+
+  return changed;
+}
+
+/**
+ * Removes every assignment of a key from the document
+ * @param {Object} doc - Parsed document
+ * @param {string} key - Variable name
+ * @returns {boolean} True if the document changed
+ */
+function removeEnvValue(doc, key) {
+  const count = doc.entries.length;
+  doc.entries = doc.entries.filter((entry) => entry.key !== key);
+  return doc.entries.length !== count;
+}
+
+/**
+ * Marker line closing the block of tool-owned variables
+ */
+const BLOCK_END = "# <<< aws-auto-env <<<";
+
+/**
+ * Matches the marker line opening the block of tool-owned variables
+ */
+const BLOCK_START = /^# >>> aws-auto-env(?: \(profile: .*\))? >>>$/;
+
+/**
+ * Builds the marker line opening a managed block
+ * @param {string} [profile] - AWS profile the block was synced from
+ * @returns {string} Marker line
+ */
+function blockStartLine(profile) {
+  return profile ? `# >>> aws-auto-env (profile: ${profile}) >>>` : "# >>> aws-auto-env >>>";
+}
+
+/**
+ * Finds the managed block in a document
+ * A start marker without a matching end marker is not treated as a block.
+ * @param {Object} doc - Parsed document
+ * @returns {Object|null} { start, end } entry indexes of the markers, or null
+ */
+function findManagedBlock(doc) {
+  const start = doc.entries.findIndex(
+    (entry) => entry.key === undefined && BLOCK_START.test(entry.raw.trim())
+  );
+  if (start === -1) {
+    return null;
+  }
+  const offset = doc.entries
+    .slice(start + 1)
+    .findIndex((entry) => entry.key === undefined && entry.raw.trim() === BLOCK_END);
+  return offset === -1 ? null : { start, end: start + 1 + offset };
+}
+
+/**
+ * Writes variables into the managed block, creating it if needed
+ * The block is tool-owned: it is rewritten to hold exactly the given variables.
+ * Assignments of those variables elsewhere in the file are moved into it, and
+ * a new block takes the place of the first such line (or goes at the end).
+ * @param {Object} doc - Parsed document
+ * @param {Object} values - Variables to write
+ * @param {string} [profile] - AWS profile, recorded in the start marker
+ * @returns {boolean} True if the document changed
+ */
+function setManagedBlock(doc, values, profile) {
+  const before = serializeEnvFile(doc);
+  const keys = Object.keys(values);
+
+  // Drop the existing block and any stray assignments of the managed variables
+  const block = findManagedBlock(doc);
+  let insertAt = -1;
+  const kept = [];
+  doc.entries.forEach((entry, index) => {
+    const inBlock = block && index >= block.start && index <= block.end;
+    if (inBlock || keys.includes(entry.key)) {
+      if (insertAt === -1) {
+        insertAt = kept.length;
+      }
+      return;
+    }
+    kept.push(entry);
+  });
+
+  const blockEntries = [{ raw: blockStartLine(profile) }];
+  for (const [key, value] of Object.entries(values)) {
+    const prefix = `${key}=`;
+    const text = String(value);
+    blockEntries.push({
+      raw: prefix + formatValue(text, null),
+      key,
+      value: text,
+      prefix,
+      quote: null,
+      suffix: "",
+    });
+  }
+  blockEntries.push({ raw: BLOCK_END });
+
+  if (insertAt === -1) {
+    insertAt = kept.length;
+    // Separate a new block from preceding content
+    if (kept.length > 0 && kept[kept.length - 1].raw.trim() !== "") {
+      blockEntries.unshift({ raw: "" });
+    }
+  }
+  kept.splice(insertAt, 0, ...blockEntries);
+  doc.entries = kept;
+
+  return serializeEnvFile(doc) !== before;
+}
+
+/**
+ * Removes the managed block, markers included
+ * @param {Object} doc - Parsed document
+ * @returns {boolean} True if a block was removed
+ */
+function removeManagedBlock(doc) {
+  const block = findManagedBlock(doc);
+  if (!block) {
+    return false;
+  }
+  let start = block.start;
+  // Also drop the blank line that separated a trailing block from the content
+  if (block.end === doc.entries.length - 1 && start > 0 && doc.entries[start - 1].raw.trim() === "") {
+    start--;
+  }
+  doc.entries.splice(start, block.end - start + 1);
+  return true;
+}
+
+/**
+ * Serializes a document back to file content using its original line endings
+ * @param {Object} doc - Parsed document
+ * @returns {string} File content
+ */
+function serializeEnvFile(doc) {
+  if (doc.entries.length === 0) {
+    return "";
+  }
+  const content = doc.entries.map((entry) => entry.raw).join(doc.eol);
+  return doc.trailingNewline ? content + doc.eol : content;
+}
+
+module.exports = {
+  parseEnvFile,
+  serializeEnvFile,
+  getEnvValue,
+  setEnvValue,
+  removeEnvValue,
+  findManagedBlock,
+  setManagedBlock,
+  removeManagedBlock,
+  BLOCK_END,
+};
@@ -0,0 +1,79 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Mode for newly created files that hold secrets (owner read/write only)
+ */
+const PRIVATE_FILE_MODE = 0o600;
+
+/**
+ * Writes a file atomically
+ * The content goes to a temporary file in the same directory, which is then
+ * renamed over the target, so a crash or a full disk never leaves the target
+ * truncated. An existing file keeps its permission bits.
+ * @param {string} filePath - Path to the file
+ * @param {string} content - File content
+ * @param {Object} [options] - { mode } for a newly created file (subject to the umask)
+ * @throws {Error} If the file cannot be written
+ */
+function writeFileAtomic(filePath, content, options = {}) {
+  const dir = path.dirname(filePath);
+  const tempPath = path.join(
+    dir,
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+  );
+
+  let mode;
+  if (fs.existsSync(filePath)) {
+    mode = fs.statSync(filePath).mode & 0o777;
+  }
+
+  try {
+    const fd = fs.openSync(tempPath, "w", mode !== undefined ? mode : options.mode);
+    try {
+      fs.writeFileSync(fd, content, "utf8");
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (mode !== undefined) {
+      // openSync applies the umask, so restore the original bits explicitly
+      fs.chmodSync(tempPath, mode);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Checks whether a file can be read by its group or by other users
+ * Always false on Windows, where POSIX permission bits are not meaningful.
+ * @param {string} filePath - Path to the file
+ * @returns {boolean} True if the group or others have read access
+ */
+function isGroupOrWorldReadable(filePath) {
+  if (process.platform === "win32" || !fs.existsSync(filePath)) {
+    return false;
+  }
+  return (fs.statSync(filePath).mode & 0o044) !== 0;
+}
+
+/**
+ * Removes all group and other permissions from a file
+ * @param {string} filePath - Path to the file
+ * @returns {number} The new permission bits
+ */
+function restrictPermissions(filePath) {
+  const mode = fs.statSync(filePath).mode & 0o700;
+  fs.chmodSync(filePath, mode);
+  return mode;
+}
+
+module.exports = {
+  writeFileAtomic,
+  isGroupOrWorldReadable,
+  restrictPermissions,
+  PRIVATE_FILE_MODE,
+};
@@ -0,0 +1,112 @@
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Finds the root of the git repository enclosing a file
+ * @param {string} filePath - Path to the file (which may not exist yet)
+ * @returns {string|null} Repository root, or null if the file is not in a repository
+ */
+function findGitRoot(filePath) {
+  let dir = path.dirname(path.resolve(filePath));
+
+  while (true) {
+    if (fs.existsSync(path.join(dir, ".git"))) {
+      return dir;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Runs a git command and reports whether it succeeded
+ * @param {string} repoRoot - Repository root
+ * @param {string[]} args - git arguments
+ * @returns {boolean} True if git exited with status 0
+ * @throws {Error} If git is not available or fails unexpectedly
+ */
+function gitSucceeds(repoRoot, args) {
+  try {
+    execFileSync("git", ["-C", repoRoot, ...args], { stdio: "pipe" });
+    return true;
+  } catch (error) {
+    if (error.status === 1) {
+      return false;
+    }
+    throw new Error(
+      error.code === "ENOENT" ? "git is not available" : `git ${args[0]} failed: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Checks whether git could pick up credentials written to a file
+ * A file is unsafe when git tracks it or no .gitignore rule covers it.
+ * @param {string} filePath - Path to the file
+ * @returns {Object|null} { repoRoot, relativePath, tracked, ignored, safe }, or null
+ *   if the file is not inside a git repository
+ * @throws {Error} If git is not available
+ */
+function checkFile(filePath) {
+  const repoRoot = findGitRoot(filePath);
+  if (!repoRoot) {
+    return null;
+  }
+
+  const relativePath = path.relative(repoRoot, path.resolve(filePath)).split(path.sep).join("/");
+  // ls-files --error-unmatch exits with 1 for untracked files
+  const tracked = gitSucceeds(repoRoot, ["ls-files", "--error-unmatch", "--", relativePath]);
+  const ignored = gitSucceeds(repoRoot, ["check-ignore", "-q", "--no-index", "--", relativePath]);
+
+  return {
+    repoRoot,
+    relativePath,
+    tracked,
+    ignored,
+    safe: !tracked && ignored,
+  };
+}
+
+/**
+ * Describes why a checked file is unsafe
+ * @param {Object} result - Result of checkFile
+ * @returns {string} Reason, e.g. "is tracked by git in /repo"
+ */
+function describeProblem(result) {
+  if (result.tracked) {
+    return `is tracked by git in ${result.repoRoot}`;
+  }
+  return `is not ignored by git in ${result.repoRoot}`;
+}
+
+/**
+ * Adds an entry for a file to the .gitignore at the root of its repository
+ * @param {string} filePath - Path to the file
+ * @returns {string} Path to the updated .gitignore
+ * @throws {Error} If the file is not inside a git repository
+ */
+function addIgnoreEntry(filePath) {
+  const repoRoot = findGitRoot(filePath);
+  if (!repoRoot) {
+    throw new Error(`${filePath} is not inside a git repository`);
+  }
+
+  const relativePath = path.relative(repoRoot, path.resolve(filePath)).split(path.sep).join("/");
+  const gitignorePath = path.join(repoRoot, ".gitignore");
+  const existing = fs.existsSync(gitignorePath) ? fs.readFileSync(gitignorePath, "utf8") : "";
+  const separator = existing && !existing.endsWith("\n") ? "\n" : "";
+
+  fs.appendFileSync(gitignorePath, `${separator}/${relativePath}\n`, "utf8");
+  return gitignorePath;
+}
+
+module.exports = {
+  findGitRoot,
+  checkFile,
+  describeProblem,
+  addIgnoreEntry,
+};
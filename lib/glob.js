@@ -0,0 +1,251 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Whether a backslash escapes a glob character
+ * Not on Windows, where it separates path segments.
+ */
+const ESCAPES = path.sep === "/";
+
+/**
+ * Finds the glob syntax in a path, skipping characters escaped with a backslash
+ * @param {string} value - Path or pattern
+ * @returns {Object} { wildcard, bracket } whether it has * or ?, and a [...] class
+ */
+function findGlobSyntax(value) {
+  const found = { wildcard: false, bracket: false };
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === "\\" && ESCAPES) {
+      i++;
+    } else if (char === "*" || char === "?") {
+      found.wildcard = true;
+    } else if (char === "[" && findClosingBracket(value, i) !== -1) {
+      found.bracket = true;
+    }
+  }
+  return found;
+}
+
+/**
+ * Finds the ] closing a character class within the same path segment
+ * @param {string} value - Path or pattern
+ * @param {number} open - Index of the [
+ * @returns {number} Index of the ], or -1 if the class is not closed
+ */
+function findClosingBracket(value, open) {
+  for (let i = open + 2; i < value.length; i++) {
+    if (value[i] === "/" || value[i] === path.sep) {
+      return -1;
+    }
+    if (value[i] === "]") {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Removes the backslashes escaping glob characters
+ * @param {string} value - Path, e.g. "/apps/\[id]/.env"
+ * @returns {string} Literal path, e.g. "/apps/[id]/.env"
+ */
+function unescapeGlob(value) {
+  return ESCAPES ? value.replace(/\\([*?[\]\\])/g, "$1") : value;
+}
+
+/**
+ * Checks whether a path is a glob pattern
+ * `*`, `?` and `**` always make a pattern. A `[...]` class only does when no
+ * file or directory exists at the literal path, so paths like "apps/[id]/.env"
+ * keep working; `\[` escapes it for a path that does not exist yet.
+ * @param {string} value - Path or pattern
+ * @returns {boolean} True if the value is a glob pattern
+ */
+function isGlob(value) {
+  const { wildcard, bracket } = findGlobSyntax(value);
+  return wildcard || (bracket && !fs.existsSync(unescapeGlob(value)));
+}
+
+/**
+ * Converts a single path segment pattern to a regular expression source
+ * @param {string} segment - Segment pattern, e.g. "*.env"
+ * @returns {string} Regular expression source matching one segment
+ */
+function segmentToRegExp(segment) {
+  let source = "";
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i];
+    const close = char === "[" ? findClosingBracket(segment, i) : -1;
+
+    if (char === "\\" && ESCAPES && i + 1 < segment.length) {
+      i++;
+      source += segment[i].replace(/[.*?+^${}()|[\]\\]/g, "\\$&");
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (close !== -1) {
+      const negated = segment[i + 1] === "!";
+      const members = segment.slice(negated ? i + 2 : i + 1, close).replace(/\\/g, "\\\\");
+      source += `[${negated ? "^" : ""}${members}]`;
+      i = close;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return source;
+}
+
+/**
+ * Converts a path pattern to a regular expression
+ * `**` matches any number of directories.
+ * @param {string} pattern - Path pattern using / as separator
+ * @returns {RegExp} Regular expression matching whole paths
+ */
+function globToRegExp(pattern) {
+  const segments = pattern.split("/");
+  const source = segments
+    .map((segment, index) => {
+      const last = index === segments.length - 1;
+      if (segment === "**") {
+        return last ? ".*" : "(?:[^/]+/)*";
+      }
+      return segmentToRegExp(segment) + (last ? "" : "/");
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks whether a path matches a pattern
+ * Patterns that are not absolute match at any depth, e.g. "legacy/**".
+ * @param {string} filePath - Absolute path
+ * @param {string} pattern - Path pattern
+ * @returns {boolean} True if the path matches
+ */
+function matchesGlob(filePath, pattern) {
+  const normalizedPath = filePath.split(path.sep).join("/");
+  const normalizedPattern = pattern.split(path.sep).join("/");
+  if (normalizedPattern.startsWith("/")) {
+    return globToRegExp(normalizedPattern).test(normalizedPath);
+  }
+  return globToRegExp(`**/${normalizedPattern}`).test(normalizedPath.replace(/^\/+/, ""));
+}
+
+/**
+ * Lists a directory, ignoring directories that cannot be read
+ * @param {string} dir - Directory path
+ * @returns {fs.Dirent[]} Directory entries
+ */
+function readDir(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Checks whether a directory entry is a directory, following symlinks
+ * @param {string} dir - Parent directory
+ * @param {fs.Dirent} entry - Directory entry
+ * @returns {boolean} True for directories and symlinks to directories
+ */
+function isDirectoryEntry(dir, entry) {
+  if (entry.isDirectory()) {
+    return true;
+  }
+  if (!entry.isSymbolicLink()) {
+    return false;
+  }
+  try {
+    return fs.statSync(path.join(dir, entry.name)).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Walks the file system matching the remaining pattern segments
+ * @param {string} dir - Directory matched so far
+ * @param {string[]} segments - Remaining segments
+ * @param {Object} found - { matches, missing } sets to fill
+ */
+function walk(dir, segments, found) {
+  const [segment, ...rest] = segments;
+
+  if (segment === "**") {
+    // Zero directories, then one more level (symlinks are not followed to avoid loops)
+    walk(dir, rest, found);
+    readDir(dir)
+      .filter((entry) => entry.isDirectory() && !entry.name.startsWith(".") && entry.name !== "node_modules")
+      .forEach((entry) => walk(path.join(dir, entry.name), segments, found));
+    return;
+  }
+
+  const { wildcard, bracket } = findGlobSyntax(segment);
+  if (!wildcard && !bracket) {
+    const next = path.join(dir, unescapeGlob(segment));
+    if (rest.length === 0) {
+      (fs.existsSync(next) ? found.matches : found.missing).add(next);
+    } else if (fs.existsSync(next) && fs.statSync(next).isDirectory()) {
+      walk(next, rest, found);
+    }
+    return;
+  }
+
+  const regExp = new RegExp(`^${segmentToRegExp(segment)}$`);
+  readDir(dir).forEach((entry) => {
+    // Wildcards do not match hidden entries unless the pattern starts with a dot
+    if (entry.name.startsWith(".") && !segment.startsWith(".")) {
+      return;
+    }
+    if (!regExp.test(entry.name)) {
+      return;
+    }
+    const next = path.join(dir, entry.name);
+    if (rest.length === 0) {
+      if (!isDirectoryEntry(dir, entry)) {
+        found.matches.add(next);
+      }
+    } else if (isDirectoryEntry(dir, entry)) {
+      walk(next, rest, found);
+    }
+  });
+}
+
+/**
+ * Expands an absolute glob pattern into the files it matches
+ * When the last segment is a plain file name, directories that match the
+ * rest of the pattern but lack the file are reported as missing.
+ * @param {string} pattern - Absolute path pattern
+ * @param {Object} [rules] - { include, exclude } lists of patterns filtering the results
+ * @returns {Object} { matches, missing } sorted lists of absolute paths
+ */
+function expandGlob(pattern, rules = {}) {
+  const segments = pattern.split(path.sep).join("/").split("/");
+  const root = segments[0] === "" ? "/" : segments[0] + "/";
+  const found = { matches: new Set(), missing: new Set() };
+
+  walk(root, segments.slice(1).filter((segment) => segment !== ""), found);
+
+  const include = rules.include || [];
+  const exclude = rules.exclude || [];
+  const keep = (filePath) =>
+    (include.length === 0 || include.some((p) => matchesGlob(filePath, p))) &&
+    !exclude.some((p) => matchesGlob(filePath, p));
+
+  return {
+    matches: Array.from(found.matches).filter(keep).sort(),
+    missing: Array.from(found.missing).filter(keep).sort(),
+  };
+}
+
+module.exports = {
+  isGlob,
+  unescapeGlob,
+  globToRegExp,
+  matchesGlob,
+  expandGlob,
+};
@@ -0,0 +1,73 @@
+/**
+ * Computes the edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character insertions, deletions or substitutions
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Scores how closely a name matches a query, ignoring case
+ * @param {string} query - Lowercase query
+ * @param {string} name - Lowercase name
+ * @returns {number|null} Lower is closer; null if the name does not match
+ */
+function fuzzyScore(query, name) {
+  if (name.includes(query)) {
+    return 0;
+  }
+  // Allow about one typo per four characters
+  const distance = editDistance(query, name);
+  return distance <= Math.max(1, Math.floor(query.length / 4)) ? distance : null;
+}
+
+/**
+ * Finds the candidates whose name matches a query
+ * Exact matches win over case-insensitive ones, which win over fuzzy ones
+ * (substring or a few typos); only the best level is returned.
+ * @param {string} query - Name typed by the user
+ * @param {Object[]} candidates - Objects with a name
+ * @returns {Object} { match, candidates } where match is 'exact', 'case-insensitive',
+ *   'fuzzy' or null, and candidates are the matches, closest first
+ */
+function matchByName(query, candidates) {
+  const named = candidates.filter((candidate) => typeof candidate.name === "string");
+
+  const exact = named.filter((candidate) => candidate.name === query);
+  if (exact.length > 0) {
+    return { match: "exact", candidates: exact };
+  }
+
+  const lowerQuery = query.toLowerCase();
+  const caseInsensitive = named.filter((candidate) => candidate.name.toLowerCase() === lowerQuery);
+  if (caseInsensitive.length > 0) {
+    return { match: "case-insensitive", candidates: caseInsensitive };
+  }
+
+  const fuzzy = named
+    .map((candidate) => ({ candidate, score: fuzzyScore(lowerQuery, candidate.name.toLowerCase()) }))
+    .filter((entry) => entry.score !== null)
+    .sort((a, b) => a.score - b.score || a.candidate.name.localeCompare(b.candidate.name))
+    .map((entry) => entry.candidate);
+  if (fuzzy.length > 0) {
+    return { match: "fuzzy", candidates: fuzzy };
+  }
+
+  return { match: null, candidates: [] };
+}
+
+module.exports = {
+  editDistance,
+  matchByName,
+};
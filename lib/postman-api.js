@@ -1,8 +1,88 @@
+const http = require("http");
 const https = require("https");
+const tls = require("tls");
 
-const BASE_URL = "api.getpostman.com";
+/**
+ * Default connection settings; see setConnectionOptions
+ */
+const DEFAULT_CONNECTION_OPTIONS = {
+  baseUrl: "https://api.getpostman.com",
+  timeoutMs: 30 * 1000,
+  proxyUrl: null,
+};
+
+/**
+ * Default retry behaviour; see setRetryOptions
+ */
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 60 * 1000,
+};
+
+/**
+ * Methods that can safely be repeated after a server or network failure
+ */
+const IDEMPOTENT_METHODS = ["GET", "PUT", "DELETE"];
 
 let apiKey = null;
+let retryOptions = { ...DEFAULT_RETRY_OPTIONS };
+let connectionOptions = { ...DEFAULT_CONNECTION_OPTIONS };
+// Time until which the API asked us to hold off (from X-RateLimit-* headers)
+let rateLimitedUntil = 0;
+
+/**
+ * Error raised for a failed Postman API request
+ * Subclasses tell authentication, not-found, rate-limit and network failures apart.
+ */
+class PostmanApiError extends Error {
+  constructor(message, statusCode = null) {
+    super(message);
+    this.name = "PostmanApiError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Error raised when the API key is missing or rejected (HTTP 401/403)
+ */
+class PostmanAuthError extends PostmanApiError {
+  constructor(message, statusCode = null) {
+    super(message, statusCode);
+    this.name = "PostmanAuthError";
+  }
+}
+
+/**
+ * Error raised when the requested resource does not exist (HTTP 404)
+ */
+class PostmanNotFoundError extends PostmanApiError {
+  constructor(message, statusCode = 404) {
+    super(message, statusCode);
+    this.name = "PostmanNotFoundError";
+  }
+}
+
+/**
+ * Error raised when the rate limit is still exceeded after all retries (HTTP 429)
+ */
+class PostmanRateLimitError extends PostmanApiError {
+  constructor(message, retryAfterMs = null) {
+    super(message, 429);
+    this.name = "PostmanRateLimitError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Error raised when the API cannot be reached
+ */
+class PostmanNetworkError extends PostmanApiError {
+  constructor(message) {
+    super(message);
+    this.name = "PostmanNetworkError";
+  }
+}
 
 /**
  * Sets the Postman API key
@@ -21,30 +101,205 @@ function getApiKey() {
 }
 
 /**
- * Makes an HTTPS request to the Postman API
+ * Sets how failed requests are retried
+ * Missing options keep their defaults.
+ * @param {Object} [options] - { maxRetries, baseDelayMs, maxDelayMs }
+ */
+function setRetryOptions(options = {}) {
+  const defined = Object.fromEntries(
+    Object.entries(options).filter(([, value]) => value !== undefined && value !== null)
+  );
+  retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...defined };
+  rateLimitedUntil = 0;
+}
+
+/**
+ * Sets where and how requests are sent
+ * Missing options keep their defaults. Without a proxyUrl, the proxy is taken
+ * from HTTPS_PROXY / HTTP_PROXY (see getProxyUrl).
+ * @param {Object} [options] - { baseUrl, timeoutMs, proxyUrl }
+ */
+function setConnectionOptions(options = {}) {
+  const defined = Object.fromEntries(
+    Object.entries(options).filter(([, value]) => value !== undefined && value !== null)
+  );
+  connectionOptions = { ...DEFAULT_CONNECTION_OPTIONS, ...defined };
+}
+
+/**
+ * Gets the proxy to use for a URL
+ * The configured proxy takes precedence over HTTPS_PROXY (or HTTP_PROXY for
+ * http URLs). Hosts listed in NO_PROXY, including their subdomains, are
+ * reached directly; `*` disables the proxy altogether.
+ * @param {string} url - Target URL
+ * @param {Object} [env] - Environment variables
+ * @returns {string|null} Proxy URL, or null to connect directly
+ */
+function getProxyUrl(url, env = process.env) {
+  const target = new URL(url);
+  const proxyUrl = connectionOptions.proxyUrl || (target.protocol === "https:"
+    ? env.HTTPS_PROXY || env.https_proxy
+    : env.HTTP_PROXY || env.http_proxy);
+  if (!proxyUrl) {
+    return null;
+  }
+
+  const host = target.hostname.toLowerCase();
+  const bypassed = (env.NO_PROXY || env.no_proxy || "")
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .some((entry) => {
+      if (entry === "*") {
+        return true;
+      }
+      const domain = entry.replace(/:\d+$/, "").replace(/^\*?\./, "");
+      return host === domain || host.endsWith(`.${domain}`);
+    });
+  return bypassed ? null : proxyUrl;
+}
+
+/**
+ * Builds the Proxy-Authorization header for a proxy URL with credentials
+ * @param {URL} proxy - Proxy URL
+ * @returns {Object} Headers to add (empty without credentials)
+ */
+function getProxyHeaders(proxy) {
+  if (!proxy.username) {
+    return {};
+  }
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return { "Proxy-Authorization": `Basic ${Buffer.from(credentials).toString("base64")}` };
+}
+
+/**
+ * Opens a tunnel to an HTTPS host through an HTTP proxy (HTTP CONNECT)
+ * @param {string} proxyUrl - Proxy URL
+ * @param {URL} target - Target URL
+ * @returns {Promise<net.Socket>} Socket connected to the target through the proxy
+ * @throws {PostmanNetworkError} If the proxy cannot be reached or refuses the tunnel
+ */
+function openTunnel(proxyUrl, target) {
+  return new Promise((resolve, reject) => {
+    const proxy = new URL(proxyUrl);
+    const authority = `${target.hostname}:${target.port || 443}`;
+    const req = http.request({
+      hostname: proxy.hostname,
+      port: proxy.port || 80,
+      method: "CONNECT",
+      path: authority,
+      headers: { Host: authority, ...getProxyHeaders(proxy) },
+      timeout: connectionOptions.timeoutMs,
+    });
+
+    req.on("connect", (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        reject(new PostmanNetworkError(`Proxy ${proxy.host} refused the tunnel: HTTP ${res.statusCode}`));
+        return;
+      }
+      resolve(socket);
+    });
+
+    req.on("timeout", () => {
+      req.destroy(new PostmanNetworkError(`Proxy ${proxy.host} timed out`));
+    });
+
+    req.on("error", (err) => {
+      reject(err instanceof PostmanNetworkError
+        ? err
+        : new PostmanNetworkError(`Proxy request failed: ${err.message}`));
+    });
+
+    req.end();
+  });
+}
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Reads a delay from response headers
+ * Retry-After may be seconds or an HTTP date; X-RateLimit-Reset may be
+ * seconds or an epoch timestamp in seconds.
+ * @param {Object} headers - Response headers (lower-cased names)
+ * @returns {number|null} Delay in milliseconds, or null if the headers name none
+ */
+function getHeaderDelay(headers) {
+  const retryAfter = headers["retry-after"] || headers["x-ratelimit-retryafter"];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  const reset = Number(headers["x-ratelimit-reset"]);
+  if (headers["x-ratelimit-reset"] !== undefined && !isNaN(reset)) {
+    // Values this large are epoch timestamps rather than a number of seconds
+    return Math.max(0, reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000);
+  }
+
+  return null;
+}
+
+/**
+ * Sends a single request to the Postman API
+ * Requests go through a proxy when one applies (see getProxyUrl) and are
+ * aborted when the connection stays idle for longer than the timeout.
  * @param {string} method - HTTP method
  * @param {string} path - API path
  * @param {Object|null} body - Request body (for PUT/POST)
- * @returns {Promise<Object>} Response data
+ * @returns {Promise<Object>} { statusCode, headers, data } with the raw body
+ * @throws {PostmanNetworkError} If the request fails or times out
  */
-function makeRequest(method, path, body = null) {
-  return new Promise((resolve, reject) => {
-    if (!apiKey) {
-      reject(new Error("Postman API key not set. Use 'postman key <api-key>' to set it."));
-      return;
-    }
+async function sendRequest(method, path, body) {
+  const target = new URL(connectionOptions.baseUrl);
+  const secure = target.protocol === "https:";
+  const basePath = target.pathname.replace(/\/$/, "");
+  const proxyUrl = getProxyUrl(target.href);
+
+  const options = {
+    hostname: target.hostname,
+    path: basePath + path,
+    method: method,
+    headers: {
+      "X-API-Key": apiKey,
+      "Content-Type": "application/json",
+    },
+    timeout: connectionOptions.timeoutMs,
+  };
+  if (target.port) {
+    options.port = Number(target.port);
+  }
 
-    const options = {
-      hostname: BASE_URL,
-      path: path,
-      method: method,
-      headers: {
-        "X-API-Key": apiKey,
-        "Content-Type": "application/json",
-      },
-    };
-
-    const req = https.request(options, (res) => {
+  if (proxyUrl && secure) {
+    const socket = await openTunnel(proxyUrl, target);
+    options.createConnection = () => tls.connect({ socket, servername: target.hostname });
+    // With createConnection there is no agent, so Node would put port 80 in the Host header
+    options.headers.Host = target.host;
+  } else if (proxyUrl) {
+    // Plain HTTP goes to the proxy with the absolute URL as the path
+    const proxy = new URL(proxyUrl);
+    options.hostname = proxy.hostname;
+    options.port = Number(proxy.port) || 80;
+    options.path = `${target.origin}${basePath}${path}`;
+    Object.assign(options.headers, { Host: target.host }, getProxyHeaders(proxy));
+  }
+
+  return new Promise((resolve, reject) => {
+    const transport = secure ? https : http;
+    const req = transport.request(options, (res) => {
       let data = "";
 
       res.on("data", (chunk) => {
@@ -52,24 +307,20 @@ function makeRequest(method, path, body = null) {
       });
 
       res.on("end", () => {
-        try {
-          const parsed = JSON.parse(data);
-
-          if (res.statusCode >= 400) {
-            const errorMsg = parsed.error?.message || parsed.message || `HTTP ${res.statusCode}`;
-            reject(new Error(errorMsg));
-            return;
-          }
-
-          resolve(parsed);
-        } catch (err) {
-          reject(new Error(`Failed to parse response: ${err.message}`));
-        }
+        resolve({ statusCode: res.statusCode, headers: res.headers || {}, data });
       });
     });
 
+    req.on("timeout", () => {
+      req.destroy(new PostmanNetworkError(
+        `Request timed out after ${connectionOptions.timeoutMs / 1000}s`
+      ));
+    });
+
     req.on("error", (err) => {
-      reject(new Error(`Request failed: ${err.message}`));
+      reject(err instanceof PostmanNetworkError
+        ? err
+        : new PostmanNetworkError(`Request failed: ${err.message}`));
     });
 
     if (body) {
@@ -80,12 +331,132 @@ function makeRequest(method, path, body = null) {
   });
 }
 
+/**
+ * Turns a raw response into parsed data or a typed error
+ * Error pages that are not JSON (e.g. an HTML 502 from a proxy) still yield
+ * an error for their status code.
+ * @param {Object} response - { statusCode, headers, data } from sendRequest
+ * @returns {Object} Parsed response data
+ * @throws {PostmanApiError} If the request failed or the body is not JSON
+ */
+function parseResponse(response) {
+  const { statusCode, headers, data } = response;
+  let parsed = null;
+  try {
+    parsed = data ? JSON.parse(data) : {};
+  } catch (err) {
+    if (statusCode < 400) {
+      throw new PostmanApiError(`Failed to parse response: ${err.message}`, statusCode);
+    }
+  }
+
+  if (statusCode < 400) {
+    return parsed;
+  }
+
+  const message = parsed?.error?.message || parsed?.message || `HTTP ${statusCode}`;
+  if (statusCode === 401 || statusCode === 403) {
+    throw new PostmanAuthError(message, statusCode);
+  }
+  if (statusCode === 404) {
+    throw new PostmanNotFoundError(message, statusCode);
+  }
+  if (statusCode === 429) {
+    throw new PostmanRateLimitError(message, getHeaderDelay(headers));
+  }
+  throw new PostmanApiError(message, statusCode);
+}
+
+/**
+ * Decides whether and how long to wait before retrying a failed request
+ * Rate-limited requests are always retried, honouring the delay the API
+ * asks for. Server and network failures are retried for idempotent methods
+ * with exponential backoff and full jitter.
+ * @param {Error} error - Error of the failed attempt
+ * @param {string} method - HTTP method
+ * @param {number} attempt - Number of the failed attempt, starting at 0
+ * @returns {number|null} Delay in milliseconds, or null to give up
+ */
+function getRetryDelay(error, method, attempt) {
+  if (attempt >= retryOptions.maxRetries) {
+    return null;
+  }
+
+  const backoff = Math.random() * Math.min(
+    retryOptions.maxDelayMs,
+    retryOptions.baseDelayMs * 2 ** attempt
+  );
+
+  if (error instanceof PostmanRateLimitError) {
+    if (error.retryAfterMs === null) {
+      return backoff;
+    }
+    // Waiting longer than allowed would only stall the caller
+    return error.retryAfterMs <= retryOptions.maxDelayMs ? error.retryAfterMs : null;
+  }
+
+  const transient = error instanceof PostmanNetworkError ||
+    (error instanceof PostmanApiError && error.statusCode >= 500);
+  return transient && IDEMPOTENT_METHODS.includes(method) ? backoff : null;
+}
+
+/**
+ * Makes a request to the Postman API, retrying rate-limited and transient failures
+ * @param {string} method - HTTP method
+ * @param {string} path - API path
+ * @param {Object|null} body - Request body (for PUT/POST)
+ * @returns {Promise<Object>} Response data
+ * @throws {PostmanApiError} If the request fails (see the subclasses for the kinds of failure)
+ */
+async function makeRequest(method, path, body = null) {
+  if (!apiKey) {
+    throw new PostmanAuthError("Postman API key not set. Use 'postman key <api-key>' to set it.");
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    // Hold off while the previous response said the quota is used up
+    const wait = Math.min(rateLimitedUntil - Date.now(), retryOptions.maxDelayMs);
+    if (wait > 0) {
+      await module.exports.sleep(wait);
+    }
+
+    let error;
+    try {
+      const response = await sendRequest(method, path, body);
+      if (Number(response.headers["x-ratelimit-remaining"]) === 0) {
+        const delay = getHeaderDelay(response.headers);
+        rateLimitedUntil = delay === null ? 0 : Date.now() + delay;
+      }
+      return parseResponse(response);
+    } catch (err) {
+      error = err;
+    }
+
+    const delay = getRetryDelay(error, method, attempt);
+    if (delay === null) {
+      throw error;
+    }
+    await module.exports.sleep(delay);
+  }
+}
+
+/**
+ * Lists the workspaces the API key can access
+ * @returns {Promise<Array>} List of workspaces with id, name and type
+ */
+async function listWorkspaces() {
+  const response = await makeRequest("GET", "/workspaces");
+  return response.workspaces || [];
+}
+
 /**
  * Lists all Postman environments
- * @returns {Promise<Array>} List of environments with id and name
+ * @param {string} [workspaceId] - Only list the environments of this workspace
+ * @returns {Promise<Array>} List of environments with id, name and updatedAt
  */
-async function listEnvironments() {
-  const response = await makeRequest("GET", "/environments");
+async function listEnvironments(workspaceId) {
+  const query = workspaceId ? `?workspace=${encodeURIComponent(workspaceId)}` : "";
+  const response = await makeRequest("GET", `/environments${query}`);
   return response.environments || [];
 }
 
@@ -141,85 +512,335 @@ async function updateEnvironment(environmentId, name, values) {
 }
 
 /**
- * AWS credential variable names used in Postman (lowercase as per user's setup)
+ * Creates an environment
+ * @param {string} name - Environment name
+ * @param {Array} values - Array of { key, value, type, enabled } objects
+ * @param {string} [workspaceId] - Workspace to create it in (Postman's default workspace otherwise)
+ * @returns {Promise<Object>} Created environment ({ id, name, uid })
  */
-const AWS_VAR_NAMES = ["aws_access_key_id", "aws_access_secret", "aws_session_token"];
+async function createEnvironment(name, values, workspaceId) {
+  if (!name) {
+    throw new Error("Environment name is required");
+  }
+
+  const body = {
+    environment: {
+      name: name,
+      values: values,
+    },
+  };
+  const query = workspaceId ? `?workspace=${encodeURIComponent(workspaceId)}` : "";
+
+  const response = await makeRequest("POST", `/environments${query}`, body);
+  return response.environment;
+}
 
 /**
- * Updates specific AWS variables in a Postman environment
- * Preserves existing non-AWS variables
- * @param {string} environmentId - Environment ID
- * @param {Object} credentials - { aws_access_key_id, aws_access_secret, aws_session_token }
- * @returns {Promise<Object>} Result with updated environment name and whether values changed
+ * Gets a single collection
+ * @param {string} collectionId - Collection ID or UID
+ * @returns {Promise<Object>} Collection in Postman's collection format ({ info, item, variable, ... })
+ */
+async function getCollection(collectionId) {
+  if (!collectionId) {
+    throw new Error("Collection ID is required");
+  }
+
+  const response = await makeRequest("GET", `/collections/${collectionId}`);
+  return response.collection;
+}
+
+/**
+ * Gets collection name by ID (for display purposes)
+ * @param {string} collectionId - Collection ID or UID
+ * @returns {Promise<string|null>} Collection name or null if not found
+ */
+async function getCollectionName(collectionId) {
+  try {
+    const collection = await getCollection(collectionId);
+    return collection?.info?.name || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Replaces the variables of a collection
+ * Uses a partial update, so the collection's items, auth and scripts are not
+ * sent and stay as they are.
+ * @param {string} collectionId - Collection ID or UID
+ * @param {Array} variables - Array of { key, value, type, [disabled] } objects
+ * @returns {Promise<Object>} Updated collection summary
+ */
+async function updateCollectionVariables(collectionId, variables) {
+  if (!collectionId) {
+    throw new Error("Collection ID is required");
+  }
+
+  const body = {
+    collection: {
+      variables: variables,
+    },
+  };
+
+  const response = await makeRequest("PATCH", `/collections/${collectionId}`, body);
+  return response.collection;
+}
+
+/**
+ * Gets a single workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} Workspace details ({ id, name, type, ... })
  */
-async function updateAwsCredentials(environmentId, credentials) {
-  // 1. Get current environment to preserve existing variables
-  const currentEnv = await getEnvironment(environmentId);
+async function getWorkspace(workspaceId) {
+  if (!workspaceId) {
+    throw new Error("Workspace ID is required");
+  }
 
-  if (!currentEnv) {
-    throw new Error(`Environment ${environmentId} not found`);
+  const response = await makeRequest("GET", `/workspaces/${workspaceId}`);
+  return response.workspace;
+}
+
+/**
+ * Gets workspace name by ID (for display purposes)
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<string|null>} Workspace name or null if not found
+ */
+async function getWorkspaceName(workspaceId) {
+  try {
+    const workspace = await getWorkspace(workspaceId);
+    return workspace?.name || null;
+  } catch (err) {
+    return null;
   }
+}
 
-  // 2. Extract current AWS variable values for comparison
+/**
+ * Gets the global variables of a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array>} Array of { key, value, type, enabled } objects
+ */
+async function getGlobals(workspaceId) {
+  if (!workspaceId) {
+    throw new Error("Workspace ID is required");
+  }
+
+  const response = await makeRequest("GET", `/workspaces/${workspaceId}/global-variables`);
+  return response.values || [];
+}
+
+/**
+ * Replaces the global variables of a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {Array} values - Array of { key, value, type, enabled } objects
+ * @returns {Promise<Array>} Updated global variables
+ */
+async function updateGlobals(workspaceId, values) {
+  if (!workspaceId) {
+    throw new Error("Workspace ID is required");
+  }
+
+  const response = await makeRequest("PUT", `/workspaces/${workspaceId}/global-variables`, { values });
+  return response.values;
+}
+
+/**
+ * Default AWS credential variable names used in Postman (lowercase as per user's setup)
+ * Mappings can write them under other names (see resolveVariable).
+ */
+const AWS_VAR_NAMES = ["aws_access_key_id", "aws_access_secret", "aws_session_token"];
+
+/**
+ * Optional variable holding the credential expiry; only managed when passed in
+ */
+const AWS_EXPIRATION_VAR_NAME = "aws_credential_expiration";
+
+/**
+ * Resolves how a variable is written to an environment
+ * By default variables keep their name, are enabled, and the AWS credentials
+ * are secret while other variables are plain.
+ * @param {string} name - Default variable name
+ * @param {Object} [override] - { name, type, enabled } configured for the mapping
+ * @returns {Object} { source, key, type, enabled }
+ */
+function resolveVariable(name, override = {}) {
+  return {
+    source: name,
+    key: override.name || name,
+    type: override.type || (AWS_VAR_NAMES.includes(name) ? "secret" : "default"),
+    enabled: override.enabled !== undefined ? override.enabled : true,
+  };
+}
+
+/**
+ * Computes how updateAwsCredentials would change an environment
+ * Variables other than the AWS credentials and expiry (e.g. a mapping's extra
+ * variables) are managed too, as plain variables.
+ * @param {Object} currentEnv - Environment as returned by getEnvironment
+ * @param {Object} credentials - Credential variables to write, keyed by default name
+ * @param {Object} [variables] - { name, type, enabled } overrides keyed by default name
+ * @returns {Object} { managedNames, changes, hasChanges, deduplicatedValues, droppedValues, awsValues }
+ */
+function planAwsCredentialsUpdate(currentEnv, credentials, variables = {}) {
+  // The expiry variable is only managed when the caller asks for it, so an
+  // existing one is left alone otherwise
+  const sourceNames = credentials.hasOwnProperty(AWS_EXPIRATION_VAR_NAME)
+    ? [...AWS_VAR_NAMES, AWS_EXPIRATION_VAR_NAME]
+    : [...AWS_VAR_NAMES];
+  Object.keys(credentials)
+    .filter((name) => !sourceNames.includes(name))
+    .forEach((name) => sourceNames.push(name));
+  const definitions = sourceNames.map((name) => resolveVariable(name, variables[name]));
+  const managedNames = definitions.map((definition) => definition.key);
+
+  // 1. Extract current AWS variable values for comparison
   const currentAwsValues = {};
   for (const v of currentEnv.values || []) {
-    if (AWS_VAR_NAMES.includes(v.key)) {
+    if (managedNames.includes(v.key)) {
       currentAwsValues[v.key] = v.value;
     }
   }
 
-  // 3. Check if any values actually changed
-  const hasChanges =
-    currentAwsValues.aws_access_key_id !== credentials.aws_access_key_id ||
-    currentAwsValues.aws_access_secret !== credentials.aws_access_secret ||
-    currentAwsValues.aws_session_token !== credentials.aws_session_token;
+  // 2. Check which values actually change
+  const changes = definitions.map((definition) => ({
+    key: definition.key,
+    before: currentAwsValues[definition.key],
+    after: credentials[definition.source],
+  }));
+  const hasChanges = changes.some((change) => change.before !== change.after);
 
-  // 4. Filter out existing AWS variables
+  // 3. Filter out existing AWS variables
   const existingValues = (currentEnv.values || []).filter(
-    (v) => !AWS_VAR_NAMES.includes(v.key)
+    (v) => !managedNames.includes(v.key)
   );
 
-  // 5. Deduplicate existing values by key (keep the last occurrence)
+  // 4. Deduplicate existing values by key (keep the last occurrence)
   const seenKeys = new Map();
   for (const variable of existingValues) {
     seenKeys.set(variable.key, variable);
   }
   const deduplicatedValues = Array.from(seenKeys.values());
+  const droppedValues = existingValues.filter((v) => seenKeys.get(v.key) !== v);
 
-  // 6. Add new AWS credential variables
-  const awsValues = [];
+  // 5. Build the new AWS credential variables
+  const awsValues = definitions
+    .filter((definition) => credentials[definition.source])
+    .map((definition) => ({
+      key: definition.key,
+      value: credentials[definition.source],
+      enabled: definition.enabled,
+      type: definition.type,
+    }));
 
-  if (credentials.aws_access_key_id) {
-    awsValues.push({
-      key: "aws_access_key_id",
-      value: credentials.aws_access_key_id,
-      enabled: true,
-      type: "secret",
-    });
-  }
+  return { managedNames, changes, hasChanges, deduplicatedValues, droppedValues, awsValues };
+}
 
-  if (credentials.aws_access_secret) {
-    awsValues.push({
-      key: "aws_access_secret",
-      value: credentials.aws_access_secret,
-      enabled: true,
-      type: "secret",
-    });
-  }
+/**
+ * How credentials are read from and written to each kind of Postman target
+ * load resolves to { name, values } with environment-style variables
+ * ({ key, value, type, enabled }) or to nothing when the target is missing,
+ * save writes such variables back, and formatValue adapts a newly written
+ * credential variable to the target.
+ */
+const TARGETS = {
+  environment: {
+    label: "Environment",
+    load: async (environmentId) => {
+      const environment = await getEnvironment(environmentId);
+      return environment && { name: environment.name, values: environment.values || [] };
+    },
+    save: (environmentId, name, values) => updateEnvironment(environmentId, name, values),
+    formatValue: (variable) => variable,
+  },
+  collection: {
+    label: "Collection",
+    load: async (collectionId) => {
+      const collection = await getCollection(collectionId);
+      return collection && {
+        name: collection.info?.name,
+        values: (collection.variable || []).map(({ disabled, ...variable }) => ({
+          ...variable,
+          enabled: !disabled,
+        })),
+      };
+    },
+    save: (collectionId, name, values) =>
+      updateCollectionVariables(
+        collectionId,
+        values.map(({ enabled, ...variable }) => ({
+          ...variable,
+          ...(enabled === false && { disabled: true }),
+        }))
+      ),
+    // Collection variables have no secret type
+    formatValue: (variable) => ({ ...variable, type: "string" }),
+  },
+  globals: {
+    label: "Globals of workspace",
+    // Globals carry no name; the workspace name is fetched when mapping them
+    load: async (workspaceId) => ({ name: null, values: await getGlobals(workspaceId) }),
+    save: (workspaceId, name, values) => updateGlobals(workspaceId, values),
+    formatValue: (variable) => variable,
+  },
+};
 
-  if (credentials.aws_session_token) {
-    awsValues.push({
-      key: "aws_session_token",
-      value: credentials.aws_session_token,
-      enabled: true,
-      type: "secret",
-    });
+/**
+ * Loads a target, failing when it does not exist
+ * @param {Object} target - Entry of TARGETS
+ * @param {string} targetId - Environment or collection ID
+ * @returns {Promise<Object>} { name, values }
+ * @throws {PostmanNotFoundError} If the target does not exist
+ */
+async function loadTarget(target, targetId) {
+  const current = await target.load(targetId);
+
+  if (!current) {
+    throw new PostmanNotFoundError(`${target.label} ${targetId} not found`);
   }
 
-  // 7. Merge deduplicated variables with new AWS variables
-  const mergedValues = [...deduplicatedValues, ...awsValues];
+  return current;
+}
+
+/**
+ * Computes the changes writing credentials to a target would make
+ * @param {Object} target - Entry of TARGETS
+ * @param {string} targetId - Environment or collection ID
+ * @param {Object} credentials - Credential variables to write
+ * @param {Object} variables - { name, type, enabled } overrides keyed by default name
+ * @returns {Promise<Object>} { name, changed, changes, droppedValues }
+ */
+async function previewTargetCredentials(target, targetId, credentials, variables) {
+  const current = await loadTarget(target, targetId);
+  const plan = planAwsCredentialsUpdate(current, credentials, variables);
+  return {
+    name: current.name,
+    changed: plan.hasChanges,
+    changes: plan.changes,
+    droppedValues: plan.droppedValues,
+  };
+}
+
+/**
+ * Writes credentials to a target, preserving its other variables
+ * @param {Object} target - Entry of TARGETS
+ * @param {string} targetId - Environment or collection ID
+ * @param {Object} credentials - Credential variables to write
+ * @param {Object} variables - { name, type, enabled } overrides keyed by default name
+ * @returns {Promise<Object>} { name, changed }
+ */
+async function updateTargetCredentials(target, targetId, credentials, variables) {
+  // Get the current variables to preserve the other ones
+  const current = await loadTarget(target, targetId);
+
+  const { hasChanges, deduplicatedValues, awsValues } = planAwsCredentialsUpdate(
+    current,
+    credentials,
+    variables
+  );
 
-  // 8. Two-phase update so the credentials actually become the value used in requests.
+  // Merge deduplicated variables with new AWS variables
+  const mergedValues = [...deduplicatedValues, ...awsValues.map(target.formatValue)];
+
+  // Two-phase update so the credentials actually become the value used in requests.
   //
   // Since Postman's "Simplified Variables" rollout (app >= 11.61), the API only
   // writes a variable's "initial" (server-synced) value, while requests use the
@@ -233,26 +854,248 @@ async function updateAwsCredentials(environmentId, credentials) {
   // synced credentials are adopted. See:
   // https://github.com/postmanlabs/postman-app-support/issues/12695
   if (awsValues.length > 0) {
-    await updateEnvironment(environmentId, currentEnv.name, deduplicatedValues);
+    await target.save(targetId, current.name, deduplicatedValues);
+  }
+  await target.save(targetId, current.name, mergedValues);
+
+  return { name: current.name, changed: hasChanges };
+}
+
+/**
+ * Blanks the AWS variables of a target, preserving its other variables
+ * @param {Object} target - Entry of TARGETS
+ * @param {string} targetId - Environment or collection ID
+ * @param {Object} variables - { name } overrides keyed by default name
+ * @returns {Promise<Object>} { name, changed }
+ */
+async function clearTargetCredentials(target, targetId, variables) {
+  const current = await loadTarget(target, targetId);
+
+  const managedNames = [...AWS_VAR_NAMES, AWS_EXPIRATION_VAR_NAME].map(
+    (name) => resolveVariable(name, variables[name]).key
+  );
+  const values = current.values;
+  const changed = values.some((v) => managedNames.includes(v.key) && v.value !== "");
+
+  if (changed) {
+    const otherValues = values.filter((v) => !managedNames.includes(v.key));
+    const blankedValues = values
+      .filter((v) => managedNames.includes(v.key))
+      .map((v) => ({ ...v, value: "" }));
+
+    // Recreate the variables so the blank value also replaces the current
+    // value (see updateTargetCredentials)
+    await target.save(targetId, current.name, otherValues);
+    await target.save(targetId, current.name, [...otherValues, ...blankedValues]);
   }
-  await updateEnvironment(environmentId, currentEnv.name, mergedValues);
+
+  return { name: current.name, changed };
+}
+
+/**
+ * Previews updateAwsCredentials without writing anything
+ * @param {string} environmentId - Environment ID
+ * @param {Object} credentials - Credential variables to write
+ * @param {Object} [variables] - { name, type, enabled } overrides keyed by default name
+ * @returns {Promise<Object>} { environmentName, environmentId, changed, changes, droppedValues }
+ */
+async function previewAwsCredentials(environmentId, credentials, variables = {}) {
+  const { name, ...preview } = await previewTargetCredentials(
+    TARGETS.environment,
+    environmentId,
+    credentials,
+    variables
+  );
+  return { environmentName: name, environmentId: environmentId, ...preview };
+}
+
+/**
+ * Updates specific AWS variables in a Postman environment
+ * Preserves existing non-AWS variables
+ * @param {string} environmentId - Environment ID
+ * @param {Object} credentials - { aws_access_key_id, aws_access_secret, aws_session_token, [aws_credential_expiration] }
+ *   plus any extra variables to write alongside them
+ * @param {Object} [variables] - { name, type, enabled } overrides keyed by default name,
+ *   e.g. { aws_access_key_id: { name: "accessKey" } }
+ * @returns {Promise<Object>} Result with updated environment name and whether values changed
+ */
+async function updateAwsCredentials(environmentId, credentials, variables = {}) {
+  const result = await updateTargetCredentials(
+    TARGETS.environment,
+    environmentId,
+    credentials,
+    variables
+  );
+  return { environmentName: result.name, environmentId: environmentId, changed: result.changed };
+}
+
+/**
+ * Blanks the AWS variables in a Postman environment
+ * The variables are kept with empty values; other variables are preserved.
+ * @param {string} environmentId - Environment ID
+ * @param {Object} [variables] - { name } overrides keyed by default name
+ * @returns {Promise<Object>} Result with environment name and whether any value was cleared
+ */
+async function clearAwsCredentials(environmentId, variables = {}) {
+  const result = await clearTargetCredentials(TARGETS.environment, environmentId, variables);
+  return { environmentName: result.name, environmentId: environmentId, changed: result.changed };
+}
+
+/**
+ * Creates an environment holding AWS credentials
+ * A new environment has no diverging current values, so unlike
+ * updateAwsCredentials a single request is enough.
+ * @param {string} name - Environment name
+ * @param {Object} credentials - Credential variables to write (see updateAwsCredentials)
+ * @param {Object} [variables] - { name, type, enabled } overrides keyed by default name
+ * @param {Object} [options] - { workspaceId } to create it in, { templateId } of an
+ *   environment whose other variables are copied
+ * @returns {Promise<Object>} { environmentName, environmentId, copiedValues }
+ */
+async function createAwsEnvironment(name, credentials, variables = {}, options = {}) {
+  const template = options.templateId
+    ? await loadTarget(TARGETS.environment, options.templateId)
+    : { values: [] };
+
+  const { deduplicatedValues, awsValues } = planAwsCredentialsUpdate(template, credentials, variables);
+  const environment = await createEnvironment(
+    name,
+    [...deduplicatedValues, ...awsValues],
+    options.workspaceId
+  );
 
   return {
-    environmentName: currentEnv.name,
-    environmentId: environmentId,
-    changed: hasChanges,
+    environmentName: environment.name || name,
+    environmentId: environment.id,
+    copiedValues: deduplicatedValues.length,
   };
 }
 
+/**
+ * Previews updateCollectionAwsCredentials without writing anything
+ * @param {string} collectionId - Collection ID or UID
+ * @param {Object} credentials - Credential variables to write
+ * @param {Object} [variables] - { name, enabled } overrides keyed by default name
+ * @returns {Promise<Object>} { collectionName, collectionId, changed, changes, droppedValues }
+ */
+async function previewCollectionAwsCredentials(collectionId, credentials, variables = {}) {
+  const { name, ...preview } = await previewTargetCredentials(
+    TARGETS.collection,
+    collectionId,
+    credentials,
+    variables
+  );
+  return { collectionName: name, collectionId: collectionId, ...preview };
+}
+
+/**
+ * Updates specific AWS variables in a Postman collection
+ * Only the collection variables are written; other variables, items, auth
+ * and scripts are preserved.
+ * @param {string} collectionId - Collection ID or UID
+ * @param {Object} credentials - Credential variables to write (see updateAwsCredentials)
+ * @param {Object} [variables] - { name, enabled } overrides keyed by default name
+ * @returns {Promise<Object>} Result with collection name and whether values changed
+ */
+async function updateCollectionAwsCredentials(collectionId, credentials, variables = {}) {
+  const result = await updateTargetCredentials(
+    TARGETS.collection,
+    collectionId,
+    credentials,
+    variables
+  );
+  return { collectionName: result.name, collectionId: collectionId, changed: result.changed };
+}
+
+/**
+ * Blanks the AWS variables in a Postman collection
+ * @param {string} collectionId - Collection ID or UID
+ * @param {Object} [variables] - { name } overrides keyed by default name
+ * @returns {Promise<Object>} Result with collection name and whether any value was cleared
+ */
+async function clearCollectionAwsCredentials(collectionId, variables = {}) {
+  const result = await clearTargetCredentials(TARGETS.collection, collectionId, variables);
+  return { collectionName: result.name, collectionId: collectionId, changed: result.changed };
+}
+
+/**
+ * Previews updateGlobalsAwsCredentials without writing anything
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} credentials - Credential variables to write
+ * @param {Object} [variables] - { name, type, enabled } overrides keyed by default name
+ * @returns {Promise<Object>} { workspaceId, changed, changes, droppedValues }
+ */
+async function previewGlobalsAwsCredentials(workspaceId, credentials, variables = {}) {
+  const { name, ...preview } = await previewTargetCredentials(
+    TARGETS.globals,
+    workspaceId,
+    credentials,
+    variables
+  );
+  return { workspaceId: workspaceId, ...preview };
+}
+
+/**
+ * Updates specific AWS variables in a workspace's globals
+ * Preserves the other global variables, like updateAwsCredentials does for environments.
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} credentials - Credential variables to write (see updateAwsCredentials)
+ * @param {Object} [variables] - { name, type, enabled } overrides keyed by default name
+ * @returns {Promise<Object>} Result with workspace ID and whether values changed
+ */
+async function updateGlobalsAwsCredentials(workspaceId, credentials, variables = {}) {
+  const result = await updateTargetCredentials(TARGETS.globals, workspaceId, credentials, variables);
+  return { workspaceId: workspaceId, changed: result.changed };
+}
+
+/**
+ * Blanks the AWS variables in a workspace's globals
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} [variables] - { name } overrides keyed by default name
+ * @returns {Promise<Object>} Result with workspace ID and whether any value was cleared
+ */
+async function clearGlobalsAwsCredentials(workspaceId, variables = {}) {
+  const result = await clearTargetCredentials(TARGETS.globals, workspaceId, variables);
+  return { workspaceId: workspaceId, changed: result.changed };
+}
+
 module.exports = {
   setApiKey,
   getApiKey,
+  setRetryOptions,
+  setConnectionOptions,
+  listWorkspaces,
   listEnvironments,
   getEnvironment,
   getEnvironmentName,
   updateEnvironment,
+  createEnvironment,
+  createAwsEnvironment,
   updateAwsCredentials,
+  previewAwsCredentials,
+  clearAwsCredentials,
+  getCollection,
+  getCollectionName,
+  updateCollectionVariables,
+  updateCollectionAwsCredentials,
+  previewCollectionAwsCredentials,
+  clearCollectionAwsCredentials,
+  getWorkspace,
+  getWorkspaceName,
+  getGlobals,
+  updateGlobals,
+  updateGlobalsAwsCredentials,
+  previewGlobalsAwsCredentials,
+  clearGlobalsAwsCredentials,
   AWS_VAR_NAMES,
+  AWS_EXPIRATION_VAR_NAME,
+  PostmanApiError,
+  PostmanAuthError,
+  PostmanNotFoundError,
+  PostmanRateLimitError,
+  PostmanNetworkError,
   // Exported for testing
   makeRequest,
+  getProxyUrl,
+  sleep,
 };
@@ -11,7 +11,7 @@ let SETTINGS_FILE = path.join(CONFIG_DIR, 'settings.json');
  */
 function ensureConfigDir() {
   if (!fs.existsSync(CONFIG_DIR)) {
-    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+    fs.mkdirSync(CONFIG_DIR, { recursive: true, mode: 0o700 });
   }
 }
 
@@ -23,18 +23,46 @@ function setSettingsFile(filePath) {
   SETTINGS_FILE = filePath;
 }
 
+/**
+ * Name of the project file discovered by walking up from the working directory
+ */
+const PROJECT_FILE_NAME = '.aws-auto-env.json';
+
+/**
+ * Current settings format; older files are upgraded by migrateSettings
+ */
+const SETTINGS_VERSION = 2;
+
 /**
  * Default settings structure
  */
 const DEFAULT_SETTINGS = {
+  version: SETTINGS_VERSION,
   mappings: {},
+  profileAliases: {},
   postmanMappings: {},
   postman: {
-    apiKey: null
+    apiKey: null,
+    maxRetries: 3,
+    maxRetryDelaySeconds: 60,
+    baseUrl: 'https://api.getpostman.com',
+    timeoutSeconds: 30,
+    proxy: null,
+    defaultWorkspace: null
   },
   logging: {
     enabled: false,
     logFile: path.join(CONFIG_DIR, 'aws-auto-env.log')
+  },
+  sync: {
+    refreshThresholdMinutes: 15,
+    writeExpiration: false,
+    fixPermissions: false,
+    gitSafety: 'refuse'
+  },
+  syncState: {
+    env: {},
+    postman: {}
   }
 };
 
@@ -63,7 +91,13 @@ function readSettings() {
 function writeSettings(settings) {
   try {
     ensureConfigDir();
-    fs.writeFileSync(SETTINGS_FILE, JSON.stringify(settings, null, 2), 'utf8');
+    // The file holds the Postman API key, so keep it readable by the owner only;
+    // mode only applies to a new file, so an existing one is tightened too
+    fs.writeFileSync(SETTINGS_FILE, JSON.stringify(settings, null, 2), {
+      encoding: 'utf8',
+      mode: 0o600
+    });
+    fs.chmodSync(SETTINGS_FILE, 0o600);
   } catch (error) {
     console.error('Error writing settings:', error.message);
     throw error;
@@ -71,34 +105,325 @@ function writeSettings(settings) {
 }
 
 /**
- * Gets all mappings
+ * Gets the mappings in effect for a directory
+ * Inside a project (see getProject), only global mappings targeting files
+ * under the project root are returned, merged with the project's mappings;
+ * a global mapping for the same path overrides the project's.
+ * @param {string} [startDir] - Directory to look for a project from
  * @returns {Object} Mappings object
+ * @throws {Error} If the project file is invalid
  */
-function getMappings() {
+function getMappings(startDir = process.cwd()) {
   const settings = readSettings();
-  return settings.mappings || {};
+  const mappings = settings.mappings || {};
+  const project = module.exports.getProject(startDir);
+  if (!project) {
+    return mappings;
+  }
+
+  const scoped = Object.fromEntries(
+    Object.entries(mappings).filter(([envPath]) => isInsideDir(envPath, project.root))
+  );
+  return { ...project.mappings, ...scoped };
+}
+
+/**
+ * Checks whether a path (or glob pattern) lies inside a directory
+ * @param {string} filePath - Absolute path
+ * @param {string} dir - Absolute directory path
+ * @returns {boolean} True if the path is inside the directory
+ */
+function isInsideDir(filePath, dir) {
+  return filePath.startsWith(dir.endsWith(path.sep) ? dir : dir + path.sep);
+}
+
+/**
+ * Options a project file may set on a mapping
+ * allowUnsafe is left out on purpose: a cloned repository must not be able
+ * to turn off the git safety check for its own files.
+ */
+const PROJECT_MAPPING_OPTIONS = [
+  'awsProfile',
+  'variableTemplate',
+  'variableNames',
+  'extraVariables',
+  'profiles',
+  'managedBlock',
+  'include',
+  'exclude',
+  'createMissing'
+];
+
+/**
+ * Follows symlinks in the deepest existing directory of a path
+ * Unlike resolveMappingPath, this also catches a symlink several levels above
+ * a file whose directories do not exist yet.
+ * @param {string} filePath - Absolute path (or glob pattern)
+ * @returns {string} Path with its existing part resolved
+ */
+function realpathOfExistingPart(filePath) {
+  let existing = filePath;
+  while (!fs.existsSync(existing)) {
+    const parent = path.dirname(existing);
+    if (parent === existing) {
+      return filePath;
+    }
+    existing = parent;
+  }
+  return path.join(fs.realpathSync(existing), path.relative(existing, filePath));
+}
+
+/**
+ * Finds the project file for a directory by walking up to the file system root
+ * @param {string} [startDir] - Directory to start from
+ * @returns {string|null} Path to the project file, or null if there is none
+ */
+function findProjectFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    const filePath = path.join(dir, PROJECT_FILE_NAME);
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Reads a project file
+ * Mapping paths are relative to the directory holding the file and must stay
+ * inside it (symlinks included), and profiles may be aliases defined in the
+ * global settings (see setProfileAlias). Only PROJECT_MAPPING_OPTIONS are accepted.
+ * @param {string} filePath - Path to the project file
+ * @returns {Object} { root, filePath, mappings } with mappings keyed by absolute path
+ * @throws {Error} If the file cannot be read, is malformed or maps a file outside the project
+ */
+function readProjectFile(filePath) {
+  let project;
+  try {
+    project = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read project file ${filePath}: ${error.message}`);
+  }
+  if (!project || typeof project.mappings !== 'object' || Array.isArray(project.mappings)) {
+    throw new Error(`Failed to read project file ${filePath}: "mappings" must be an object`);
+  }
+
+  const root = fs.realpathSync(path.dirname(filePath));
+  const aliases = readSettings().profileAliases || {};
+  const resolveAlias = (name) => aliases[name] || name;
+  const mappings = {};
+  for (const [envPath, value] of Object.entries(project.mappings)) {
+    const mapping = normalizeMapping(value || {});
+    if (typeof mapping.awsProfile !== 'string' || !mapping.awsProfile) {
+      throw new Error(`Failed to read project file ${filePath}: no profile for "${envPath}"`);
+    }
+    if (mapping.profiles !== undefined && !Array.isArray(mapping.profiles)) {
+      throw new Error(`Failed to read project file ${filePath}: "profiles" of "${envPath}" must be a list`);
+    }
+    (mapping.profiles || []).forEach((entry, index) => {
+      const problem = getProfileEntryProblem(entry);
+      if (problem) {
+        throw new Error(
+          `Failed to read project file ${filePath}: profiles entry ${index + 1} of "${envPath}" ${problem}`
+        );
+      }
+    });
+    const unknownOption = Object.keys(mapping).find((key) => !PROJECT_MAPPING_OPTIONS.includes(key));
+    if (unknownOption) {
+      throw new Error(
+        `Failed to read project file ${filePath}: "${unknownOption}" is not allowed for "${envPath}"`
+      );
+    }
+    const resolvedPath = resolveMappingPath(envPath, root);
+    if (!isInsideDir(realpathOfExistingPart(resolvedPath), root)) {
+      throw new Error(
+        `Failed to read project file ${filePath}: "${envPath}" is outside the project (${resolvedPath})`
+      );
+    }
+    const resolved = { ...mapping, awsProfile: resolveAlias(mapping.awsProfile) };
+    if (Array.isArray(mapping.profiles)) {
+      resolved.profiles = mapping.profiles.map((entry) => ({
+        awsProfile: resolveAlias(entry.awsProfile),
+        prefix: entry.prefix
+      }));
+    }
+    mappings[resolvedPath] = typeof value === 'string'
+      ? resolved.awsProfile
+      : resolved;
+  }
+
+  return { root, filePath, mappings };
+}
+
+/**
+ * Gets the project enclosing a directory
+ * @param {string} [startDir] - Directory to start from
+ * @returns {Object|null} { root, filePath, mappings } as returned by readProjectFile,
+ *   or null outside a project
+ * @throws {Error} If the project file is invalid
+ */
+function getProject(startDir = process.cwd()) {
+  const filePath = findProjectFile(startDir);
+  return filePath ? readProjectFile(filePath) : null;
+}
+
+/**
+ * Gets the profile aliases used by project files
+ * @returns {Object} Aliases object { alias: awsProfile }
+ */
+function getProfileAliases() {
+  const settings = readSettings();
+  return settings.profileAliases || {};
+}
+
+/**
+ * Sets a profile alias
+ * @param {string} alias - Alias used in project files
+ * @param {string} awsProfile - AWS profile name
+ */
+function setProfileAlias(alias, awsProfile) {
+  const settings = readSettings();
+  if (!settings.profileAliases) {
+    settings.profileAliases = {};
+  }
+  settings.profileAliases[alias] = awsProfile;
+  writeSettings(settings);
+}
+
+/**
+ * Removes a profile alias
+ * @param {string} alias - Alias to remove
+ * @returns {boolean} True if the alias was removed, false if it didn't exist
+ */
+function removeProfileAlias(alias) {
+  const settings = readSettings();
+  if (settings.profileAliases && settings.profileAliases[alias]) {
+    delete settings.profileAliases[alias];
+    writeSettings(settings);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Resolves a mapping path to the canonical absolute path of the file
+ * Expands a leading `~` and $VAR / ${VAR} environment variables, resolves
+ * relative paths against baseDir and follows symlinks in the existing part
+ * of the path, so different spellings of the same file compare equal.
+ * @param {string} envPath - Path as typed by the user
+ * @param {string} [baseDir] - Directory relative paths are resolved against
+ * @returns {string} Absolute path
+ */
+function resolveMappingPath(envPath, baseDir = process.cwd()) {
+  const expanded = envPath
+    .replace(/^~(?=$|[\\/])/, os.homedir())
+    .replace(/\$(?:\{(\w+)\}|(\w+))/g, (match, braced, bare) => {
+      const value = process.env[braced || bare];
+      return value === undefined ? match : value;
+    });
+  const absolute = path.resolve(baseDir, expanded);
+
+  try {
+    return fs.realpathSync(absolute);
+  } catch (error) {
+    // The file may not exist yet; canonicalize its directory instead
+  }
+  try {
+    return path.join(fs.realpathSync(path.dirname(absolute)), path.basename(absolute));
+  } catch (error) {
+    return absolute;
+  }
+}
+
+/**
+ * Normalizes a mapping entry
+ * Entries are stored as a bare profile name unless they carry options.
+ * @param {string|Object} mapping - Stored mapping value
+ * @returns {Object} { awsProfile, profiles?, variableTemplate?, variableNames?, extraVariables?, ... }
+ */
+function normalizeMapping(mapping) {
+  if (typeof mapping === 'string') {
+    return { awsProfile: mapping };
+  }
+  const normalized = { ...mapping };
+  if (Array.isArray(mapping.profiles)) {
+    normalized.profiles = mapping.profiles.map(normalizeProfileEntry);
+  }
+  return normalized;
+}
+
+/**
+ * Normalizes a prefixed profile entry
+ * Entries are documented as { profile, prefix }; awsProfile is accepted as well.
+ * @param {Object} entry - Stored entry
+ * @returns {Object} { awsProfile, prefix }
+ */
+function normalizeProfileEntry(entry) {
+  const { profile, awsProfile, ...rest } = entry || {};
+  return { ...rest, awsProfile: profile || awsProfile };
+}
+
+/**
+ * Checks a normalized prefixed profile entry
+ * @param {Object} entry - { awsProfile, prefix }
+ * @returns {string|null} What is wrong with the entry, or null if it is valid
+ */
+function getProfileEntryProblem(entry) {
+  if (typeof entry.awsProfile !== 'string' || !entry.awsProfile) {
+    return 'has no profile';
+  }
+  // The prefix must turn AWS_ACCESS_KEY_ID etc. into valid variable names
+  if (typeof entry.prefix !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(`${entry.prefix}AWS`)) {
+    return `has an invalid prefix "${entry.prefix === undefined ? '' : entry.prefix}"`;
+  }
+  return null;
 }
 
 /**
- * Adds a new mapping
+ * Adds a new mapping to the global settings
+ * The path is stored as a canonical absolute path (see resolveMappingPath).
  * @param {string} envPath - Path to .env file
  * @param {string} awsProfile - AWS profile name
+ * @param {Object} [options] - { variableTemplate, variableNames } to write credentials under custom names,
+ *   { extraVariables } to write alongside them
  */
-function addMapping(envPath, awsProfile) {
+function addMapping(envPath, awsProfile, options = {}) {
   const settings = readSettings();
-  settings.mappings[envPath] = awsProfile;
+  envPath = resolveMappingPath(envPath);
+  const definedOptions = Object.fromEntries(
+    Object.entries(options).filter(([, value]) => value !== undefined)
+  );
+  settings.mappings[envPath] = Object.keys(definedOptions).length > 0
+    ? { awsProfile, ...definedOptions }
+    : awsProfile;
+  // A changed mapping must be synced again regardless of expiry
+  if (settings.syncState?.env) {
+    delete settings.syncState.env[envPath];
+  }
   writeSettings(settings);
 }
 
 /**
- * Removes a mapping
+ * Removes a mapping from the global settings
  * @param {string} envPath - Path to .env file
  * @returns {boolean} True if mapping was removed, false if it didn't exist
  */
 function removeMapping(envPath) {
   const settings = readSettings();
+  if (!settings.mappings[envPath]) {
+    envPath = resolveMappingPath(envPath);
+  }
   if (settings.mappings[envPath]) {
     delete settings.mappings[envPath];
+    if (settings.syncState?.env) {
+      delete settings.syncState.env[envPath];
+    }
     writeSettings(settings);
     return true;
   }
@@ -165,9 +490,49 @@ function setPostmanApiKey(apiKey) {
   writeSettings(settings);
 }
 
+/**
+ * Gets the Postman workspace used when a command names none
+ * @returns {string|null} Workspace ID
+ */
+function getPostmanDefaultWorkspace() {
+  const settings = readSettings();
+  return settings.postman?.defaultWorkspace || null;
+}
+
+/**
+ * Sets the Postman workspace used when a command names none
+ * @param {string|null} workspaceId - Workspace ID, or null to use all workspaces
+ */
+function setPostmanDefaultWorkspace(workspaceId) {
+  const settings = readSettings();
+  if (!settings.postman) {
+    settings.postman = {};
+  }
+  settings.postman.defaultWorkspace = workspaceId;
+  writeSettings(settings);
+}
+
+/**
+ * Gets how the Postman API is reached and how failed requests are retried,
+ * filling in defaults
+ * @returns {Object} { maxRetries, maxRetryDelaySeconds, baseUrl, timeoutSeconds, proxy }
+ */
+function getPostmanClientConfig() {
+  const settings = readSettings();
+  const postman = { ...DEFAULT_SETTINGS.postman, ...settings.postman };
+  return {
+    maxRetries: postman.maxRetries,
+    maxRetryDelaySeconds: postman.maxRetryDelaySeconds,
+    baseUrl: postman.baseUrl,
+    timeoutSeconds: postman.timeoutSeconds,
+    proxy: postman.proxy
+  };
+}
+
 /**
  * Gets all Postman mappings
- * @returns {Object} Postman mappings object { environmentId: { awsProfile, environmentName } }
+ * @returns {Object} Postman mappings object
+ *   { environmentId: { awsProfile, environmentName, extraVariables?, variables? } }
  */
 function getPostmanMappings() {
   const settings = readSettings();
@@ -176,18 +541,34 @@ function getPostmanMappings() {
 
 /**
  * Adds a Postman mapping
- * @param {string} environmentId - Postman environment ID
- * @param {Object} config - { awsProfile, environmentName }
+ * Collection and workspace globals mappings are stored with their kind and
+ * name (see getPostmanMappingNameKey) instead of the environmentName.
+ * @param {string} environmentId - Postman environment, collection or workspace ID
+ * @param {Object} config - { awsProfile, environmentName, extraVariables, variables },
+ *   or { kind: 'collection', awsProfile, collectionName, ... }
+ *   or { kind: 'globals', awsProfile, workspaceName, ... }
  */
 function addPostmanMapping(environmentId, config) {
   const settings = readSettings();
   if (!settings.postmanMappings) {
     settings.postmanMappings = {};
   }
+  const nameKey = getPostmanMappingNameKey(config);
   settings.postmanMappings[environmentId] = {
+    ...(config.kind && { kind: config.kind }),
     awsProfile: config.awsProfile,
-    environmentName: config.environmentName || null
+    [nameKey]: config[nameKey] || null
   };
+  if (config.extraVariables && Object.keys(config.extraVariables).length > 0) {
+    settings.postmanMappings[environmentId].extraVariables = config.extraVariables;
+  }
+  if (config.variables && Object.keys(config.variables).length > 0) {
+    settings.postmanMappings[environmentId].variables = config.variables;
+  }
+  // A changed mapping must be synced again regardless of expiry
+  if (settings.syncState?.postman) {
+    delete settings.syncState.postman[environmentId];
+  }
   writeSettings(settings);
 }
 
@@ -200,6 +581,9 @@ function removePostmanMapping(environmentId) {
   const settings = readSettings();
   if (settings.postmanMappings && settings.postmanMappings[environmentId]) {
     delete settings.postmanMappings[environmentId];
+    if (settings.syncState?.postman) {
+      delete settings.syncState.postman[environmentId];
+    }
     writeSettings(settings);
     return true;
   }
@@ -207,22 +591,136 @@ function removePostmanMapping(environmentId) {
 }
 
 /**
- * Updates the environment name for an existing Postman mapping
- * @param {string} environmentId - Postman environment ID
- * @param {string} environmentName - New environment name
+ * Gets the field holding the display name of a Postman mapping
+ * @param {Object} mapping - Postman mapping, with its kind
+ * @returns {string} 'environmentName', 'collectionName' or 'workspaceName'
+ */
+function getPostmanMappingNameKey(mapping) {
+  if (mapping.kind === 'collection') {
+    return 'collectionName';
+  }
+  if (mapping.kind === 'globals') {
+    return 'workspaceName';
+  }
+  return 'environmentName';
+}
+
+/**
+ * Updates the environment (or collection, or workspace) name for an existing Postman mapping
+ * @param {string} environmentId - Postman environment, collection or workspace ID
+ * @param {string} environmentName - New name
  */
 function updatePostmanMappingName(environmentId, environmentName) {
   const settings = readSettings();
-  if (settings.postmanMappings && settings.postmanMappings[environmentId]) {
-    settings.postmanMappings[environmentId].environmentName = environmentName;
+  const mapping = settings.postmanMappings && settings.postmanMappings[environmentId];
+  if (mapping) {
+    mapping[getPostmanMappingNameKey(mapping)] = environmentName;
     writeSettings(settings);
   }
 }
 
+/**
+ * Gets sync configuration, filling in defaults for missing options
+ * @returns {Object} { refreshThresholdMinutes, writeExpiration }
+ */
+function getSyncConfig() {
+  const settings = readSettings();
+  return { ...DEFAULT_SETTINGS.sync, ...settings.sync };
+}
+
+/**
+ * Gets the recorded state of the last successful sync of a target
+ * @param {string} kind - Target kind ('env' or 'postman')
+ * @param {string} targetId - .env file path or Postman environment ID
+ * @returns {Object|null} { awsProfile, expiration, syncedAt } or null if never synced
+ */
+function getSyncState(kind, targetId) {
+  const settings = readSettings();
+  return settings.syncState?.[kind]?.[targetId] || null;
+}
+
+/**
+ * Records the credential expiry of a successfully synced target
+ * @param {string} kind - Target kind ('env' or 'postman')
+ * @param {string} targetId - .env file path or Postman environment ID
+ * @param {Object} state - { awsProfile, expiration }
+ */
+function recordSyncState(kind, targetId, state) {
+  const settings = readSettings();
+  if (!settings.syncState) {
+    settings.syncState = {};
+  }
+  if (!settings.syncState[kind]) {
+    settings.syncState[kind] = {};
+  }
+  settings.syncState[kind][targetId] = {
+    awsProfile: state.awsProfile,
+    expiration: state.expiration || null,
+    syncedAt: new Date().toISOString()
+  };
+  writeSettings(settings);
+}
+
+/**
+ * Forgets the recorded sync state of a target, so the next sync rewrites it
+ * @param {string} kind - Target kind ('env' or 'postman')
+ * @param {string} targetId - .env file path or Postman environment ID
+ */
+function clearSyncState(kind, targetId) {
+  const settings = readSettings();
+  if (settings.syncState?.[kind]?.[targetId]) {
+    delete settings.syncState[kind][targetId];
+    writeSettings(settings);
+  }
+}
+
+/**
+ * Upgrades settings written by older versions
+ * Version 2 stores mapping paths as absolute paths. Relative entries are
+ * resolved against baseDir, and entries that turn out to point at the same
+ * file are merged (the last one wins).
+ * @param {string} [baseDir] - Directory relative paths are resolved against
+ * @returns {Array} Migrated mappings as { from, to, merged }
+ */
+function migrateSettings(baseDir = process.cwd()) {
+  const settings = readSettings();
+  if ((settings.version || 1) >= SETTINGS_VERSION) {
+    return [];
+  }
+
+  const migrated = [];
+  const mappings = {};
+  for (const [envPath, mapping] of Object.entries(settings.mappings || {})) {
+    const resolved = resolveMappingPath(envPath, baseDir);
+    if (resolved !== envPath || mappings[resolved] !== undefined) {
+      migrated.push({ from: envPath, to: resolved, merged: mappings[resolved] !== undefined });
+    }
+    mappings[resolved] = mapping;
+  }
+
+  settings.mappings = mappings;
+  settings.version = SETTINGS_VERSION;
+  // Sync state is keyed by the old paths; dropping it makes the next sync rewrite them
+  if (migrated.length > 0 && settings.syncState?.env) {
+    settings.syncState.env = {};
+  }
+  writeSettings(settings);
+  return migrated;
+}
+
 module.exports = {
   readSettings,
   writeSettings,
   getMappings,
+  findProjectFile,
+  readProjectFile,
+  getProject,
+  getProfileAliases,
+  setProfileAlias,
+  removeProfileAlias,
+  normalizeMapping,
+  getProfileEntryProblem,
+  resolveMappingPath,
   addMapping,
   removeMapping,
   getLoggingConfig,
@@ -230,11 +728,20 @@ module.exports = {
   disableLogging,
   setLogFile,
   setSettingsFile,
+  getSyncConfig,
+  getSyncState,
+  recordSyncState,
+  clearSyncState,
+  migrateSettings,
   CONFIG_DIR,
   SETTINGS_FILE,
+  PROJECT_FILE_NAME,
   // Postman functions
   getPostmanApiKey,
   setPostmanApiKey,
+  getPostmanDefaultWorkspace,
+  setPostmanDefaultWorkspace,
+  getPostmanClientConfig,
   getPostmanMappings,
   addPostmanMapping,
   removePostmanMapping,